@@ -0,0 +1,245 @@
+export const PATH_CURVES = Object.freeze(['centripetal', 'uniform']);
+export const PATH_EASINGS = Object.freeze(['linear', 'ease-in', 'ease-out', 'ease-in-out']);
+export const DEFAULT_PATH_CURVE = 'centripetal';
+// Paths saved before `curve` existed were played on the uniform spline, so a missing curve keeps that look.
+export const LEGACY_PATH_CURVE = 'uniform';
+// `even` shares the path's moving time out by segment length so the camera keeps one speed along the whole path;
+// `per-checkpoint` plays each segment in its own checkpoint's duration.
+export const PATH_TIMINGS = Object.freeze(['even', 'per-checkpoint']);
+export const DEFAULT_PATH_TIMING = 'even';
+
+const ARC_LENGTH_STEPS = 32;
+const MIN_DURATION = 0.1;
+const DEFAULT_DURATION = 5;
+
+export function applyEasing(easing, t) {
+    const x = Math.min(Math.max(t, 0), 1);
+    if (easing === 'ease-in') return x * x;
+    if (easing === 'ease-out') return 1 - (1 - x) * (1 - x);
+    if (easing === 'ease-in-out') return x * x * (3 - 2 * x);
+    return x;
+}
+
+export function getCheckpointDuration(checkpoint) {
+    return Math.max(MIN_DURATION, checkpoint?.duration || DEFAULT_DURATION);
+}
+
+export function getCheckpointHold(checkpoint) {
+    return Number.isFinite(checkpoint?.hold) && checkpoint.hold > 0 ? checkpoint.hold : 0;
+}
+
+// Seconds a segment occupies on the timeline: the hold on its start checkpoint, then the move.
+export function getSegmentSpan(checkpoint) {
+    return getCheckpointHold(checkpoint) + getCheckpointDuration(checkpoint);
+}
+
+// Where playback is `elapsed` seconds into a segment: still holding, or the eased fraction of the move.
+// duration is the segment's move time on the timeline, which differs from the checkpoint's own with even timing.
+export function getSegmentPhase(checkpoint, elapsed, duration = getCheckpointDuration(checkpoint)) {
+    const hold = getCheckpointHold(checkpoint);
+    if (elapsed < hold) return { holding: true, progress: 0 };
+    const moving = Math.min((elapsed - hold) / duration, 1);
+    return { holding: false, progress: applyEasing(checkpoint?.easing, moving) };
+}
+
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+}
+
+function reflect(point, about) {
+    return { x: 2 * about.x - point.x, y: 2 * about.y - point.y, z: 2 * about.z - point.z };
+}
+
+// Barry-Goldman evaluation of the p1..p2 span. alpha 0 is the uniform spline (identical to the classic
+// 0.5 * (2p1 + (-p0 + p2)t + ...) form), 0.5 the centripetal one, which cannot loop or overshoot on tight turns.
+export function evaluateCatmullRom(p0, p1, p2, p3, t, { alpha = 0.5 } = {}) {
+    if (distance(p1, p2) < 1e-12) return { x: p1.x, y: p1.y, z: p1.z };
+    // Clamped path ends repeat the end checkpoint; mirror the neighbour so the knot spacing stays non-zero.
+    const a = alpha > 0 && distance(p0, p1) < 1e-12 ? reflect(p2, p1) : p0;
+    const d = alpha > 0 && distance(p2, p3) < 1e-12 ? reflect(p1, p2) : p3;
+    const t1 = distance(a, p1) ** alpha;
+    const t2 = t1 + distance(p1, p2) ** alpha;
+    const t3 = t2 + distance(p2, d) ** alpha;
+    const u = t1 + (t2 - t1) * t;
+    const lerp = (from, to, start, end) => {
+        const weight = (u - start) / (end - start);
+        return {
+            x: from.x + (to.x - from.x) * weight,
+            y: from.y + (to.y - from.y) * weight,
+            z: from.z + (to.z - from.z) * weight
+        };
+    };
+    const a1 = lerp(a, p1, 0, t1);
+    const a2 = lerp(p1, p2, t1, t2);
+    const a3 = lerp(p2, d, t2, t3);
+    const b1 = lerp(a1, a2, 0, t2);
+    const b2 = lerp(a2, a3, t1, t3);
+    return lerp(b1, b2, t1, t2);
+}
+
+export function getCurveAlpha(curve) {
+    return curve === 'uniform' ? 0 : 0.5;
+}
+
+// Checkpoint indices [before, start, end, after] for a segment; open paths clamp at the ends, loops wrap.
+export function getSegmentCheckpointIndices(count, segmentIndex, loop) {
+    const wrap = (index) => (loop ? ((index % count) + count) % count : Math.min(Math.max(index, 0), count - 1));
+    const start = loop ? wrap(segmentIndex) : Math.min(Math.max(segmentIndex, 0), count - 2);
+    const end = loop ? wrap(start + 1) : Math.min(start + 1, count - 1);
+    return [wrap(start - 1), start, end, wrap(end + 1)];
+}
+
+export function evaluatePathSegment(checkpoints, segmentIndex, t, { loop = false, curve = DEFAULT_PATH_CURVE, key = 'position' } = {}) {
+    const [i0, i1, i2, i3] = getSegmentCheckpointIndices(checkpoints.length, segmentIndex, loop);
+    return evaluateCatmullRom(
+        checkpoints[i0][key],
+        checkpoints[i1][key],
+        checkpoints[i2][key],
+        checkpoints[i3][key],
+        t,
+        { alpha: getCurveAlpha(curve) }
+    );
+}
+
+// Cumulative camera travel at evenly spaced spline parameters, for arc-length lookups.
+export function buildSegmentArcTable(checkpoints, segmentIndex, options = {}) {
+    const table = new Float64Array(ARC_LENGTH_STEPS + 1);
+    let previous = evaluatePathSegment(checkpoints, segmentIndex, 0, options);
+    for (let step = 1; step <= ARC_LENGTH_STEPS; step++) {
+        const point = evaluatePathSegment(checkpoints, segmentIndex, step / ARC_LENGTH_STEPS, options);
+        table[step] = table[step - 1] + distance(previous, point);
+        previous = point;
+    }
+    return table;
+}
+
+// Spline parameter that has covered `fraction` of the segment's length, so equal time steps move equal distances.
+export function arcFractionToParameter(table, fraction) {
+    const total = table[table.length - 1];
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    if (!(total > 0)) return clamped;
+    const target = clamped * total;
+    let low = 0;
+    let high = table.length - 1;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (table[middle] < target) low = middle;
+        else high = middle;
+    }
+    const span = table[high] - table[low];
+    const within = span > 0 ? (target - table[low]) / span : 0;
+    return (low + within) / (table.length - 1);
+}
+
+// Camera travel along each segment; segmentLengths lets callers that cache arc tables skip rebuilding them.
+export function getSegmentLengths(checkpoints, { loop = false, curve = DEFAULT_PATH_CURVE, segmentLengths = null } = {}) {
+    const count = checkpoints.length;
+    const segmentCount = count < 2 ? 0 : (loop ? count : count - 1);
+    if (segmentLengths && segmentLengths.length === segmentCount) return segmentLengths;
+    return Array.from({ length: segmentCount }, (_, index) => {
+        const table = buildSegmentArcTable(checkpoints, index, { loop, curve });
+        return table[table.length - 1];
+    });
+}
+
+// Durations proportional to each segment's length with the same total moving time, so the whole path plays at
+// one speed. Holds are left alone, and so are segments that only turn the camera on the spot; the last checkpoint
+// of an open path keeps its (unused) duration.
+export function evenOutDurations(checkpoints, options = {}) {
+    const durations = checkpoints.map(getCheckpointDuration);
+    const lengths = getSegmentLengths(checkpoints, options);
+    const moving = lengths.map((length) => length > 1e-9);
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    if (!(totalLength > 0)) return durations;
+    const totalTime = lengths.reduce((sum, length, index) => sum + (moving[index] ? durations[index] : 0), 0);
+    lengths.forEach((length, index) => {
+        if (moving[index]) durations[index] = Math.max(MIN_DURATION, totalTime * length / totalLength);
+    });
+    return durations;
+}
+
+// Start time, hold and move of every segment, laid end to end as playback runs them and the editor timeline
+// shows them. With even timing the moves come from evenOutDurations (curve and segmentLengths feed it).
+export function getPathTimeline(checkpoints, { loop = false, timing = DEFAULT_PATH_TIMING, ...lengthOptions } = {}) {
+    const count = checkpoints.length;
+    const segmentCount = count < 2 ? 0 : (loop ? count : count - 1);
+    const durations = timing === 'per-checkpoint' || !segmentCount
+        ? checkpoints.map(getCheckpointDuration)
+        : evenOutDurations(checkpoints, { loop, ...lengthOptions });
+    const segments = [];
+    let total = 0;
+    for (let index = 0; index < segmentCount; index++) {
+        const hold = getCheckpointHold(checkpoints[index]);
+        const duration = durations[index];
+        segments.push({ index, start: total, hold, duration, span: hold + duration });
+        total += hold + duration;
+    }
+    return { segments, total };
+}
+
+// Playback state `seconds` further along the timeline. Loops wrap; an open path stops at the end of its last
+// segment and reports `ended`.
+export function advancePathPlayback(timeline, { segmentIndex, segmentElapsed }, seconds, { loop = false } = {}) {
+    const { segments } = timeline;
+    if (!segments.length) return { segmentIndex: 0, segmentElapsed: 0, ended: true };
+    let index = Math.min(Math.max(segmentIndex, 0), segments.length - 1);
+    let elapsed = Math.max(0, segmentElapsed);
+    let remaining = Math.max(0, seconds);
+    while (remaining > 0) {
+        const segmentRemaining = Math.max(0, segments[index].span - elapsed);
+        if (remaining < segmentRemaining) return { segmentIndex: index, segmentElapsed: elapsed + remaining, ended: false };
+        remaining -= segmentRemaining;
+        if (loop) {
+            index = (index + 1) % segments.length;
+        } else if (index >= segments.length - 1) {
+            return { segmentIndex: index, segmentElapsed: segments[index].span, ended: true };
+        } else {
+            index += 1;
+        }
+        elapsed = 0;
+    }
+    return { segmentIndex: index, segmentElapsed: elapsed, ended: false };
+}
+
+// Camera position and look-at `progress` (the eased fraction of the move) along a segment. The fraction is of the
+// segment's length, so equal time steps cover equal distance; arcTable can be a cached buildSegmentArcTable result.
+export function evaluatePathPose(checkpoints, segmentIndex, progress, { loop = false, curve = DEFAULT_PATH_CURVE, arcTable = null } = {}) {
+    const table = arcTable || buildSegmentArcTable(checkpoints, segmentIndex, { loop, curve });
+    const t = arcFractionToParameter(table, Math.min(Math.max(progress, 0), 1));
+    return {
+        position: evaluatePathSegment(checkpoints, segmentIndex, t, { loop, curve }),
+        lookAt: evaluatePathSegment(checkpoints, segmentIndex, t, { loop, curve, key: 'lookAt' })
+    };
+}
+
+// Segment and seconds into it for a timeline position, clamped to the path; null without segments.
+export function locatePathTime(timeline, seconds) {
+    const { segments, total } = timeline;
+    if (!segments.length) return null;
+    const clamped = Math.min(Math.max(Number.isFinite(seconds) ? seconds : 0, 0), total);
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (segments[middle].start <= clamped) low = middle;
+        else high = middle - 1;
+    }
+    const segment = segments[low];
+    return { segmentIndex: segment.index, elapsed: Math.min(clamped - segment.start, segment.span) };
+}
+
+// Timeline position of playback state; past the last segment (an open path's final checkpoint) is the end.
+export function getTimelineSeconds(timeline, segmentIndex, elapsed) {
+    const segment = timeline.segments[segmentIndex];
+    if (!segment) return segmentIndex >= timeline.segments.length ? timeline.total : 0;
+    return segment.start + Math.min(Math.max(elapsed, 0), segment.span);
+}
+
+// Copy of the list with one checkpoint moved so it ends up at index `to`.
+export function moveCheckpoint(checkpoints, from, to) {
+    const moved = checkpoints.slice();
+    if (from < 0 || from >= moved.length) return moved;
+    const [checkpoint] = moved.splice(from, 1);
+    moved.splice(Math.min(Math.max(to, 0), moved.length), 0, checkpoint);
+    return moved;
+}
@@ -0,0 +1,155 @@
+import { createGeoreference } from './georeference.mjs';
+
+// The course map lays every hole out on one top-down plan. Plan coordinates are { x, z } like the scene seen from
+// above: +x to the right of the map, +z towards its bottom edge.
+export const COURSE_MAP_DEFAULTS = Object.freeze({ maxPointsPerHole: 1500, trimFraction: 0.02, gap: 1, padding: 24 });
+
+// placement is { x, z, rotation, scale }: the hole's scene is turned by rotation degrees about +Y (the same sense as
+// splat rotation), scaled, then moved to (x, z) on the plan.
+export function createPlacementTransform(placement = {}) {
+    const angle = (placement.rotation || 0) * Math.PI / 180;
+    const scale = Number.isFinite(placement.scale) && placement.scale > 0 ? placement.scale : 1;
+    const cos = Math.cos(angle) * scale;
+    const sin = Math.sin(angle) * scale;
+    const offsetX = placement.x || 0;
+    const offsetZ = placement.z || 0;
+    return ({ x, z }) => ({ x: offsetX + x * cos + z * sin, z: offsetZ - x * sin + z * cos });
+}
+
+// Thins a flat [x, y, z, ...] sample array to at most maxCount points and drops the outer trimFraction on each side
+// of x and z, so stray floaters far from the hole do not stretch its footprint.
+export function summarizeHolePoints(samples, {
+    maxCount = COURSE_MAP_DEFAULTS.maxPointsPerHole,
+    trimFraction = COURSE_MAP_DEFAULTS.trimFraction
+} = {}) {
+    const total = samples ? Math.floor(samples.length / 3) : 0;
+    if (!total || maxCount < 1) return [];
+    const stride = Math.max(1, Math.ceil(total / maxCount));
+    const points = [];
+    for (let index = 0; index < total; index += stride) {
+        const x = samples[index * 3];
+        const y = samples[index * 3 + 1];
+        const z = samples[index * 3 + 2];
+        if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) points.push({ x, y, z });
+    }
+    if (points.length < 3 || !(trimFraction > 0)) return points;
+    const range = (axis) => {
+        const values = points.map((point) => point[axis]).sort((a, b) => a - b);
+        const cut = Math.floor(values.length * Math.min(trimFraction, 0.49));
+        return [values[cut], values[values.length - 1 - cut]];
+    };
+    const [minX, maxX] = range('x');
+    const [minZ, maxZ] = range('z');
+    return points.filter((point) => point.x >= minX && point.x <= maxX && point.z >= minZ && point.z <= maxZ);
+}
+
+function getBounds(points) {
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    points.forEach(({ x, z }) => {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.minZ = Math.min(bounds.minZ, z);
+        bounds.maxZ = Math.max(bounds.maxZ, z);
+    });
+    return bounds;
+}
+
+function mergeBounds(boundsList) {
+    return getBounds(boundsList.flatMap((bounds) => [
+        { x: bounds.minX, z: bounds.minZ },
+        { x: bounds.maxX, z: bounds.maxZ }
+    ]));
+}
+
+// holes is [{ placement?, georeference?, points: [{ x, z }] }] with points in each hole's own scene frame.
+// A hole with a placement uses it. A georeferenced hole without one shares the frame of the first georeferenced hole,
+// which its own placement (if any) puts on the plan. Anything else is lined up in a row to the right of the rest.
+export function buildCourseMapLayout(holes, { gap = COURSE_MAP_DEFAULTS.gap } = {}) {
+    const referenceIndex = holes.findIndex((hole) => hole.georeference);
+    const reference = referenceIndex >= 0
+        ? {
+            georeference: createGeoreference(holes[referenceIndex].georeference),
+            transform: createPlacementTransform(holes[referenceIndex].placement)
+        }
+        : null;
+
+    const laidOut = holes.map((hole, index) => {
+        const points = hole.points && hole.points.length ? hole.points : [{ x: 0, z: 0 }];
+        let source = 'auto';
+        let transform = ({ x, z }) => ({ x, z });
+        if (hole.placement) {
+            source = 'placement';
+            transform = createPlacementTransform(hole.placement);
+        } else if (hole.georeference && reference) {
+            source = 'georeference';
+            const georeference = index === referenceIndex ? null : createGeoreference(hole.georeference);
+            transform = georeference
+                ? (point) => reference.transform(reference.georeference.latLngToWorld(georeference.worldToLatLng(point)))
+                : reference.transform;
+        }
+        return { index, source, transform, points: points.map(transform) };
+    });
+
+    const placed = laidOut.filter((hole) => hole.source !== 'auto');
+    const placedBounds = placed.length ? mergeBounds(placed.map((hole) => getBounds(hole.points))) : null;
+    let cursor = placedBounds ? placedBounds.maxX + gap : 0;
+    const rowZ = placedBounds ? (placedBounds.minZ + placedBounds.maxZ) / 2 : 0;
+    laidOut.filter((hole) => hole.source === 'auto').forEach((hole) => {
+        const local = getBounds(hole.points);
+        const dx = cursor - local.minX;
+        const dz = rowZ - (local.minZ + local.maxZ) / 2;
+        const move = ({ x, z }) => ({ x: x + dx, z: z + dz });
+        hole.transform = move;
+        hole.points = hole.points.map(move);
+        cursor += local.maxX - local.minX + gap;
+    });
+
+    const layoutHoles = laidOut.map((hole) => {
+        const bounds = getBounds(hole.points);
+        return {
+            ...hole,
+            bounds,
+            center: { x: (bounds.minX + bounds.maxX) / 2, z: (bounds.minZ + bounds.maxZ) / 2 }
+        };
+    });
+    return { holes: layoutHoles, bounds: mergeBounds(layoutHoles.map((hole) => hole.bounds)) };
+}
+
+// Uniform scale that fits the plan bounds into a width x height canvas with padding pixels on every side.
+export function fitCourseMapView(bounds, width, height, { padding = COURSE_MAP_DEFAULTS.padding } = {}) {
+    const spanX = Math.max(bounds.maxX - bounds.minX, 1e-6);
+    const spanZ = Math.max(bounds.maxZ - bounds.minZ, 1e-6);
+    const scale = Math.max(Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanZ), 1e-6);
+    const offsetX = width / 2 - (bounds.minX + bounds.maxX) / 2 * scale;
+    const offsetY = height / 2 - (bounds.minZ + bounds.maxZ) / 2 * scale;
+    return {
+        scale,
+        toScreen: ({ x, z }) => ({ x: offsetX + x * scale, y: offsetY + z * scale }),
+        toPlan: ({ x, y }) => ({ x: (x - offsetX) / scale, z: (y - offsetY) / scale })
+    };
+}
+
+function distanceToBounds({ x, z }, bounds) {
+    const dx = Math.max(bounds.minX - x, 0, x - bounds.maxX);
+    const dz = Math.max(bounds.minZ - z, 0, z - bounds.maxZ);
+    return Math.hypot(dx, dz);
+}
+
+// Index of the hole under a plan point, or -1. Holes whose footprint is within tolerance compete on their nearest
+// point, so a click in the overlap of two footprints picks the hole actually drawn there.
+export function pickCourseMapHole(layout, planPoint, tolerance = 0) {
+    let best = -1;
+    let bestDistance = Infinity;
+    layout.holes.forEach((hole) => {
+        if (distanceToBounds(planPoint, hole.bounds) > tolerance) return;
+        const distance = hole.points.reduce(
+            (nearest, point) => Math.min(nearest, Math.hypot(point.x - planPoint.x, point.z - planPoint.z)),
+            Infinity
+        );
+        if (distance < bestDistance) {
+            best = hole.index;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
@@ -0,0 +1,140 @@
+const DEFAULT_HISTORY_LIMIT = 100;
+const DEFAULT_MERGE_WINDOW_MS = 1200;
+export const EDITOR_DRAFT_VERSION = 1;
+
+function cloneSnapshot(snapshot) {
+    return snapshot === undefined ? undefined : JSON.parse(JSON.stringify(snapshot));
+}
+
+export function snapshotsEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Commands are { label, before, after, mergeKey } snapshots; `apply` puts a snapshot back into the editor.
+// Consecutive commands sharing a mergeKey inside the merge window collapse into one undo step.
+export function createEditHistory({
+    apply,
+    limit = DEFAULT_HISTORY_LIMIT,
+    mergeWindowMs = DEFAULT_MERGE_WINDOW_MS,
+    now = () => Date.now(),
+    onChange = () => {}
+} = {}) {
+    if (typeof apply !== 'function') {
+        throw new Error('createEditHistory requires an apply(snapshot) function');
+    }
+    const undoStack = [];
+    const redoStack = [];
+
+    function getState() {
+        return {
+            undoCount: undoStack.length,
+            redoCount: redoStack.length,
+            nextUndoLabel: undoStack.length ? undoStack[undoStack.length - 1].label : null,
+            nextRedoLabel: redoStack.length ? redoStack[redoStack.length - 1].label : null
+        };
+    }
+
+    return {
+        record({ label, before, after, mergeKey = null }) {
+            if (snapshotsEqual(before, after)) return false;
+            const recordedAt = now();
+            const last = undoStack[undoStack.length - 1];
+            redoStack.length = 0;
+            if (mergeKey && last && last.mergeKey === mergeKey && recordedAt - last.recordedAt <= mergeWindowMs) {
+                last.after = cloneSnapshot(after);
+                last.label = label;
+                last.recordedAt = recordedAt;
+                if (snapshotsEqual(last.before, last.after)) undoStack.pop();
+            } else {
+                undoStack.push({
+                    label,
+                    before: cloneSnapshot(before),
+                    after: cloneSnapshot(after),
+                    mergeKey,
+                    recordedAt
+                });
+                if (undoStack.length > limit) undoStack.shift();
+            }
+            onChange(getState());
+            return true;
+        },
+        undo() {
+            const command = undoStack.pop();
+            if (!command) return null;
+            apply(cloneSnapshot(command.before));
+            redoStack.push(command);
+            onChange(getState());
+            return command.label;
+        },
+        redo() {
+            const command = redoStack.pop();
+            if (!command) return null;
+            apply(cloneSnapshot(command.after));
+            command.recordedAt = -Infinity;
+            undoStack.push(command);
+            onChange(getState());
+            return command.label;
+        },
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            onChange(getState());
+        },
+        getState
+    };
+}
+
+// Per-hole editor drafts in Web Storage, namespaced by site so two properties on one origin don't collide.
+export function createDraftStore({ storage, namespace } = {}) {
+    if (!namespace) throw new Error('createDraftStore requires a namespace');
+    const keyFor = (holeId) => `${namespace}:draft:${holeId}`;
+
+    function load(holeId) {
+        if (!storage) return null;
+        let raw = null;
+        try {
+            raw = storage.getItem(keyFor(holeId));
+        } catch (error) {
+            return null;
+        }
+        if (!raw) return null;
+        try {
+            const draft = JSON.parse(raw);
+            if (!draft || draft.version !== EDITOR_DRAFT_VERSION || !draft.snapshot) return null;
+            return draft;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return {
+        save(holeId, snapshot, savedAt = Date.now()) {
+            if (!storage) return false;
+            try {
+                storage.setItem(keyFor(holeId), JSON.stringify({ version: EDITOR_DRAFT_VERSION, savedAt, snapshot }));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        load,
+        clear(holeId) {
+            if (!storage) return;
+            try {
+                storage.removeItem(keyFor(holeId));
+            } catch (error) {
+                // Storage can be unavailable (private mode); nothing to clear then.
+            }
+        },
+        list(holeIds) {
+            return (holeIds || [])
+                .map((holeId) => {
+                    const draft = load(holeId);
+                    return draft ? { holeId, savedAt: draft.savedAt } : null;
+                })
+                .filter(Boolean);
+        }
+    };
+}
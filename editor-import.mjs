@@ -0,0 +1,316 @@
+import { DEFAULT_PATH_TIMING, LEGACY_PATH_CURVE, PATH_CURVES, PATH_EASINGS, PATH_TIMINGS } from './camera-path.mjs';
+import { DEFAULT_TAP_DOT_ICONS, validateLotParcels, validateTapDots } from './site-manifest.mjs';
+
+const POSITION_EPSILON = 1e-6;
+const DEFAULT_CHECKPOINT_DURATION = 5;
+const MIN_CHECKPOINT_DURATION = 0.1;
+const ZERO_VECTOR = Object.freeze({ x: 0, y: 0, z: 0 });
+
+function isFiniteVector(value) {
+    return !!value && [value.x, value.y, value.z].every(Number.isFinite);
+}
+
+function sanitizeVector(raw, fallback) {
+    return {
+        x: Number.isFinite(raw?.x) ? raw.x : fallback.x,
+        y: Number.isFinite(raw?.y) ? raw.y : fallback.y,
+        z: Number.isFinite(raw?.z) ? raw.z : fallback.z
+    };
+}
+
+function vectorsMatch(a, b) {
+    return Math.abs(a.x - b.x) <= POSITION_EPSILON
+        && Math.abs(a.y - b.y) <= POSITION_EPSILON
+        && Math.abs(a.z - b.z) <= POSITION_EPSILON;
+}
+
+function connectionKey(connection) {
+    return [connection.start, connection.end].sort().join('|');
+}
+
+// JSON with object keys sorted, so configs written in a different key order still compare equal.
+function stableJson(value) {
+    if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Missing or non-finite fields fall back to the given pose; durations at or below 0.1s become 5s.
+// hold and easing are only kept when they change playback (a positive hold, a non-linear easing).
+export function sanitizePathCheckpoint(rawCheckpoint, { fallbackPosition = ZERO_VECTOR, fallbackLookAt = ZERO_VECTOR } = {}) {
+    const duration = Number.isFinite(rawCheckpoint?.duration) && rawCheckpoint.duration > MIN_CHECKPOINT_DURATION
+        ? rawCheckpoint.duration
+        : DEFAULT_CHECKPOINT_DURATION;
+    const checkpoint = {
+        position: sanitizeVector(rawCheckpoint?.position, fallbackPosition),
+        lookAt: sanitizeVector(rawCheckpoint?.lookAt, fallbackLookAt),
+        duration
+    };
+    if (Number.isFinite(rawCheckpoint?.hold) && rawCheckpoint.hold > 0) checkpoint.hold = rawCheckpoint.hold;
+    if (PATH_EASINGS.includes(rawCheckpoint?.easing) && rawCheckpoint.easing !== 'linear') checkpoint.easing = rawCheckpoint.easing;
+    return checkpoint;
+}
+
+// fallback is for paths without a usable curve; new paths pass DEFAULT_PATH_CURVE.
+export function sanitizePathCurve(curve, fallback = LEGACY_PATH_CURVE) {
+    return PATH_CURVES.includes(curve) ? curve : fallback;
+}
+
+export function sanitizePathTiming(timing) {
+    return PATH_TIMINGS.includes(timing) ? timing : DEFAULT_PATH_TIMING;
+}
+
+// Accepts bare JSON or the `path: {...}` / `splat: {...}` snippets the editors copy to the clipboard.
+export function parseEditorJson(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Nothing to import');
+    }
+    const body = text.trim().replace(/^[A-Za-z_$][\w$]*\s*:\s*/, '').replace(/[;,]\s*$/, '');
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw new Error(`Import is not valid JSON: ${error.message}`);
+    }
+}
+
+export function detectEditorPayloadKind(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return null;
+    if (Array.isArray(payload.borderDotPositions)) return 'lot';
+    if (Array.isArray(payload.checkpoints)) return 'path';
+    if ('position' in payload || 'rotation' in payload || 'scale' in payload) return 'splat';
+    return null;
+}
+
+function assertPayloadKind(payload, expected) {
+    const kind = detectEditorPayloadKind(payload);
+    if (kind !== expected) {
+        throw new Error(kind ? `Expected ${expected} JSON but got ${kind} JSON` : `Expected ${expected} JSON`);
+    }
+}
+
+// Entries of a checked list that the validator found no fault in; each faulty one is skipped with the first reason
+// it failed.
+function keepValidEntries(entries, errors, path, noun, warnings) {
+    const failures = new Map();
+    errors.forEach((error) => {
+        const index = Number(new RegExp(`^${path}\\[(\\d+)\\]`).exec(error)?.[1]);
+        if (Number.isInteger(index) && !failures.has(index)) failures.set(index, error);
+    });
+    return entries.filter((entry, index) => {
+        if (failures.has(index)) warnings.push(`${noun} ${index + 1} was skipped: ${failures.get(index)}.`);
+        return !failures.has(index);
+    }).map((entry) => JSON.parse(JSON.stringify(entry)));
+}
+
+// Returns { vertices, connections, tapDots, parcels, warnings }; bad vertices and dangling connections are dropped with
+// a warning. tapDots and parcels are null when the payload has none, otherwise the full tap dot configs and parcels
+// that pass the manifest's rules (parcels against the imported vertex names and the other holes' parcel ids).
+export function parseLotGeometryImport(payload, { knownIcons = DEFAULT_TAP_DOT_ICONS, reservedParcelIds = [] } = {}) {
+    assertPayloadKind(payload, 'lot');
+    const warnings = [];
+    const vertices = [];
+    const names = new Set();
+    payload.borderDotPositions.forEach((entry, index) => {
+        const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+        if (!name) {
+            warnings.push(`Vertex ${index + 1} has no name and was skipped.`);
+            return;
+        }
+        if (names.has(name)) {
+            warnings.push(`Duplicate vertex ${name} was skipped.`);
+            return;
+        }
+        if (!isFiniteVector(entry.position)) {
+            warnings.push(`Vertex ${name} has an invalid position and was skipped.`);
+            return;
+        }
+        names.add(name);
+        vertices.push({ name, position: { x: entry.position.x, y: entry.position.y, z: entry.position.z } });
+    });
+
+    const connections = [];
+    const seen = new Set();
+    (Array.isArray(payload.borderLineConnections) ? payload.borderLineConnections : []).forEach((connection) => {
+        const start = connection?.start;
+        const end = connection?.end;
+        if (!names.has(start) || !names.has(end) || start === end) {
+            warnings.push(`Connection ${start}-${end} does not join two imported vertices and was skipped.`);
+            return;
+        }
+        const key = connectionKey({ start, end });
+        if (seen.has(key)) return;
+        seen.add(key);
+        connections.push({ start, end });
+    });
+
+    const tapDots = Array.isArray(payload.tapDotPositions)
+        ? keepValidEntries(
+            payload.tapDotPositions,
+            validateTapDots(payload.tapDotPositions, { knownIcons, path: 'tapDotPositions' }).errors,
+            'tapDotPositions',
+            'Tap dot',
+            warnings
+        )
+        : null;
+    const parcels = Array.isArray(payload.parcels)
+        ? keepValidEntries(
+            payload.parcels,
+            validateLotParcels(payload.parcels, { vertexNames: names, reservedIds: reservedParcelIds }).errors,
+            'parcels',
+            'Parcel',
+            warnings
+        )
+        : null;
+
+    return { vertices, connections, tapDots, parcels, warnings };
+}
+
+function sanitizePathSettings(path) {
+    return {
+        enabled: !!path?.enabled,
+        loop: path?.loop !== false,
+        speed: Number.isFinite(path?.speed) && path.speed > 0 ? path.speed : 1,
+        curve: sanitizePathCurve(path?.curve),
+        timing: sanitizePathTiming(path?.timing)
+    };
+}
+
+export function parseCameraPathImport(payload, { fallbackPosition, fallbackLookAt } = {}) {
+    assertPayloadKind(payload, 'path');
+    return {
+        ...sanitizePathSettings(payload),
+        checkpoints: payload.checkpoints.map((checkpoint) => sanitizePathCheckpoint(checkpoint, { fallbackPosition, fallbackLookAt }))
+    };
+}
+
+export function parseSplatTransformImport(payload) {
+    assertPayloadKind(payload, 'splat');
+    return {
+        position: sanitizeVector(payload.position, ZERO_VECTOR),
+        rotation: sanitizeVector(payload.rotation, ZERO_VECTOR),
+        scale: Number.isFinite(payload.scale) && payload.scale > 0 ? payload.scale : 1
+    };
+}
+
+export function diffLotGeometry(current, next) {
+    const currentByName = new Map((current?.vertices || []).map((vertex) => [vertex.name, vertex.position]));
+    const nextNames = new Set();
+    const result = { added: [], moved: [], removed: [], connectionsAdded: 0, connectionsRemoved: 0 };
+    (next?.vertices || []).forEach(({ name, position }) => {
+        nextNames.add(name);
+        const previous = currentByName.get(name);
+        if (!previous) result.added.push(name);
+        else if (!vectorsMatch(previous, position)) result.moved.push(name);
+    });
+    currentByName.forEach((_, name) => {
+        if (!nextNames.has(name)) result.removed.push(name);
+    });
+    const currentKeys = new Set((current?.connections || []).map(connectionKey));
+    const nextKeys = new Set((next?.connections || []).map(connectionKey));
+    nextKeys.forEach((key) => {
+        if (!currentKeys.has(key)) result.connectionsAdded += 1;
+    });
+    currentKeys.forEach((key) => {
+        if (!nextKeys.has(key)) result.connectionsRemoved += 1;
+    });
+    return result;
+}
+
+function getTapDotDiffLabel(config, index) {
+    return config.caption ? `"${config.caption}"` : `#${index + 1}`;
+}
+
+// Tap dots have no ids either. An imported dot is the same dot as one on the hole when it sits at the same spot, or
+// failing that has the same caption; anything left over was added or removed. Labels are captions or list numbers.
+export function diffTapDots(current, next) {
+    const before = (current || []).filter(Boolean);
+    const after = next || [];
+    const unused = new Set(before.keys());
+    const pairs = after.map(() => -1);
+    const claim = (matches) => after.forEach((dot, index) => {
+        if (pairs[index] >= 0) return;
+        const match = [...unused].find((beforeIndex) => matches(before[beforeIndex], dot));
+        if (match === undefined) return;
+        pairs[index] = match;
+        unused.delete(match);
+    });
+    claim((a, b) => isFiniteVector(a.position) && vectorsMatch(a.position, b.position));
+    claim((a, b) => !!b.caption && a.caption === b.caption);
+
+    const result = { added: [], moved: [], changed: [], removed: [] };
+    after.forEach((dot, index) => {
+        const label = getTapDotDiffLabel(dot, index);
+        if (pairs[index] < 0) {
+            result.added.push(label);
+            return;
+        }
+        const previous = before[pairs[index]];
+        if (!isFiniteVector(previous.position) || !vectorsMatch(previous.position, dot.position)) result.moved.push(label);
+        if (stableJson({ ...previous, position: null }) !== stableJson({ ...dot, position: null })) result.changed.push(label);
+    });
+    unused.forEach((index) => result.removed.push(getTapDotDiffLabel(before[index], index)));
+    return result;
+}
+
+// Parcels are matched by id; changed covers a new label, ring or tags.
+export function diffLotParcels(current, next) {
+    const currentById = new Map((current || []).map((parcel) => [parcel.id, parcel]));
+    const nextIds = new Set();
+    const result = { added: [], changed: [], removed: [] };
+    (next || []).forEach((parcel) => {
+        nextIds.add(parcel.id);
+        const previous = currentById.get(parcel.id);
+        if (!previous) result.added.push(parcel.id);
+        else if (stableJson(previous) !== stableJson(parcel)) result.changed.push(parcel.id);
+    });
+    currentById.forEach((_, id) => {
+        if (!nextIds.has(id)) result.removed.push(id);
+    });
+    return result;
+}
+
+// Checkpoints have no identity, so they are compared by position in the list.
+export function diffCheckpoints(current, next) {
+    const before = current || [];
+    const after = next || [];
+    const result = { added: 0, removed: 0, changed: [] };
+    const shared = Math.min(before.length, after.length);
+    for (let i = 0; i < shared; i++) {
+        const a = before[i];
+        const b = after[i];
+        const timingChanged = Math.abs(a.duration - b.duration) > POSITION_EPSILON
+            || Math.abs((a.hold || 0) - (b.hold || 0)) > POSITION_EPSILON
+            || (a.easing || 'linear') !== (b.easing || 'linear');
+        if (!vectorsMatch(a.position, b.position) || !vectorsMatch(a.lookAt, b.lookAt) || timingChanged) {
+            result.changed.push(i);
+        }
+    }
+    result.added = Math.max(0, after.length - before.length);
+    result.removed = Math.max(0, before.length - after.length);
+    return result;
+}
+
+export function diffPathSettings(current, next) {
+    const before = sanitizePathSettings(current);
+    const after = sanitizePathSettings(next);
+    return Object.keys(before).filter((field) => (
+        field === 'speed' ? Math.abs(before.speed - after.speed) > POSITION_EPSILON : before[field] !== after[field]
+    ));
+}
+
+export function diffSplatTransform(current, next) {
+    const changed = [];
+    ['position', 'rotation'].forEach((field) => {
+        const a = sanitizeVector(current?.[field], ZERO_VECTOR);
+        const b = sanitizeVector(next?.[field], ZERO_VECTOR);
+        ['x', 'y', 'z'].forEach((axis) => {
+            if (Math.abs(a[axis] - b[axis]) > POSITION_EPSILON) changed.push(`${field}.${axis}`);
+        });
+    });
+    const currentScale = Number.isFinite(current?.scale) ? current.scale : 1;
+    if (Math.abs(currentScale - next.scale) > POSITION_EPSILON) changed.push('scale');
+    return changed;
+}
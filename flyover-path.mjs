@@ -0,0 +1,89 @@
+export const FLYOVER_DEFAULTS = Object.freeze({
+    altitude: 0.25,
+    lookAhead: 0.5,
+    speed: 0.15,
+    spacing: 0.3
+});
+
+function isFinitePoint(point) {
+    return !!point && [point.x, point.y, point.z].every(Number.isFinite);
+}
+
+function checkPositive(value, name) {
+    if (!Number.isFinite(value) || value <= 0) throw new Error(`Flyover ${name} must be greater than 0`);
+}
+
+// Ground polyline with cumulative horizontal distance; repeated picks at the same spot are dropped.
+export function buildGroundTrack(points) {
+    const track = { points: [], distances: [], length: 0 };
+    (points || []).filter(isFinitePoint).forEach((point) => {
+        const previous = track.points[track.points.length - 1];
+        const step = previous ? Math.hypot(point.x - previous.x, point.z - previous.z) : 0;
+        if (previous && step < 1e-9) return;
+        track.length += step;
+        track.points.push({ x: point.x, y: point.y, z: point.z });
+        track.distances.push(track.length);
+    });
+    return track;
+}
+
+export function sampleGroundTrack(track, distance) {
+    const { points, distances } = track;
+    if (!points.length) return null;
+    if (distance >= track.length) return { ...points[points.length - 1] };
+    const clamped = Math.max(distance, 0);
+    let index = 1;
+    while (index < points.length - 1 && distances[index] < clamped) index++;
+    if (points.length === 1) return { ...points[0] };
+    const a = points[index - 1];
+    const b = points[index];
+    const span = distances[index] - distances[index - 1];
+    const t = span > 0 ? Math.min(1, Math.max(0, (clamped - distances[index - 1]) / span)) : 0;
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+}
+
+// Drone-style flyover over picked ground points (tee, landing zone, pin...): the camera follows the track at
+// `altitude` above the ground and looks `lookAhead` further along it, stopping short so the last frame looks
+// at the final point. Checkpoints are evenly spaced (at most `spacing` apart) so the Catmull-Rom playback keeps
+// a steady `speed` in scene units per second. heightAt(x, z) can supply terrain under each sample.
+export function generateFlyoverCheckpoints(groundPoints, {
+    altitude = FLYOVER_DEFAULTS.altitude,
+    lookAhead = FLYOVER_DEFAULTS.lookAhead,
+    speed = FLYOVER_DEFAULTS.speed,
+    spacing = FLYOVER_DEFAULTS.spacing,
+    heightAt = null
+} = {}) {
+    checkPositive(altitude, 'altitude');
+    checkPositive(lookAhead, 'look-ahead distance');
+    checkPositive(speed, 'speed');
+    checkPositive(spacing, 'checkpoint spacing');
+    const track = buildGroundTrack(groundPoints);
+    if (track.points.length < 2) throw new Error('A flyover needs at least two ground points at different spots');
+
+    const groundAt = (distance) => {
+        const point = sampleGroundTrack(track, distance);
+        const height = typeof heightAt === 'function' ? heightAt(point.x, point.z) : null;
+        if (Number.isFinite(height)) point.y = height;
+        return point;
+    };
+    const travel = track.length - Math.min(lookAhead, track.length / 2);
+    const segmentCount = Math.max(1, Math.ceil(travel / spacing - 1e-9));
+    const step = travel / segmentCount;
+    const duration = Math.max(0.1, step / speed);
+    const checkpoints = [];
+    for (let i = 0; i <= segmentCount; i++) {
+        const distance = step * i;
+        const ground = groundAt(distance);
+        checkpoints.push({
+            position: { x: ground.x, y: ground.y + altitude, z: ground.z },
+            lookAt: groundAt(i === segmentCount ? track.length : distance + lookAhead),
+            duration
+        });
+    }
+    return {
+        checkpoints,
+        length: track.length,
+        travel,
+        seconds: duration * segmentCount
+    };
+}
@@ -0,0 +1,174 @@
+// World positions are three.js scene units with +Y up; only x/z matter for the map. Angles measured in the
+// scene go from +Z towards +X, the same convention as compass.northDirection. Over a golf course a local
+// east/north tangent plane around one reference point is accurate to well under a metre.
+
+function metersPerDegree(latitude) {
+    const phi = latitude * Math.PI / 180;
+    return {
+        lat: 111132.92 - 559.82 * Math.cos(2 * phi) + 1.175 * Math.cos(4 * phi),
+        lng: 111412.84 * Math.cos(phi) - 93.5 * Math.cos(3 * phi)
+    };
+}
+
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+function isLatLng(value) {
+    return !!value && Number.isFinite(value.lat) && Number.isFinite(value.lng)
+        && Math.abs(value.lat) <= 90 && Math.abs(value.lng) <= 180;
+}
+
+function isWorldPoint(value) {
+    return !!value && Number.isFinite(value.x) && Number.isFinite(value.z);
+}
+
+// east = -q·x + p·z + e0, north = p·x + q·z + n0: a rotation plus uniform scale that keeps handedness.
+function fitControlPoints(controlPoints) {
+    const reference = {
+        lat: controlPoints.reduce((sum, point) => sum + point.lat, 0) / controlPoints.length,
+        lng: controlPoints.reduce((sum, point) => sum + point.lng, 0) / controlPoints.length
+    };
+    const scale = metersPerDegree(reference.lat);
+    const samples = controlPoints.map((point) => ({
+        x: point.position.x,
+        z: point.position.z,
+        east: (point.lng - reference.lng) * scale.lng,
+        north: (point.lat - reference.lat) * scale.lat
+    }));
+    const mean = (key) => samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length;
+    const cx = mean('x');
+    const cz = mean('z');
+    const ce = mean('east');
+    const cn = mean('north');
+    let spread = 0;
+    let pSum = 0;
+    let qSum = 0;
+    samples.forEach((sample) => {
+        const x = sample.x - cx;
+        const z = sample.z - cz;
+        const east = sample.east - ce;
+        const north = sample.north - cn;
+        spread += x * x + z * z;
+        pSum += z * east + x * north;
+        qSum += z * north - x * east;
+    });
+    if (spread <= 1e-12) {
+        throw new Error('Georeference control points must be at different world positions');
+    }
+    const p = pSum / spread;
+    const q = qSum / spread;
+    return {
+        reference,
+        p,
+        q,
+        east0: ce - (-q * cx + p * cz),
+        north0: cn - (p * cx + q * cz)
+    };
+}
+
+function fromOriginAndBearing({ origin, originPosition, bearing, metersPerUnit }) {
+    // bearing is the compass bearing of the scene's +Z axis, so true north lies `bearing` degrees from +Z.
+    const theta = bearing * Math.PI / 180;
+    const p = metersPerUnit * Math.sin(theta);
+    const q = metersPerUnit * Math.cos(theta);
+    const ox = originPosition ? originPosition.x : 0;
+    const oz = originPosition ? originPosition.z : 0;
+    return {
+        reference: { lat: origin.lat, lng: origin.lng },
+        p,
+        q,
+        east0: -(-q * ox + p * oz),
+        north0: -(p * ox + q * oz)
+    };
+}
+
+// config is { controlPoints: [{ position, lat, lng }, ...] } (two or more) or
+// { origin: { lat, lng }, originPosition?, bearing, metersPerUnit }.
+export function createGeoreference(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Georeference must be an object');
+    }
+    let fit;
+    if (Array.isArray(config.controlPoints)) {
+        if (config.controlPoints.length < 2) {
+            throw new Error('Georeference needs at least two control points');
+        }
+        config.controlPoints.forEach((point, index) => {
+            if (!isLatLng(point) || !isWorldPoint(point.position)) {
+                throw new Error(`Georeference control point ${index} needs lat, lng and a world position`);
+            }
+        });
+        fit = fitControlPoints(config.controlPoints);
+    } else {
+        if (!isLatLng(config.origin)) throw new Error('Georeference origin needs lat and lng');
+        if (!Number.isFinite(config.bearing)) throw new Error('Georeference bearing must be a number');
+        if (!(Number.isFinite(config.metersPerUnit) && config.metersPerUnit > 0)) {
+            throw new Error('Georeference metersPerUnit must be greater than 0');
+        }
+        if (config.originPosition !== undefined && !isWorldPoint(config.originPosition)) {
+            throw new Error('Georeference originPosition needs x and z');
+        }
+        fit = fromOriginAndBearing(config);
+    }
+
+    const { reference, p, q, east0, north0 } = fit;
+    const scale = metersPerDegree(reference.lat);
+    const metersPerUnit = Math.hypot(p, q);
+
+    function worldToLocal({ x, z }) {
+        return { east: -q * x + p * z + east0, north: p * x + q * z + north0 };
+    }
+
+    function localToWorld({ east, north }) {
+        const de = east - east0;
+        const dn = north - north0;
+        const denominator = p * p + q * q;
+        return { x: (p * dn - q * de) / denominator, z: (p * de + q * dn) / denominator };
+    }
+
+    function worldToLatLng(position) {
+        const { east, north } = worldToLocal(position);
+        return { lat: reference.lat + north / scale.lat, lng: reference.lng + east / scale.lng };
+    }
+
+    function latLngToWorld({ lat, lng }, y = 0) {
+        const { x, z } = localToWorld({ east: (lng - reference.lng) * scale.lng, north: (lat - reference.lat) * scale.lat });
+        return { x, y, z };
+    }
+
+    // Largest control point miss in metres; 0 for origin + bearing configs.
+    const residualMeters = Array.isArray(config.controlPoints)
+        ? Math.max(...config.controlPoints.map((point) => {
+            const { east, north } = worldToLocal(point.position);
+            return Math.hypot(east - (point.lng - reference.lng) * scale.lng, north - (point.lat - reference.lat) * scale.lat);
+        }))
+        : 0;
+
+    return {
+        metersPerUnit,
+        residualMeters,
+        // Scene angle (from +Z towards +X) that points at true north.
+        northAngle: normalizeDegrees(Math.atan2(p, q) * 180 / Math.PI),
+        worldToLatLng,
+        latLngToWorld,
+        // Compass bearing (degrees clockwise from true north) of a scene direction.
+        getBearing(direction) {
+            const east = -q * direction.x + p * direction.z;
+            const north = p * direction.x + q * direction.z;
+            return normalizeDegrees(Math.atan2(east, north) * 180 / Math.PI);
+        }
+    };
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+export function formatBearing(bearing) {
+    if (!Number.isFinite(bearing)) return '—';
+    const rounded = Math.round(normalizeDegrees(bearing)) % 360;
+    return `${String(rounded).padStart(3, '0')}° ${COMPASS_POINTS[Math.round(rounded / 45) % 8]}`;
+}
+
+export function formatLatLng({ lat, lng }, digits = 6) {
+    return `${Math.abs(lat).toFixed(digits)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(digits)}° ${lng >= 0 ? 'E' : 'W'}`;
+}
@@ -0,0 +1,50 @@
+import { measurePolyline } from './measurement.mjs';
+
+export const COURSE_HAZARD_TYPES = Object.freeze(['bunker', 'water', 'waste', 'trees', 'out-of-bounds']);
+
+function horizontalDistanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return dx * dx + dz * dz;
+}
+
+// Closest point to `point` on the centerline in plan view, as { segmentIndex, position }.
+export function projectOntoCenterline(point, centerline) {
+    let best = null;
+    for (let i = 0; i < centerline.length - 1; i++) {
+        const a = centerline[i];
+        const b = centerline[i + 1];
+        const lengthSq = horizontalDistanceSq(a, b);
+        const t = lengthSq > 0
+            ? Math.min(1, Math.max(0, ((point.x - a.x) * (b.x - a.x) + (point.z - a.z) * (b.z - a.z)) / lengthSq))
+            : 0;
+        const position = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+        const distanceSq = horizontalDistanceSq(point, position);
+        if (!best || distanceSq < best.distanceSq) best = { segmentIndex: i, position, distanceSq };
+    }
+    return best ? { segmentIndex: best.segmentIndex, position: best.position } : null;
+}
+
+// The route a yardage follows: tee, onto the centerline where it passes closest, along it, then to the pin.
+export function getTeeRoute(tee, centerline = [], pin = null) {
+    const route = [tee];
+    const projection = centerline.length >= 2 ? projectOntoCenterline(tee, centerline) : null;
+    if (projection) {
+        route.push(projection.position, ...centerline.slice(projection.segmentIndex + 1));
+    } else {
+        route.push(...centerline);
+    }
+    if (pin) route.push(pin);
+    return route.filter((point, index) => index === 0 || horizontalDistanceSq(point, route[index - 1]) > 1e-18);
+}
+
+// One entry per tee in declared order; distance is metres when metersPerUnit is known, otherwise scene units.
+export function computeTeeYardages(course, { metersPerUnit = null } = {}) {
+    if (!course || !Array.isArray(course.tees)) return [];
+    const centerline = Array.isArray(course.centerline) ? course.centerline : [];
+    return course.tees.map((tee) => {
+        const route = getTeeRoute(tee.position, centerline, course.pin || null);
+        const measurement = measurePolyline(route, { metersPerUnit });
+        return { color: tee.color, label: tee.label || null, distance: measurement.distance, units: measurement.units, route };
+    });
+}
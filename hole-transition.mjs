@@ -0,0 +1,95 @@
+import { applyEasing } from './camera-path.mjs';
+
+export const HOLE_TRANSITION_DEFAULTS = Object.freeze({ fadeSeconds: 0.9, cameraSeconds: 1.4 });
+
+// Every hole has a fade level from 0 (hidden) to 1 (shown) that moves at a constant rate toward 1 for the active
+// hole and 0 for the rest. A hole change mid-fade starts from wherever the levels are, so pressing next repeatedly
+// never jumps: the half-shown hole fades back out while the newest one fades in.
+export function createHoleFader(holeCount, {
+    initialIndex = 0,
+    fadeSeconds = HOLE_TRANSITION_DEFAULTS.fadeSeconds
+} = {}) {
+    if (!Number.isInteger(holeCount) || holeCount < 1) {
+        throw new Error('createHoleFader requires at least one hole');
+    }
+    const levels = new Array(holeCount).fill(0);
+    let activeIndex = -1;
+
+    function setActive(index, { immediate = false } = {}) {
+        if (!Number.isInteger(index) || index < 0 || index >= holeCount) {
+            throw new Error(`Hole ${index} is out of range (0-${holeCount - 1})`);
+        }
+        activeIndex = index;
+        if (immediate) levels.forEach((_, holeIndex) => { levels[holeIndex] = holeIndex === index ? 1 : 0; });
+    }
+
+    function isSettled() {
+        return levels.every((level, holeIndex) => level === (holeIndex === activeIndex ? 1 : 0));
+    }
+
+    setActive(initialIndex, { immediate: true });
+
+    return {
+        setActive,
+        // Returns true while any level is still moving.
+        update(deltaSeconds) {
+            const step = fadeSeconds > 0 ? Math.max(deltaSeconds, 0) / fadeSeconds : Infinity;
+            levels.forEach((level, holeIndex) => {
+                levels[holeIndex] = holeIndex === activeIndex ? Math.min(level + step, 1) : Math.max(level - step, 0);
+            });
+            return !isSettled();
+        },
+        isSettled,
+        getActiveIndex: () => activeIndex,
+        getLevel: (holeIndex) => levels[holeIndex] || 0,
+        getOpacity: (holeIndex) => applyEasing('ease-in-out', levels[holeIndex] || 0)
+    };
+}
+
+function toOrbit(pose) {
+    const x = pose.position.x - pose.target.x;
+    const y = pose.position.y - pose.target.y;
+    const z = pose.position.z - pose.target.z;
+    const radius = Math.hypot(x, y, z);
+    return {
+        radius,
+        azimuth: Math.atan2(x, z),
+        polar: radius > 0 ? Math.acos(Math.min(Math.max(y / radius, -1), 1)) : 0
+    };
+}
+
+// Pose between two { position, target } poses: the target travels in a straight line while the camera's offset from it
+// turns the short way round and changes height and distance, so the camera swings around the scene instead of cutting
+// through it. t is 0-1 and not eased here.
+export function interpolateOrbitPose(from, to, t) {
+    const lerp = (a, b) => a + (b - a) * t;
+    const target = {
+        x: lerp(from.target.x, to.target.x),
+        y: lerp(from.target.y, to.target.y),
+        z: lerp(from.target.z, to.target.z)
+    };
+    const start = toOrbit(from);
+    const end = toOrbit(to);
+    if (!start.radius || !end.radius) {
+        return {
+            position: {
+                x: lerp(from.position.x, to.position.x),
+                y: lerp(from.position.y, to.position.y),
+                z: lerp(from.position.z, to.position.z)
+            },
+            target
+        };
+    }
+    const turn = ((end.azimuth - start.azimuth + 3 * Math.PI) % (2 * Math.PI)) - Math.PI;
+    const radius = lerp(start.radius, end.radius);
+    const azimuth = start.azimuth + turn * t;
+    const polar = lerp(start.polar, end.polar);
+    return {
+        position: {
+            x: target.x + radius * Math.sin(polar) * Math.sin(azimuth),
+            y: target.y + radius * Math.cos(polar),
+            z: target.z + radius * Math.sin(polar) * Math.cos(azimuth)
+        },
+        target
+    };
+}
@@ -0,0 +1,165 @@
+import { getSafeLinkUrl } from './tap-dot-content.mjs';
+
+export const LOT_STATUS_VERSION = 1;
+export const LOT_STATUSES = Object.freeze(['available', 'reserved', 'sold']);
+
+const AREA_EPSILON = 1e-12;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Status files look like { version: 1, lots: { "<lot id>": { status, price, listingUrl } } }.
+export function validateLotStatus(payload) {
+    const errors = [];
+    if (!isPlainObject(payload)) {
+        return { valid: false, errors: ['lot status must be a JSON object'] };
+    }
+    if (payload.version !== LOT_STATUS_VERSION) {
+        errors.push(`version ${JSON.stringify(payload.version)} is not supported (expected ${LOT_STATUS_VERSION})`);
+    }
+    if (!isPlainObject(payload.lots)) {
+        errors.push('lots must be an object keyed by lot id');
+        return { valid: false, errors };
+    }
+    Object.entries(payload.lots).forEach(([id, entry]) => {
+        const entryPath = `lots[${JSON.stringify(id)}]`;
+        if (!isPlainObject(entry)) {
+            errors.push(`${entryPath} must be an object`);
+            return;
+        }
+        if (!LOT_STATUSES.includes(entry.status)) {
+            errors.push(`${entryPath}.status must be one of ${LOT_STATUSES.join(', ')}`);
+        }
+        if (entry.price !== undefined && entry.price !== null && !(Number.isFinite(entry.price) && entry.price >= 0)) {
+            errors.push(`${entryPath}.price must be a non-negative number or null`);
+        }
+        if (entry.listingUrl !== undefined && entry.listingUrl !== null && (typeof entry.listingUrl !== 'string' || !entry.listingUrl.trim())) {
+            errors.push(`${entryPath}.listingUrl must be a non-empty string or null`);
+        } else if (typeof entry.listingUrl === 'string' && !getSafeLinkUrl(entry.listingUrl)) {
+            errors.push(`${entryPath}.listingUrl must be a relative, http(s), mailto or tel link`);
+        }
+    });
+    return { valid: errors.length === 0, errors };
+}
+
+export function buildLotStatusIndex(payload) {
+    const index = new Map();
+    Object.entries(payload?.lots || {}).forEach(([id, entry]) => {
+        index.set(id, {
+            status: entry.status,
+            price: Number.isFinite(entry.price) ? entry.price : null,
+            listingUrl: getSafeLinkUrl(entry.listingUrl)
+        });
+    });
+    return index;
+}
+
+// Lots missing from the status file have a null status so the viewer can show them as unlisted.
+export function getLotListing(statusIndex, lotId) {
+    const entry = statusIndex && typeof statusIndex.get === 'function' ? statusIndex.get(lotId) : null;
+    return entry ? { ...entry } : { status: null, price: null, listingUrl: null };
+}
+
+export async function loadLotStatus(url, { fetchImpl = globalThis.fetch } = {}) {
+    if (typeof fetchImpl !== 'function') {
+        throw new Error('loadLotStatus requires fetch.');
+    }
+    const response = await fetchImpl(url, { cache: 'no-cache' });
+    if (!response || !response.ok) {
+        throw new Error(`Unable to load lot status ${url} (${response ? response.status : 'no response'}).`);
+    }
+    const payload = await response.json();
+    const { valid, errors } = validateLotStatus(payload);
+    if (!valid) {
+        const error = new Error(`Invalid lot status ${url}:\n${errors.join('\n')}`);
+        error.errors = errors;
+        throw error;
+    }
+    return buildLotStatusIndex(payload);
+}
+
+// Returns the ring's { x, y, z } points, or null when a vertex is missing or moved to a non-finite spot.
+export function resolveParcelPolygon(parcel, vertices) {
+    if (!parcel || !Array.isArray(parcel.ring) || parcel.ring.length < 3) return null;
+    const positions = new Map((vertices || []).map((vertex) => [vertex?.name, vertex?.position]));
+    const polygon = [];
+    for (const name of parcel.ring) {
+        const position = positions.get(name);
+        if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) return null;
+        polygon.push({ x: position.x, y: position.y, z: position.z });
+    }
+    return polygon;
+}
+
+function signedArea(points) {
+    let sum = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        sum += a.x * b.z - b.x * a.z;
+    }
+    return sum / 2;
+}
+
+function isPointInTriangle(p, a, b, c) {
+    const d1 = (p.x - b.x) * (a.z - b.z) - (a.x - b.x) * (p.z - b.z);
+    const d2 = (p.x - c.x) * (b.z - c.z) - (b.x - c.x) * (p.z - c.z);
+    const d3 = (p.x - a.x) * (c.z - a.z) - (c.x - a.x) * (p.z - a.z);
+    const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+    return !(hasNegative && hasPositive);
+}
+
+// Ear clipping on the top-down (x/z) projection; returns a flat list of indices into `polygon`.
+export function triangulatePolygon(polygon) {
+    if (!Array.isArray(polygon) || polygon.length < 3) return [];
+    const orientation = signedArea(polygon) >= 0 ? 1 : -1;
+    const remaining = polygon.map((_, index) => index);
+    const triangles = [];
+    let guard = remaining.length * remaining.length;
+    while (remaining.length > 3 && guard-- > 0) {
+        let clipped = false;
+        for (let i = 0; i < remaining.length; i++) {
+            const previous = remaining[(i - 1 + remaining.length) % remaining.length];
+            const current = remaining[i];
+            const next = remaining[(i + 1) % remaining.length];
+            const a = polygon[previous];
+            const b = polygon[current];
+            const c = polygon[next];
+            const turn = ((b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x)) * orientation;
+            if (turn <= AREA_EPSILON) continue;
+            const blocked = remaining.some((index) => (
+                index !== previous && index !== current && index !== next && isPointInTriangle(polygon[index], a, b, c)
+            ));
+            if (blocked) continue;
+            triangles.push(previous, current, next);
+            remaining.splice(i, 1);
+            clipped = true;
+            break;
+        }
+        // Degenerate or self-intersecting rings: drop a vertex rather than loop forever.
+        if (!clipped) remaining.shift();
+    }
+    if (remaining.length === 3) triangles.push(...remaining);
+    return triangles;
+}
+
+export function isPointInPolygon(point, polygon) {
+    if (!point || !Array.isArray(polygon) || polygon.length < 3) return false;
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.z > point.z) !== (b.z > point.z)
+            && point.x < ((b.x - a.x) * (point.z - a.z)) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export function formatLotPrice(price, { currency = 'USD', locale = 'en-US' } = {}) {
+    if (!Number.isFinite(price)) return 'Price on request';
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 }).format(price);
+}
@@ -0,0 +1,227 @@
+const AREA_EPSILON = 1e-12;
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+const SQUARE_FEET_PER_SQUARE_METER = 10.763910417;
+const FEET_PER_METER = 3.280839895;
+
+function edgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function cross(ax, az, bx, bz) {
+    return ax * bz - az * bx;
+}
+
+// Proper crossings and collinear overlaps; edges that only meet at a shared vertex are fine.
+function segmentIntersection(p1, p2, p3, p4) {
+    const rx = p2.x - p1.x;
+    const rz = p2.z - p1.z;
+    const sx = p4.x - p3.x;
+    const sz = p4.z - p3.z;
+    const denominator = cross(rx, rz, sx, sz);
+    const qpx = p3.x - p1.x;
+    const qpz = p3.z - p1.z;
+    if (Math.abs(denominator) <= AREA_EPSILON) {
+        if (Math.abs(cross(qpx, qpz, rx, rz)) > AREA_EPSILON) return null;
+        const lengthSq = rx * rx + rz * rz;
+        if (lengthSq <= AREA_EPSILON) return null;
+        const t0 = (qpx * rx + qpz * rz) / lengthSq;
+        const t1 = t0 + (sx * rx + sz * rz) / lengthSq;
+        const overlapStart = Math.max(0, Math.min(t0, t1));
+        const overlapEnd = Math.min(1, Math.max(t0, t1));
+        if (overlapEnd - overlapStart <= 1e-9) return null;
+        const t = (overlapStart + overlapEnd) / 2;
+        return { x: p1.x + rx * t, z: p1.z + rz * t };
+    }
+    const t = cross(qpx, qpz, sx, sz) / denominator;
+    const u = cross(qpx, qpz, rx, rz) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return { x: p1.x + rx * t, z: p1.z + rz * t };
+}
+
+function signedArea(points) {
+    let sum = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        sum += a.x * b.z - b.x * a.z;
+    }
+    return sum / 2;
+}
+
+function polygonCentroid(points, area) {
+    let cx = 0;
+    let cz = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const factor = a.x * b.z - b.x * a.z;
+        cx += (a.x + b.x) * factor;
+        cz += (a.z + b.z) * factor;
+    }
+    return { x: cx / (6 * area), z: cz / (6 * area) };
+}
+
+// Top-down area, perimeter and centroid of a ring of { x, y, z } points, scaled to meters when metersPerUnit is known.
+export function measureLotPolygon(polygon, { metersPerUnit = null } = {}) {
+    const hasScale = Number.isFinite(metersPerUnit) && metersPerUnit > 0;
+    const scale = hasScale ? metersPerUnit : 1;
+    const signed = signedArea(polygon);
+    let perimeter = 0;
+    polygon.forEach((point, index) => {
+        const nextPoint = polygon[(index + 1) % polygon.length];
+        perimeter += Math.hypot(nextPoint.x - point.x, nextPoint.z - point.z);
+    });
+    const centroid = Math.abs(signed) > AREA_EPSILON
+        ? polygonCentroid(polygon, signed)
+        : {
+            x: polygon.reduce((sum, point) => sum + point.x, 0) / polygon.length,
+            z: polygon.reduce((sum, point) => sum + point.z, 0) / polygon.length
+        };
+    return {
+        area: Math.abs(signed) * scale * scale,
+        signedArea: signed,
+        perimeter: perimeter * scale,
+        centroid: {
+            x: centroid.x,
+            y: polygon.reduce((sum, point) => sum + point.y, 0) / polygon.length,
+            z: centroid.z
+        },
+        units: hasScale ? 'meters' : 'scene'
+    };
+}
+
+export function getLotKey(vertexNames) {
+    return [...vertexNames].sort().join('|');
+}
+
+// Finds the closed lots in the top-down (x/z) lot line graph. Faces are traced with the
+// "next edge clockwise" rule, so bounded faces come out counter-clockwise (positive area)
+// and each connected component's outer boundary comes out negative and is skipped.
+// A component nested inside another lot is reported as its own lots; it is not subtracted.
+export function buildLotTopology({ vertices = [], connections = [], metersPerUnit = null } = {}) {
+    const points = new Map();
+    vertices.forEach((vertex) => {
+        if (!vertex || typeof vertex.name !== 'string') return;
+        const position = vertex.position || {};
+        if (![position.x, position.y, position.z].every(Number.isFinite)) return;
+        points.set(vertex.name, { x: position.x, y: position.y, z: position.z });
+    });
+
+    const edges = [];
+    const seen = new Set();
+    const invalidEdges = [];
+    connections.forEach((connection) => {
+        const start = connection?.start;
+        const end = connection?.end;
+        if (!points.has(start) || !points.has(end) || start === end) {
+            invalidEdges.push({ start, end });
+            return;
+        }
+        const key = edgeKey(start, end);
+        if (seen.has(key)) return;
+        seen.add(key);
+        edges.push({ start, end, key });
+    });
+
+    const neighbours = new Map();
+    points.forEach((_, name) => neighbours.set(name, new Set()));
+    edges.forEach(({ start, end }) => {
+        neighbours.get(start).add(end);
+        neighbours.get(end).add(start);
+    });
+
+    // Peel off vertices of degree one until only cycles remain; whatever was peeled is dangling.
+    const danglingEdges = [];
+    const queue = [...neighbours.keys()].filter((name) => neighbours.get(name).size === 1);
+    while (queue.length) {
+        const name = queue.pop();
+        const linked = neighbours.get(name);
+        if (linked.size !== 1) continue;
+        const [other] = linked;
+        linked.delete(other);
+        neighbours.get(other).delete(name);
+        danglingEdges.push({ start: name, end: other });
+        if (neighbours.get(other).size === 1) queue.push(other);
+    }
+
+    const intersections = [];
+    for (let i = 0; i < edges.length; i++) {
+        const a = edges[i];
+        for (let j = i + 1; j < edges.length; j++) {
+            const b = edges[j];
+            if (a.start === b.start || a.start === b.end || a.end === b.start || a.end === b.end) continue;
+            const point = segmentIntersection(points.get(a.start), points.get(a.end), points.get(b.start), points.get(b.end));
+            if (point) {
+                intersections.push({
+                    first: { start: a.start, end: a.end },
+                    second: { start: b.start, end: b.end },
+                    point
+                });
+            }
+        }
+    }
+
+    const sortedNeighbours = new Map();
+    neighbours.forEach((linked, name) => {
+        const origin = points.get(name);
+        sortedNeighbours.set(name, [...linked].sort((a, b) => {
+            const pa = points.get(a);
+            const pb = points.get(b);
+            const angleA = Math.atan2(pa.z - origin.z, pa.x - origin.x);
+            const angleB = Math.atan2(pb.z - origin.z, pb.x - origin.x);
+            return angleA - angleB || (a < b ? -1 : 1);
+        }));
+    });
+
+    const lots = [];
+    const visited = new Set();
+    sortedNeighbours.forEach((linked, origin) => {
+        linked.forEach((first) => {
+            if (visited.has(`${origin}>${first}`)) return;
+            const cycle = [];
+            let from = origin;
+            let to = first;
+            while (!visited.has(`${from}>${to}`)) {
+                visited.add(`${from}>${to}`);
+                cycle.push(from);
+                const around = sortedNeighbours.get(to);
+                const incoming = around.indexOf(from);
+                const next = around[(incoming - 1 + around.length) % around.length];
+                from = to;
+                to = next;
+            }
+            const measurement = measureLotPolygon(cycle.map((name) => points.get(name)), { metersPerUnit });
+            if (measurement.signedArea <= AREA_EPSILON) return;
+            lots.push({
+                key: getLotKey(cycle),
+                vertices: cycle,
+                area: measurement.area,
+                perimeter: measurement.perimeter,
+                centroid: measurement.centroid
+            });
+        });
+    });
+    lots.sort((a, b) => b.area - a.area || (a.key < b.key ? -1 : 1));
+
+    return {
+        lots,
+        danglingEdges,
+        intersections,
+        invalidEdges,
+        units: Number.isFinite(metersPerUnit) && metersPerUnit > 0 ? 'meters' : 'scene'
+    };
+}
+
+export function formatLotArea(area, units) {
+    if (!Number.isFinite(area)) return '—';
+    if (units !== 'meters') return `${area.toFixed(4)} u²`;
+    const acres = area / SQUARE_METERS_PER_ACRE;
+    if (acres >= 0.1) return `${acres.toFixed(2)} ac`;
+    return `${Math.round(area * SQUARE_FEET_PER_SQUARE_METER).toLocaleString('en-US')} sq ft`;
+}
+
+export function formatLotLength(length, units) {
+    if (!Number.isFinite(length)) return '—';
+    if (units !== 'meters') return `${length.toFixed(3)} u`;
+    return `${Math.round(length * FEET_PER_METER).toLocaleString('en-US')} ft`;
+}
@@ -0,0 +1,125 @@
+import { formatBearing } from './georeference.mjs';
+
+export const MEASURE_UNIT_SYSTEMS = ['yards', 'meters'];
+export const MEASUREMENT_EXPORT_VERSION = 1;
+
+const METERS_PER_YARD = 0.9144;
+const METERS_PER_FOOT = 0.3048;
+
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+function isFinitePoint(point) {
+    return !!point && [point.x, point.y, point.z].every(Number.isFinite);
+}
+
+// northDirection follows parameters.compass.northDirection: the compass parks the camera on that side of the
+// target when facing north, so true north is the opposite scene angle. Returns null for vertical segments.
+export function getSceneBearing(from, to, northDirection = 0) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    if (Math.hypot(dx, dz) < 1e-12) return null;
+    const sceneAngle = Math.atan2(dx, dz) * 180 / Math.PI;
+    return normalizeDegrees(northDirection + 180 - sceneAngle);
+}
+
+// Distances are horizontal (what a yardage book shows) with the slope distance alongside. Values are metres
+// when metersPerUnit is known, otherwise scene units.
+export function measurePolyline(points, { metersPerUnit = null, northDirection = 0 } = {}) {
+    const valid = (points || []).filter(isFinitePoint);
+    const scale = Number.isFinite(metersPerUnit) && metersPerUnit > 0 ? metersPerUnit : 1;
+    const segments = [];
+    let distance = 0;
+    let slopeDistance = 0;
+    let climb = 0;
+    let descent = 0;
+    for (let i = 1; i < valid.length; i++) {
+        const from = valid[i - 1];
+        const to = valid[i];
+        const horizontal = Math.hypot(to.x - from.x, to.z - from.z) * scale;
+        const rise = (to.y - from.y) * scale;
+        const slope = Math.hypot(horizontal, rise);
+        distance += horizontal;
+        slopeDistance += slope;
+        if (rise > 0) climb += rise;
+        else descent -= rise;
+        segments.push({
+            index: i - 1,
+            distance: horizontal,
+            slopeDistance: slope,
+            rise,
+            bearing: getSceneBearing(from, to, northDirection),
+            midpoint: { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2, z: (from.z + to.z) / 2 }
+        });
+    }
+    return {
+        units: scale === metersPerUnit ? 'meters' : 'units',
+        pointCount: valid.length,
+        segments,
+        distance,
+        slopeDistance,
+        rise: valid.length > 1 ? (valid[valid.length - 1].y - valid[0].y) * scale : 0,
+        climb,
+        descent
+    };
+}
+
+export function formatMeasureDistance(value, { units = 'meters', system = 'yards' } = {}) {
+    if (!Number.isFinite(value)) return '—';
+    if (units !== 'meters') return `${value.toFixed(value < 10 ? 2 : 1)} units`;
+    if (system === 'meters') return `${Math.round(value).toLocaleString('en-US')} m`;
+    return `${Math.round(value / METERS_PER_YARD).toLocaleString('en-US')} yd`;
+}
+
+// Elevation change in feet alongside yards, metres alongside metres.
+export function formatMeasureRise(value, { units = 'meters', system = 'yards' } = {}) {
+    if (!Number.isFinite(value)) return '—';
+    let text;
+    if (units !== 'meters') text = `${Math.abs(value).toFixed(2)} units`;
+    else if (system === 'meters') text = `${Math.abs(value).toFixed(1)} m`;
+    else text = `${Math.round(Math.abs(value) / METERS_PER_FOOT)} ft`;
+    if (/^0(\.0+)? /.test(text)) return `±${text}`;
+    return `${value > 0 ? '+' : '−'}${text}`;
+}
+
+export function formatSegmentLabel(segment, options) {
+    const parts = [formatMeasureDistance(segment.distance, options), formatMeasureRise(segment.rise, options)];
+    if (segment.bearing !== null) parts.push(formatBearing(segment.bearing));
+    return parts.join(' · ');
+}
+
+// Plain JSON for sharing or spreadsheets. worldToLatLng (from a hole georeference) adds coordinates per point.
+export function buildMeasurementExport({ holeId = null, points = [], metersPerUnit = null, northDirection = 0, worldToLatLng = null } = {}) {
+    const measurement = measurePolyline(points, { metersPerUnit, northDirection });
+    const round = (value) => (Number.isFinite(value) ? Number(value.toFixed(3)) : null);
+    return {
+        version: MEASUREMENT_EXPORT_VERSION,
+        hole: holeId,
+        units: measurement.units,
+        points: points.filter(isFinitePoint).map((point) => {
+            const entry = { x: point.x, y: point.y, z: point.z };
+            if (typeof worldToLatLng === 'function') {
+                const { lat, lng } = worldToLatLng(point);
+                entry.lat = Number(lat.toFixed(8));
+                entry.lng = Number(lng.toFixed(8));
+            }
+            return entry;
+        }),
+        segments: measurement.segments.map((segment) => ({
+            from: segment.index,
+            to: segment.index + 1,
+            distance: round(segment.distance),
+            slopeDistance: round(segment.slopeDistance),
+            rise: round(segment.rise),
+            bearing: segment.bearing === null ? null : round(segment.bearing)
+        })),
+        total: {
+            distance: round(measurement.distance),
+            slopeDistance: round(measurement.slopeDistance),
+            rise: round(measurement.rise),
+            climb: round(measurement.climb),
+            descent: round(measurement.descent)
+        }
+    };
+}
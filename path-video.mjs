@@ -0,0 +1,87 @@
+export const RENDER_RESOLUTIONS = Object.freeze({
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '1440p': { width: 2560, height: 1440 },
+    '4k': { width: 3840, height: 2160 },
+    square: { width: 1080, height: 1080 },
+    vertical: { width: 1080, height: 1920 }
+});
+
+// WebCodecs encoders to try, best first, with the Matroska codec id each one is muxed under.
+export const VIDEO_ENCODER_CANDIDATES = Object.freeze([
+    { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+    { codec: 'vp8', codecId: 'V_VP8' }
+]);
+export const RECORDER_MIME_TYPES = Object.freeze(['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']);
+
+const MIN_DIMENSION = 16;
+const MAX_DIMENSION = 4096;
+
+// A preset name or "WIDTHxHEIGHT"; dimensions are rounded down to even numbers, which VP8/VP9 need.
+export function parseRenderResolution(value) {
+    const key = String(value ?? '').trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(RENDER_RESOLUTIONS, key)) return { ...RENDER_RESOLUTIONS[key] };
+    const match = /^(\d+)\s*x\s*(\d+)$/.exec(key);
+    if (!match) throw new Error(`Unknown render resolution: ${value}`);
+    const [width, height] = [match[1], match[2]].map((part) => Number(part) - (Number(part) % 2));
+    if ([width, height].some((size) => size < MIN_DIMENSION || size > MAX_DIMENSION)) {
+        throw new Error(`Render resolution must be between ${MIN_DIMENSION} and ${MAX_DIMENSION} pixels per side`);
+    }
+    return { width, height };
+}
+
+// Frames for a fixed-timestep render of a path `total` timeline seconds long played at `speed`. Frame i shows the
+// path at i / fps video seconds, so the last frame lands on (or just before) the end; maxSeconds caps the video.
+export function planPathRender({ total, speed = 1, fps = 30, maxSeconds = Infinity } = {}) {
+    if (!Number.isFinite(total) || total <= 0) throw new Error('The camera path needs 2+ checkpoints to render');
+    if (!Number.isFinite(speed) || speed <= 0) throw new Error('Playback speed must be greater than 0');
+    if (!Number.isFinite(fps) || fps < 1 || fps > 120) throw new Error('Frame rate must be between 1 and 120');
+    if (!(maxSeconds > 0)) throw new Error('Render length must be greater than 0');
+    const videoSeconds = Math.min(total / speed, maxSeconds);
+    return {
+        fps,
+        frameCount: Math.ceil(videoSeconds * fps - 1e-9) + 1,
+        videoSeconds,
+        pathSeconds: videoSeconds * speed
+    };
+}
+
+// Caption cues for tap dots the camera passes: while the camera (in plan view) is within `radius` of a captioned
+// dot, the nearest one is shown. samples are [{ time, x, z }] in order; each cue stays up at least minSeconds
+// unless the next one starts sooner.
+export function buildCaptionTrack(samples, dots, { radius = 0.35, minSeconds = 2 } = {}) {
+    const captioned = (dots || []).filter((dot) => dot && dot.caption && dot.position);
+    const cues = [];
+    (samples || []).forEach((sample, index) => {
+        let nearest = null;
+        let nearestDistance = radius;
+        captioned.forEach((dot) => {
+            const distance = Math.hypot(dot.position.x - sample.x, dot.position.z - sample.z);
+            if (distance <= nearestDistance) {
+                nearest = dot;
+                nearestDistance = distance;
+            }
+        });
+        const last = cues[cues.length - 1];
+        const next = samples[index + 1];
+        const end = next ? next.time : sample.time;
+        if (last && last.dot === nearest && last.end === sample.time) {
+            last.end = end;
+        } else if (nearest) {
+            cues.push({ dot: nearest, caption: nearest.caption, start: sample.time, end });
+        }
+    });
+    return cues.map(({ caption, start, end }, index) => {
+        const nextStart = index + 1 < cues.length ? cues[index + 1].start : Infinity;
+        return { caption, start, end: Math.max(end, Math.min(start + minSeconds, nextStart)) };
+    });
+}
+
+export function getCaptionAt(track, time) {
+    const cue = (track || []).find(({ start, end }) => time >= start && time < end);
+    return cue ? cue.caption : null;
+}
+
+export function pickRecorderMimeType(isTypeSupported) {
+    return RECORDER_MIME_TYPES.find((type) => isTypeSupported(type)) || null;
+}
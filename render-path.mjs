@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Renders a hole's camera path to a WebM file in headless Chromium.
+ *
+ *   BASE_URL=http://localhost:3000 node render-path.mjs --hole hole-15 --resolution 1080p --fps 30 --out hole-15.webm
+ *
+ * Options: --hole <id>, --resolution <preset or WxH>, --fps <n>, --max-seconds <n>, --no-captions, --out <file>.
+ */
+import { writeFile } from 'node:fs/promises';
+import { chromium } from 'playwright';
+
+const BASE = process.env.BASE_URL || 'http://localhost:3000';
+
+function parseArgs(argv) {
+  const args = { captions: true };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--no-captions') args.captions = false;
+    else if (flag === '--hole') args.hole = argv[++i];
+    else if (flag === '--resolution') args.resolution = argv[++i];
+    else if (flag === '--fps') args.fps = Number(argv[++i]);
+    else if (flag === '--max-seconds') args.maxSeconds = Number(argv[++i]);
+    else if (flag === '--out') args.out = argv[++i];
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+  return args;
+}
+
+async function renderPath() {
+  const { hole, out, ...options } = parseArgs(process.argv.slice(2));
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const page = await browser.newPage({ viewport: { width: 1280, height: 800 } });
+    page.on('pageerror', (err) => console.error(`PageError: ${err.message}`));
+    const url = hole ? `${BASE}/#hole=${encodeURIComponent(hole)}` : BASE;
+    console.log(`Loading ${url}...`);
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForFunction(() => window.__pathVideo, null, { timeout: 30000 });
+
+    console.log('Rendering...');
+    const progress = setInterval(async () => {
+      const state = await page.evaluate(() => window.__pathVideo.getState()).catch(() => null);
+      if (state && state.active) console.log(`   frame ${state.frame} / ${state.frameCount}`);
+    }, 5000);
+    let summary;
+    try {
+      summary = await page.evaluate((renderOptions) => window.__pathVideo.render(renderOptions), options);
+    } finally {
+      clearInterval(progress);
+    }
+    const base64 = await page.evaluate(() => window.__pathVideo.getLastVideoBase64());
+    const file = out || `${hole || 'path'}-tour.webm`;
+    await writeFile(file, Buffer.from(base64, 'base64'));
+    console.log(`Wrote ${file}: ${summary.frames} frames, ${summary.seconds.toFixed(1)}s at ${summary.width}x${summary.height} (${summary.encoder})`);
+  } finally {
+    await browser.close();
+  }
+}
+
+renderPath().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -16,21 +16,80 @@ export function resolveLeftMouseAction(event = {}) {
     return event.altKey ? 'rotate' : 'pan';
 }
 
+const BINDABLE_MODES = Object.freeze([
+    INTERACTION_MODE.TILT,
+    INTERACTION_MODE.ORBIT,
+    INTERACTION_MODE.PAN,
+    INTERACTION_MODE.DOLLY
+]);
+
+const BINDING_MODIFIERS = Object.freeze({
+    shift: 'shiftKey',
+    alt: 'altKey',
+    ctrl: 'ctrlKey',
+    meta: 'metaKey'
+});
+
+const MOUSE_BUTTON_KEYS = Object.freeze(['LEFT', 'MIDDLE', 'RIGHT']);
+
+export const DEFAULT_POINTER_BINDINGS = Object.freeze({
+    [INTERACTION_MODE.TILT]: Object.freeze([{ button: 0, modifier: 'shift' }]),
+    [INTERACTION_MODE.ORBIT]: Object.freeze([{ button: 0, modifier: 'alt' }, { button: 2 }]),
+    [INTERACTION_MODE.PAN]: Object.freeze([{ button: 0 }]),
+    [INTERACTION_MODE.DOLLY]: Object.freeze([{ button: 1 }])
+});
+
+export function normalizePointerBindings(bindings) {
+    const normalized = {};
+    BINDABLE_MODES.forEach((mode) => {
+        normalized[mode] = DEFAULT_POINTER_BINDINGS[mode].map((binding) => ({ ...binding }));
+    });
+    if (!bindings) return normalized;
+    Object.entries(bindings).forEach(([mode, modeBindings]) => {
+        if (!BINDABLE_MODES.includes(mode)) {
+            throw new Error(`Unknown pointer binding mode "${mode}".`);
+        }
+        const list = Array.isArray(modeBindings) ? modeBindings : (modeBindings ? [modeBindings] : []);
+        normalized[mode] = list.map((binding) => {
+            const button = Number(binding && binding.button);
+            if (!Number.isInteger(button) || button < 0) {
+                throw new Error(`Pointer binding for "${mode}" needs a button index.`);
+            }
+            const modifier = binding.modifier ? String(binding.modifier).toLowerCase() : null;
+            if (modifier && !BINDING_MODIFIERS[modifier]) {
+                throw new Error(`Unknown pointer binding modifier "${binding.modifier}" for "${mode}".`);
+            }
+            return modifier ? { button, modifier } : { button };
+        });
+    });
+    return normalized;
+}
+
 export function classifyPointerInteraction({
     pointerType = 'mouse',
     button = 0,
     altKey = false,
     shiftKey = false,
-    activeTouchCount = 0
+    ctrlKey = false,
+    metaKey = false,
+    activeTouchCount = 0,
+    bindings = DEFAULT_POINTER_BINDINGS
 } = {}) {
     if (!isDesktopPointer(pointerType)) {
         return activeTouchCount >= 2 ? INTERACTION_MODE.PINCH : INTERACTION_MODE.PAN;
     }
-    if (button === 0 && shiftKey) return INTERACTION_MODE.TILT;
-    if (button === 0 && altKey) return INTERACTION_MODE.ORBIT;
-    if (button === 0) return INTERACTION_MODE.PAN;
-    if (button === 1) return INTERACTION_MODE.DOLLY;
-    if (button === 2) return INTERACTION_MODE.ORBIT;
+    const modifiers = { altKey, shiftKey, ctrlKey, metaKey };
+    // Modifier bindings win over bare ones so alt-left can orbit while plain left pans.
+    for (const withModifier of [true, false]) {
+        for (const mode of BINDABLE_MODES) {
+            const modeBindings = bindings[mode] || [];
+            const matched = modeBindings.some((binding) => {
+                if (binding.button !== button || Boolean(binding.modifier) !== withModifier) return false;
+                return !withModifier || Boolean(modifiers[BINDING_MODIFIERS[binding.modifier]]);
+            });
+            if (matched) return mode;
+        }
+    }
     return INTERACTION_MODE.OTHER;
 }
 
@@ -121,11 +180,13 @@ export function installSafeControlsRefinement({
     lotEditState,
     MOUSE,
     Vector3,
+    bindings,
     onUserNavigate
 }) {
     if (!windowTarget || !domElement || !controls || !camera || !MOUSE || !Vector3) {
         throw new Error('installSafeControlsRefinement missing required dependencies.');
     }
+    const pointerBindings = normalizePointerBindings(bindings);
 
     const state = {
         interactionMode: INTERACTION_MODE.NONE,
@@ -142,14 +203,27 @@ export function installSafeControlsRefinement({
         if (typeof onUserNavigate === 'function') onUserNavigate();
     };
 
-    const setLeftMouseBinding = (event) => {
-        controls.mouseButtons.LEFT = resolveLeftMouseAction(event) === 'rotate'
-            ? MOUSE.ROTATE
-            : MOUSE.PAN;
+    const getMouseActionForMode = (mode) => {
+        if (mode === INTERACTION_MODE.PAN) return MOUSE.PAN;
+        if (mode === INTERACTION_MODE.ORBIT) return MOUSE.ROTATE;
+        if (mode === INTERACTION_MODE.DOLLY) return MOUSE.DOLLY;
+        return -1;
     };
 
-    const resetLeftMouseBinding = () => {
-        controls.mouseButtons.LEFT = MOUSE.PAN;
+    const setMouseButtonBinding = (button, mode) => {
+        const key = MOUSE_BUTTON_KEYS[button];
+        if (!key || mode === INTERACTION_MODE.TILT) return;
+        controls.mouseButtons[key] = getMouseActionForMode(mode);
+    };
+
+    const resetMouseButtonBindings = () => {
+        MOUSE_BUTTON_KEYS.forEach((key, button) => {
+            setMouseButtonBinding(button, classifyPointerInteraction({
+                pointerType: 'mouse',
+                button,
+                bindings: pointerBindings
+            }));
+        });
     };
 
     const updateTouchInteractionMode = () => {
@@ -184,13 +258,14 @@ export function installSafeControlsRefinement({
             button: event.button,
             altKey: Boolean(event.altKey),
             shiftKey: Boolean(event.shiftKey),
-            activeTouchCount: 0
+            ctrlKey: Boolean(event.ctrlKey),
+            metaKey: Boolean(event.metaKey),
+            activeTouchCount: 0,
+            bindings: pointerBindings
         });
 
-        if (event.button === 0) {
-            state.activeMousePointerId = event.pointerId;
-            setLeftMouseBinding(event);
-        }
+        state.activeMousePointerId = event.pointerId;
+        setMouseButtonBinding(event.button, state.interactionMode);
 
         if (state.interactionMode === INTERACTION_MODE.TILT) {
             state.shiftTilt.active = true;
@@ -244,7 +319,7 @@ export function installSafeControlsRefinement({
         endShiftTilt(event.pointerId);
         if (event.pointerId === state.activeMousePointerId || event.button === 0) {
             state.activeMousePointerId = null;
-            resetLeftMouseBinding();
+            resetMouseButtonBindings();
         }
         state.interactionMode = INTERACTION_MODE.NONE;
     };
@@ -254,7 +329,7 @@ export function installSafeControlsRefinement({
         endShiftTilt();
         state.activeMousePointerId = null;
         state.interactionMode = INTERACTION_MODE.NONE;
-        resetLeftMouseBinding();
+        resetMouseButtonBindings();
     };
 
     const handleDoubleClick = (event) => {
@@ -283,12 +358,15 @@ export function installSafeControlsRefinement({
     windowTarget.addEventListener('blur', handleWindowBlur);
     domElement.addEventListener('dblclick', handleDoubleClick, { passive: false, capture: true });
 
-    resetLeftMouseBinding();
+    resetMouseButtonBindings();
 
     return {
         getInteractionMode() {
             return state.interactionMode;
         },
+        getBindings() {
+            return pointerBindings;
+        },
         cleanup() {
             domElement.removeEventListener('pointerdown', handlePointerDown, { capture: true });
             windowTarget.removeEventListener('pointermove', handlePointerMove, { capture: true });
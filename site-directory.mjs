@@ -0,0 +1,171 @@
+import { measureLotPolygon } from './lot-topology.mjs';
+import { getLotListing, resolveParcelPolygon } from './lot-parcels.mjs';
+
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+const FILTER_PATTERN = /^([A-Za-z][\w-]*)(<=|>=|<|>|:|=)(.+)$/;
+
+function normalizeText(value) {
+    return String(value).trim().toLowerCase();
+}
+
+function copyTags(tags) {
+    const copy = {};
+    Object.entries(tags || {}).forEach(([key, value]) => {
+        if (typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value)) copy[key] = value;
+    });
+    return copy;
+}
+
+function buildSearchText(entry) {
+    return [entry.title, entry.holeLabel, ...Object.values(entry.tags)].map(normalizeText).join(' ');
+}
+
+export function getLotEdgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// One entry per captioned tap dot and per declared lot, across every hole. Lots get status, price and
+// acreage tags from the lot status file and their geometry on top of whatever tags the manifest gives them.
+export function buildSiteDirectory({
+    holes = [],
+    tapDotsByHole = [],
+    parcelsByHole = [],
+    verticesByHole = [],
+    statusIndex = null
+} = {}) {
+    const entries = [];
+    holes.forEach((hole, holeIndex) => {
+        const holeId = hole.id;
+        const holeLabel = hole.label || hole.id;
+        (parcelsByHole[holeIndex] || []).forEach((parcel) => {
+            const polygon = resolveParcelPolygon(parcel, verticesByHole[holeIndex]);
+            if (!polygon) return;
+            const measurement = measureLotPolygon(polygon, { metersPerUnit: hole.lotMetersPerUnit });
+            const listing = getLotListing(statusIndex, parcel.id);
+            const tags = copyTags(parcel.tags);
+            if (listing.status) tags.status = listing.status;
+            if (listing.price !== null) tags.price = listing.price;
+            if (measurement.units === 'meters') tags.acreage = Math.round((measurement.area / SQUARE_METERS_PER_ACRE) * 100) / 100;
+            entries.push({
+                id: `lot:${parcel.id}`,
+                kind: 'lot',
+                holeIndex,
+                holeId,
+                holeLabel,
+                title: parcel.label || parcel.id,
+                lotId: parcel.id,
+                position: measurement.centroid,
+                tags
+            });
+        });
+        (tapDotsByHole[holeIndex] || []).forEach((tapDot, tapDotIndex) => {
+            const caption = typeof tapDot?.caption === 'string' ? tapDot.caption.trim() : '';
+            const position = tapDot?.position;
+            if (!caption || !position || ![position.x, position.y, position.z].every(Number.isFinite)) return;
+            entries.push({
+                id: `poi:${holeId}:${tapDotIndex}`,
+                kind: 'poi',
+                holeIndex,
+                holeId,
+                holeLabel,
+                title: caption,
+                tapDotIndex,
+                position: { x: position.x, y: position.y, z: position.z },
+                tags: copyTags(tapDot.tags)
+            });
+        });
+    });
+    entries.forEach((entry) => {
+        entry.searchText = buildSearchText(entry);
+    });
+    return entries;
+}
+
+// Free text plus `key:value`, `key=value` and numeric `key<n` / `key>=n` filters, e.g. "lake status:available price<400000".
+export function parseDirectoryQuery(text) {
+    const terms = [];
+    const filters = [];
+    (typeof text === 'string' ? text : '').split(/\s+/).filter(Boolean).forEach((token) => {
+        const match = token.match(FILTER_PATTERN);
+        if (match) {
+            filters.push({ key: match[1].toLowerCase(), op: match[2] === '=' ? ':' : match[2], value: match[3] });
+        } else {
+            terms.push(token.toLowerCase());
+        }
+    });
+    return { terms, filters };
+}
+
+function findTagValue(tags, key) {
+    const tagKey = Object.keys(tags).find((candidate) => candidate.toLowerCase() === key);
+    return tagKey === undefined ? undefined : tags[tagKey];
+}
+
+function matchesFilter(tags, { key, op, value }) {
+    const tagValue = findTagValue(tags, key);
+    if (tagValue === undefined) return false;
+    if (op === ':') {
+        if (typeof tagValue === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) return tagValue === Number(value);
+        return normalizeText(tagValue) === normalizeText(value);
+    }
+    const limit = Number(value);
+    if (typeof tagValue !== 'number' || !Number.isFinite(limit)) return false;
+    if (op === '<') return tagValue < limit;
+    if (op === '<=') return tagValue <= limit;
+    if (op === '>') return tagValue > limit;
+    return tagValue >= limit;
+}
+
+export function isDirectoryFilterActive({ query = '', holeId = null, tag = null } = {}) {
+    return !!(holeId || tag || (typeof query === 'string' && query.trim()));
+}
+
+// `tag` is an exact { key, value } pick from listDirectoryTags; entry order is preserved.
+export function filterSiteDirectory(entries, { query = '', holeId = null, tag = null } = {}) {
+    const { terms, filters } = parseDirectoryQuery(query);
+    const tagFilter = tag ? { key: String(tag.key).toLowerCase(), op: ':', value: String(tag.value) } : null;
+    return (entries || []).filter((entry) => (
+        (!holeId || entry.holeId === holeId)
+        && (!tagFilter || matchesFilter(entry.tags, tagFilter))
+        && terms.every((term) => entry.searchText.includes(term))
+        && filters.every((filter) => matchesFilter(entry.tags, filter))
+    ));
+}
+
+// Text-like tags worth offering as filter choices; numeric tags are left to `key<n` queries.
+export function listDirectoryTags(entries) {
+    const counts = new Map();
+    (entries || []).forEach((entry) => {
+        Object.entries(entry.tags).forEach(([key, value]) => {
+            if (typeof value === 'number') return;
+            const id = `${key}:${value}`;
+            const existing = counts.get(id);
+            if (existing) existing.count += 1;
+            else counts.set(id, { key, value, count: 1 });
+        });
+    });
+    return [...counts.values()].sort((a, b) => (
+        a.key.localeCompare(b.key) || String(a.value).localeCompare(String(b.value))
+    ));
+}
+
+// What to emphasise on one hole: matching lots (with their ring edges and vertices) and matching tap dots.
+export function buildDirectoryHighlight(matches, { holeIndex, parcels = [] } = {}) {
+    const lotIds = new Set();
+    const tapDotIndices = new Set();
+    (matches || []).forEach((entry) => {
+        if (entry.holeIndex !== holeIndex) return;
+        if (entry.kind === 'lot') lotIds.add(entry.lotId);
+        else if (entry.kind === 'poi') tapDotIndices.add(entry.tapDotIndex);
+    });
+    const edgeKeys = new Set();
+    const vertexNames = new Set();
+    parcels.forEach((parcel) => {
+        if (!lotIds.has(parcel.id) || !Array.isArray(parcel.ring)) return;
+        parcel.ring.forEach((name, index) => {
+            vertexNames.add(name);
+            edgeKeys.add(getLotEdgeKey(name, parcel.ring[(index + 1) % parcel.ring.length]));
+        });
+    });
+    return { lotIds, tapDotIndices, edgeKeys, vertexNames };
+}
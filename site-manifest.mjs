@@ -0,0 +1,670 @@
+import { createGeoreference } from './georeference.mjs';
+import { COURSE_HAZARD_TYPES } from './golf-course.mjs';
+import { PATH_CURVES, PATH_EASINGS, PATH_TIMINGS } from './camera-path.mjs';
+import { normalizePointerBindings } from './safe-controls-refinement.mjs';
+import { TAP_DOT_CONTENT_TYPES, getSafeLinkUrl } from './tap-dot-content.mjs';
+import { getTourTapDotReference } from './tour.mjs';
+import { resolveTapDotLinkReference } from './view-link.mjs';
+
+export const SITE_MANIFEST_VERSION = 1;
+export const DEFAULT_TAP_DOT_ICONS = TAP_DOT_CONTENT_TYPES;
+export const TAP_DOT_PRIORITIES = Object.freeze(['high', 'medium', 'low']);
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneJson(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function checkNumber(errors, value, path, {
+    required = false,
+    positive = false
+} = {}) {
+    if (value === undefined || value === null) {
+        if (required) errors.push(`${path} is required`);
+        return;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path} must be a finite number`);
+        return;
+    }
+    if (positive && value <= 0) {
+        errors.push(`${path} must be greater than 0`);
+    }
+}
+
+function checkString(errors, value, path, { required = false } = {}) {
+    if (value === undefined || value === null) {
+        if (required) errors.push(`${path} is required`);
+        return;
+    }
+    if (typeof value !== 'string' || (required && !value.trim())) {
+        errors.push(`${path} must be a non-empty string`);
+    }
+}
+
+function checkBoolean(errors, value, path) {
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'boolean') errors.push(`${path} must be true or false`);
+}
+
+export function checkVector(errors, value, path, { required = false } = {}) {
+    if (value === undefined || value === null) {
+        if (required) errors.push(`${path} is required`);
+        return;
+    }
+    if (!isPlainObject(value)) {
+        errors.push(`${path} must be an object with x, y and z`);
+        return;
+    }
+    ['x', 'y', 'z'].forEach((axis) => {
+        checkNumber(errors, value[axis], `${path}.${axis}`, { required: true });
+    });
+}
+
+// Directory attributes such as { "view": "lake", "acreage": 0.6 }; values must be strings, numbers or booleans.
+function checkTags(errors, tags, path) {
+    if (tags === undefined) return;
+    if (!isPlainObject(tags)) {
+        errors.push(`${path} must be an object of attribute values`);
+        return;
+    }
+    Object.entries(tags).forEach(([key, value]) => {
+        if (!key.trim()) errors.push(`${path} has an empty attribute name`);
+        const valid = typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+        if (!valid) errors.push(`${path}.${key} must be a string, number or boolean`);
+    });
+}
+
+function checkSplat(errors, splat, path) {
+    if (splat === undefined) return;
+    if (!isPlainObject(splat)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    checkVector(errors, splat.position, `${path}.position`);
+    checkVector(errors, splat.rotation, `${path}.rotation`);
+    checkNumber(errors, splat.scale, `${path}.scale`, { positive: true });
+}
+
+function checkView(errors, view, path) {
+    if (view === undefined) return;
+    if (!isPlainObject(view)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    checkVector(errors, view.startPosition, `${path}.startPosition`);
+    checkVector(errors, view.target, `${path}.target`);
+    ['minDistance', 'maxDistance'].forEach((key) => {
+        checkNumber(errors, view[key], `${path}.${key}`, { positive: true });
+    });
+    ['minPolarAngle', 'maxPolarAngle', 'northDirection'].forEach((key) => {
+        checkNumber(errors, view[key], `${path}.${key}`);
+    });
+    if (Number.isFinite(view.minDistance) && Number.isFinite(view.maxDistance) && view.maxDistance <= view.minDistance) {
+        errors.push(`${path}.maxDistance must be greater than ${path}.minDistance`);
+    }
+}
+
+function checkLatLng(errors, value, path) {
+    if (!isPlainObject(value)) {
+        errors.push(`${path} must have lat and lng`);
+        return;
+    }
+    checkNumber(errors, value.lat, `${path}.lat`, { required: true });
+    checkNumber(errors, value.lng, `${path}.lng`, { required: true });
+    if (Number.isFinite(value.lat) && Math.abs(value.lat) > 90) errors.push(`${path}.lat must be between -90 and 90`);
+    if (Number.isFinite(value.lng) && Math.abs(value.lng) > 180) errors.push(`${path}.lng must be between -180 and 180`);
+}
+
+// Either two or more { position, lat, lng } control points, or origin + bearing + metersPerUnit.
+function checkGeoreference(errors, georeference, path) {
+    if (georeference === undefined || georeference === null) return;
+    if (!isPlainObject(georeference)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    const errorCount = errors.length;
+    if (georeference.controlPoints !== undefined) {
+        if (!Array.isArray(georeference.controlPoints) || georeference.controlPoints.length < 2) {
+            errors.push(`${path}.controlPoints must list at least 2 points`);
+            return;
+        }
+        georeference.controlPoints.forEach((point, index) => {
+            const pointPath = `${path}.controlPoints[${index}]`;
+            checkLatLng(errors, point, pointPath);
+            if (isPlainObject(point)) checkVector(errors, point.position, `${pointPath}.position`, { required: true });
+        });
+    } else {
+        checkLatLng(errors, georeference.origin, `${path}.origin`);
+        checkVector(errors, georeference.originPosition, `${path}.originPosition`);
+        checkNumber(errors, georeference.bearing, `${path}.bearing`, { required: true });
+        checkNumber(errors, georeference.metersPerUnit, `${path}.metersPerUnit`, { required: true, positive: true });
+    }
+    if (errors.length > errorCount) return;
+    try {
+        createGeoreference(georeference);
+    } catch (error) {
+        errors.push(`${path}: ${error.message}`);
+    }
+}
+
+// Where the hole sits on the course map: { x, z, rotation (degrees about +Y), scale }.
+function checkPlacement(errors, placement, path) {
+    if (placement === undefined || placement === null) return;
+    if (!isPlainObject(placement)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    checkNumber(errors, placement.x, `${path}.x`, { required: true });
+    checkNumber(errors, placement.z, `${path}.z`, { required: true });
+    checkNumber(errors, placement.rotation, `${path}.rotation`);
+    checkNumber(errors, placement.scale, `${path}.scale`, { positive: true });
+}
+
+function checkAnimation(errors, animation, path) {
+    if (animation === undefined) return;
+    if (!isPlainObject(animation)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    checkBoolean(errors, animation.autoRotate, `${path}.autoRotate`);
+    checkNumber(errors, animation.speed, `${path}.speed`);
+    checkNumber(errors, animation.startRadius, `${path}.startRadius`, { positive: true });
+    checkNumber(errors, animation.initialAngle, `${path}.initialAngle`);
+    checkVector(errors, animation.center, `${path}.center`);
+}
+
+export function checkCameraPath(errors, cameraPath, path) {
+    if (cameraPath === undefined || cameraPath === null) return;
+    if (!isPlainObject(cameraPath)) {
+        errors.push(`${path} must be an object or null`);
+        return;
+    }
+    checkBoolean(errors, cameraPath.enabled, `${path}.enabled`);
+    checkBoolean(errors, cameraPath.loop, `${path}.loop`);
+    checkNumber(errors, cameraPath.speed, `${path}.speed`, { positive: true });
+    if (cameraPath.curve !== undefined && !PATH_CURVES.includes(cameraPath.curve)) {
+        errors.push(`${path}.curve must be one of ${PATH_CURVES.join(', ')}`);
+    }
+    if (cameraPath.timing !== undefined && !PATH_TIMINGS.includes(cameraPath.timing)) {
+        errors.push(`${path}.timing must be one of ${PATH_TIMINGS.join(', ')}`);
+    }
+    if (cameraPath.checkpoints === undefined) return;
+    if (!Array.isArray(cameraPath.checkpoints)) {
+        errors.push(`${path}.checkpoints must be an array`);
+        return;
+    }
+    cameraPath.checkpoints.forEach((checkpoint, index) => {
+        const checkpointPath = `${path}.checkpoints[${index}]`;
+        if (!isPlainObject(checkpoint)) {
+            errors.push(`${checkpointPath} must be an object`);
+            return;
+        }
+        checkVector(errors, checkpoint.position, `${checkpointPath}.position`, { required: true });
+        checkVector(errors, checkpoint.lookAt, `${checkpointPath}.lookAt`, { required: true });
+        checkNumber(errors, checkpoint.duration, `${checkpointPath}.duration`, { positive: true });
+        checkNumber(errors, checkpoint.hold, `${checkpointPath}.hold`);
+        if (Number.isFinite(checkpoint.hold) && checkpoint.hold < 0) errors.push(`${checkpointPath}.hold must not be negative`);
+        if (checkpoint.easing !== undefined && !PATH_EASINGS.includes(checkpoint.easing)) {
+            errors.push(`${checkpointPath}.easing must be one of ${PATH_EASINGS.join(', ')}`);
+        }
+    });
+}
+
+function checkLink(errors, link, path) {
+    if (!isPlainObject(link)) {
+        errors.push(`${path} must be an object with a label and url`);
+        return;
+    }
+    checkString(errors, link.label, `${path}.label`);
+    checkString(errors, link.url, `${path}.url`, { required: true });
+    if (typeof link.url === 'string' && link.url.trim() && !getSafeLinkUrl(link.url)) {
+        errors.push(`${path}.url must be a relative, http(s), mailto or tel link`);
+    }
+}
+
+// Video, panorama and card dots keep their content in an object named after the icon.
+function getTapDotContent(errors, tapDot, key, path) {
+    const content = tapDot[key];
+    if (content === undefined) {
+        if (tapDot.icon === key) errors.push(`${path}.${key} is required for ${key} tap dots`);
+        return null;
+    }
+    if (!isPlainObject(content)) {
+        errors.push(`${path}.${key} must be an object`);
+        return null;
+    }
+    return content;
+}
+
+function checkTapDotContent(errors, tapDot, path) {
+    const video = getTapDotContent(errors, tapDot, 'video', path);
+    if (video) {
+        checkString(errors, video.src, `${path}.video.src`, { required: true });
+        checkString(errors, video.poster, `${path}.video.poster`);
+        ['autoplay', 'loop', 'muted'].forEach((key) => checkBoolean(errors, video[key], `${path}.video.${key}`));
+    }
+    const panorama = getTapDotContent(errors, tapDot, 'panorama', path);
+    if (panorama) {
+        checkString(errors, panorama.src, `${path}.panorama.src`, { required: true });
+        checkNumber(errors, panorama.yaw, `${path}.panorama.yaw`);
+        checkNumber(errors, panorama.pitch, `${path}.panorama.pitch`);
+        checkNumber(errors, panorama.fov, `${path}.panorama.fov`, { positive: true });
+    }
+    const card = getTapDotContent(errors, tapDot, 'card', path);
+    if (card) {
+        checkString(errors, card.title, `${path}.card.title`);
+        checkString(errors, card.body, `${path}.card.body`);
+        if (!card.title && !card.body) errors.push(`${path}.card needs a title or body`);
+        if (card.links !== undefined) {
+            if (!Array.isArray(card.links)) errors.push(`${path}.card.links must be an array`);
+            else card.links.forEach((link, index) => checkLink(errors, link, `${path}.card.links[${index}]`));
+        }
+        if (card.cta !== undefined) checkLink(errors, card.cta, `${path}.card.cta`);
+    }
+}
+
+function checkTapDots(errors, tapDots, path, knownIcons) {
+    if (tapDots === undefined) return;
+    if (!Array.isArray(tapDots)) {
+        errors.push(`${path} must be an array`);
+        return;
+    }
+    tapDots.forEach((tapDot, index) => {
+        const tapDotPath = `${path}[${index}]`;
+        if (!isPlainObject(tapDot)) {
+            errors.push(`${tapDotPath} must be an object`);
+            return;
+        }
+        checkVector(errors, tapDot.position, `${tapDotPath}.position`, { required: true });
+        checkNumber(errors, tapDot.scale, `${tapDotPath}.scale`, { positive: true });
+        if (!knownIcons.includes(tapDot.icon)) {
+            errors.push(`${tapDotPath}.icon ${JSON.stringify(tapDot.icon)} is not a known icon (${knownIcons.join(', ')})`);
+        }
+        checkString(errors, tapDot.caption, `${tapDotPath}.caption`);
+        if (tapDot.priority !== undefined && !TAP_DOT_PRIORITIES.includes(tapDot.priority)) {
+            errors.push(`${tapDotPath}.priority must be one of ${TAP_DOT_PRIORITIES.join(', ')}`);
+        }
+        checkString(errors, tapDot.photo, `${tapDotPath}.photo`);
+        checkTags(errors, tapDot.tags, `${tapDotPath}.tags`);
+        checkTapDotContent(errors, tapDot, tapDotPath);
+        if (tapDot.photos !== undefined) {
+            if (!Array.isArray(tapDot.photos)) {
+                errors.push(`${tapDotPath}.photos must be an array of strings`);
+            } else {
+                tapDot.photos.forEach((photo, photoIndex) => {
+                    checkString(errors, photo, `${tapDotPath}.photos[${photoIndex}]`, { required: true });
+                });
+            }
+        }
+    });
+}
+
+// Tap dots on their own, e.g. from the lot editor's export, checked with the same rules as a hole's tapDots.
+export function validateTapDots(tapDots, { knownIcons = DEFAULT_TAP_DOT_ICONS, path = 'tapDots' } = {}) {
+    const errors = [];
+    checkTapDots(errors, tapDots, path, knownIcons);
+    return { valid: errors.length === 0, errors };
+}
+
+// Parcels are named rings of lot vertex names; their status and price live in the separate lot status file.
+function checkLotParcels(errors, parcels, path, vertexNames, parcelIds) {
+    if (parcels === undefined) return;
+    if (!Array.isArray(parcels)) {
+        errors.push(`${path} must be an array`);
+        return;
+    }
+    parcels.forEach((parcel, index) => {
+        const parcelPath = `${path}[${index}]`;
+        if (!isPlainObject(parcel)) {
+            errors.push(`${parcelPath} must be an object`);
+            return;
+        }
+        checkString(errors, parcel.id, `${parcelPath}.id`, { required: true });
+        if (typeof parcel.id === 'string' && parcel.id) {
+            if (parcelIds.has(parcel.id)) errors.push(`${parcelPath}.id ${JSON.stringify(parcel.id)} is used by more than one lot`);
+            parcelIds.add(parcel.id);
+        }
+        checkString(errors, parcel.label, `${parcelPath}.label`);
+        checkTags(errors, parcel.tags, `${parcelPath}.tags`);
+        if (!Array.isArray(parcel.ring) || parcel.ring.length < 3) {
+            errors.push(`${parcelPath}.ring must list at least 3 vertex names`);
+            return;
+        }
+        const seen = new Set();
+        parcel.ring.forEach((vertexName, vertexIndex) => {
+            const vertexPath = `${parcelPath}.ring[${vertexIndex}]`;
+            if (typeof vertexName !== 'string' || !vertexName) {
+                errors.push(`${vertexPath} must be a vertex name`);
+            } else if (!vertexNames.has(vertexName)) {
+                errors.push(`${vertexPath} ${JSON.stringify(vertexName)} does not match any lot vertex`);
+            } else if (seen.has(vertexName)) {
+                errors.push(`${vertexPath} ${JSON.stringify(vertexName)} appears more than once in the ring`);
+            }
+            seen.add(vertexName);
+        });
+    });
+}
+
+// Parcels on their own, e.g. from the lot editor's export, checked against the vertex names they sit on.
+// reservedIds are parcel ids used by other holes.
+export function validateLotParcels(parcels, { vertexNames = [], reservedIds = [], path = 'parcels' } = {}) {
+    const errors = [];
+    checkLotParcels(errors, parcels, path, new Set(vertexNames), new Set(reservedIds));
+    return { valid: errors.length === 0, errors };
+}
+
+function checkLot(errors, lot, path, parcelIds) {
+    if (lot === undefined) return;
+    if (!isPlainObject(lot)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    checkNumber(errors, lot.metersPerUnit, `${path}.metersPerUnit`, { positive: true });
+    const vertexNames = new Set();
+    const vertices = lot.vertices === undefined ? [] : lot.vertices;
+    if (!Array.isArray(vertices)) {
+        errors.push(`${path}.vertices must be an array`);
+    } else {
+        vertices.forEach((vertex, index) => {
+            const vertexPath = `${path}.vertices[${index}]`;
+            if (!isPlainObject(vertex)) {
+                errors.push(`${vertexPath} must be an object`);
+                return;
+            }
+            checkString(errors, vertex.name, `${vertexPath}.name`, { required: true });
+            if (typeof vertex.name === 'string' && vertex.name) {
+                if (vertexNames.has(vertex.name)) {
+                    errors.push(`${vertexPath}.name ${JSON.stringify(vertex.name)} is used by more than one vertex`);
+                }
+                vertexNames.add(vertex.name);
+            }
+            checkVector(errors, vertex.position, `${vertexPath}.position`, { required: true });
+        });
+    }
+    checkLotParcels(errors, lot.parcels, `${path}.parcels`, vertexNames, parcelIds);
+    const connections = lot.connections === undefined ? [] : lot.connections;
+    if (!Array.isArray(connections)) {
+        errors.push(`${path}.connections must be an array`);
+        return;
+    }
+    connections.forEach((connection, index) => {
+        const connectionPath = `${path}.connections[${index}]`;
+        if (!isPlainObject(connection)) {
+            errors.push(`${connectionPath} must be an object with start and end`);
+            return;
+        }
+        ['start', 'end'].forEach((key) => {
+            const vertexName = connection[key];
+            if (typeof vertexName !== 'string' || !vertexName) {
+                errors.push(`${connectionPath}.${key} must be a vertex name`);
+            } else if (!vertexNames.has(vertexName)) {
+                errors.push(`${connectionPath}.${key} ${JSON.stringify(vertexName)} does not match any vertex in ${path}.vertices`);
+            }
+        });
+        if (connection.start && connection.start === connection.end) {
+            errors.push(`${connectionPath} connects ${JSON.stringify(connection.start)} to itself`);
+        }
+    });
+}
+
+function checkInteger(errors, value, path, min, max) {
+    if (value === undefined || value === null) return;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${path} must be a whole number from ${min} to ${max}`);
+    }
+}
+
+function checkOutline(errors, points, path, minimum) {
+    if (points === undefined) return;
+    if (!Array.isArray(points) || points.length < minimum) {
+        errors.push(`${path} must be an array of at least ${minimum} points`);
+        return;
+    }
+    points.forEach((point, index) => checkVector(errors, point, `${path}[${index}]`, { required: true }));
+}
+
+// Golf semantics for a hole: tees by colour, the fairway centerline the yardages follow, green, pin and hazards.
+function checkCourse(errors, course, path) {
+    if (course === undefined) return;
+    if (!isPlainObject(course)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    checkInteger(errors, course.par, `${path}.par`, 3, 6);
+    checkInteger(errors, course.handicap, `${path}.handicap`, 1, 18);
+    const tees = course.tees === undefined ? [] : course.tees;
+    if (!Array.isArray(tees)) {
+        errors.push(`${path}.tees must be an array`);
+    } else {
+        const colors = new Set();
+        tees.forEach((tee, index) => {
+            const teePath = `${path}.tees[${index}]`;
+            if (!isPlainObject(tee)) {
+                errors.push(`${teePath} must be an object`);
+                return;
+            }
+            checkString(errors, tee.color, `${teePath}.color`, { required: true });
+            if (typeof tee.color === 'string' && tee.color) {
+                if (colors.has(tee.color)) errors.push(`${teePath}.color ${JSON.stringify(tee.color)} is used by more than one tee`);
+                colors.add(tee.color);
+            }
+            checkString(errors, tee.label, `${teePath}.label`);
+            checkVector(errors, tee.position, `${teePath}.position`, { required: true });
+        });
+    }
+    checkOutline(errors, course.centerline, `${path}.centerline`, 2);
+    checkOutline(errors, course.green, `${path}.green`, 3);
+    checkVector(errors, course.pin, `${path}.pin`);
+    const hazards = course.hazards === undefined ? [] : course.hazards;
+    if (!Array.isArray(hazards)) {
+        errors.push(`${path}.hazards must be an array`);
+        return;
+    }
+    hazards.forEach((hazard, index) => {
+        const hazardPath = `${path}.hazards[${index}]`;
+        if (!isPlainObject(hazard)) {
+            errors.push(`${hazardPath} must be an object`);
+            return;
+        }
+        if (!COURSE_HAZARD_TYPES.includes(hazard.type)) {
+            errors.push(`${hazardPath}.type must be one of: ${COURSE_HAZARD_TYPES.join(', ')}`);
+        }
+        checkString(errors, hazard.label, `${hazardPath}.label`);
+        checkOutline(errors, hazard.outline, `${hazardPath}.outline`, 3);
+        if (hazard.outline === undefined) errors.push(`${hazardPath}.outline is required`);
+    });
+}
+
+function checkSeconds(errors, value, path) {
+    checkNumber(errors, value, path);
+    if (Number.isFinite(value) && value < 0) errors.push(`${path} must not be negative`);
+}
+
+// Tours are ordered stops: a hole id, the camera pose to glide to, an optional tap dot on that hole (caption or
+// index) to open on arrival, narration text or audio, and move/dwell times in seconds.
+function checkTours(errors, tours, holes) {
+    if (tours === undefined) return;
+    if (!Array.isArray(tours)) {
+        errors.push('tours must be an array');
+        return;
+    }
+    const tourIds = new Set();
+    tours.forEach((tour, index) => {
+        const tourPath = `tours[${index}]`;
+        if (!isPlainObject(tour)) {
+            errors.push(`${tourPath} must be an object`);
+            return;
+        }
+        checkString(errors, tour.id, `${tourPath}.id`, { required: true });
+        if (typeof tour.id === 'string' && tour.id) {
+            if (tourIds.has(tour.id)) errors.push(`${tourPath}.id ${JSON.stringify(tour.id)} is used by more than one tour`);
+            tourIds.add(tour.id);
+        }
+        checkString(errors, tour.title, `${tourPath}.title`);
+        if (!Array.isArray(tour.stops) || !tour.stops.length) {
+            errors.push(`${tourPath}.stops must be a non-empty array`);
+            return;
+        }
+        tour.stops.forEach((stop, stopIndex) => {
+            const stopPath = `${tourPath}.stops[${stopIndex}]`;
+            if (!isPlainObject(stop)) {
+                errors.push(`${stopPath} must be an object`);
+                return;
+            }
+            const hole = holes.find((candidate) => isPlainObject(candidate) && candidate.id === stop.hole);
+            checkString(errors, stop.hole, `${stopPath}.hole`, { required: true });
+            if (typeof stop.hole === 'string' && stop.hole && !hole) {
+                errors.push(`${stopPath}.hole ${JSON.stringify(stop.hole)} does not match any hole`);
+            }
+            checkVector(errors, stop.position, `${stopPath}.position`, { required: true });
+            checkVector(errors, stop.target, `${stopPath}.target`, { required: true });
+            if (stop.tapDot !== undefined) {
+                const reference = getTourTapDotReference(stop);
+                if (!reference) {
+                    errors.push(`${stopPath}.tapDot must be a tap dot caption or index`);
+                } else if (hole && resolveTapDotLinkReference(Array.isArray(hole.tapDots) ? hole.tapDots : [], reference) < 0) {
+                    errors.push(`${stopPath}.tapDot ${JSON.stringify(stop.tapDot)} does not match any tap dot on ${JSON.stringify(stop.hole)}`);
+                }
+            }
+            checkString(errors, stop.narration, `${stopPath}.narration`);
+            checkString(errors, stop.audio, `${stopPath}.audio`);
+            checkSeconds(errors, stop.move, `${stopPath}.move`);
+            checkSeconds(errors, stop.dwell, `${stopPath}.dwell`);
+        });
+    });
+}
+
+export function validateSiteManifest(manifest, { knownIcons = DEFAULT_TAP_DOT_ICONS } = {}) {
+    const errors = [];
+    if (!isPlainObject(manifest)) {
+        return { valid: false, errors: ['manifest must be a JSON object'] };
+    }
+    if (manifest.version !== SITE_MANIFEST_VERSION) {
+        errors.push(`version ${JSON.stringify(manifest.version)} is not supported (expected ${SITE_MANIFEST_VERSION})`);
+    }
+    if (manifest.site !== undefined) {
+        if (!isPlainObject(manifest.site)) {
+            errors.push('site must be an object');
+        } else {
+            checkString(errors, manifest.site.id, 'site.id');
+            checkString(errors, manifest.site.title, 'site.title');
+            checkString(errors, manifest.site.lotStatus, 'site.lotStatus');
+        }
+    }
+    if (manifest.parameters !== undefined && !isPlainObject(manifest.parameters)) {
+        errors.push('parameters must be an object');
+    } else if (manifest.parameters && manifest.parameters.pointerBindings !== undefined) {
+        // The viewer builds its controls from these at startup, so a typo must fail here rather than there.
+        try {
+            normalizePointerBindings(manifest.parameters.pointerBindings);
+        } catch (error) {
+            errors.push(`parameters.pointerBindings: ${error.message}`);
+        }
+    }
+    if (!Array.isArray(manifest.holes) || !manifest.holes.length) {
+        errors.push('holes must be a non-empty array');
+        return { valid: false, errors };
+    }
+    const holeIds = new Set();
+    const parcelIds = new Set();
+    manifest.holes.forEach((hole, index) => {
+        const holePath = `holes[${index}]`;
+        if (!isPlainObject(hole)) {
+            errors.push(`${holePath} must be an object`);
+            return;
+        }
+        checkString(errors, hole.id, `${holePath}.id`, { required: true });
+        if (typeof hole.id === 'string' && hole.id) {
+            if (holeIds.has(hole.id)) errors.push(`${holePath}.id ${JSON.stringify(hole.id)} is used by more than one hole`);
+            holeIds.add(hole.id);
+        }
+        checkString(errors, hole.label, `${holePath}.label`, { required: true });
+        checkString(errors, hole.source, `${holePath}.source`, { required: true });
+        checkNumber(errors, hole.revealDuration, `${holePath}.revealDuration`, { positive: true });
+        checkSplat(errors, hole.splat, `${holePath}.splat`);
+        checkView(errors, hole.view, `${holePath}.view`);
+        checkGeoreference(errors, hole.georeference, `${holePath}.georeference`);
+        checkPlacement(errors, hole.placement, `${holePath}.placement`);
+        checkAnimation(errors, hole.animation, `${holePath}.animation`);
+        checkCameraPath(errors, hole.path, `${holePath}.path`);
+        checkTapDots(errors, hole.tapDots, `${holePath}.tapDots`, knownIcons);
+        checkLot(errors, hole.lot, `${holePath}.lot`, parcelIds);
+        checkCourse(errors, hole.course, `${holePath}.course`);
+    });
+    checkTours(errors, manifest.tours, manifest.holes);
+    return { valid: errors.length === 0, errors };
+}
+
+export function buildViewerConfigFromManifest(manifest) {
+    const holes = manifest.holes;
+    return {
+        site: cloneJson(manifest.site) || {},
+        parameters: cloneJson(manifest.parameters) || {},
+        holeConfigurations: holes.map((hole) => ({
+            id: hole.id,
+            label: hole.label,
+            source: hole.source,
+            revealDuration: hole.revealDuration,
+            splat: cloneJson(hole.splat),
+            view: cloneJson(hole.view),
+            animation: cloneJson(hole.animation),
+            path: hole.path ? cloneJson(hole.path) : null,
+            georeference: hole.georeference ? cloneJson(hole.georeference) : null,
+            placement: hole.placement ? cloneJson(hole.placement) : null,
+            lotMetersPerUnit: hole.lot?.metersPerUnit ?? (hole.georeference ? createGeoreference(hole.georeference).metersPerUnit : null),
+            course: hole.course ? cloneJson(hole.course) : null
+        })),
+        tapDotConfigurationsByHole: holes.map((hole) => cloneJson(hole.tapDots) || []),
+        borderDotPositionsByHole: holes.map((hole) => cloneJson(hole.lot?.vertices) || []),
+        borderLineConnectionsByHole: holes.map((hole) => cloneJson(hole.lot?.connections) || []),
+        lotParcelsByHole: holes.map((hole) => cloneJson(hole.lot?.parcels) || []),
+        tours: cloneJson(manifest.tours) || []
+    };
+}
+
+export function applyParameterOverrides(target, overrides) {
+    if (!isPlainObject(target) || !isPlainObject(overrides)) return target;
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            applyParameterOverrides(target[key], value);
+        } else {
+            target[key] = cloneJson(value);
+        }
+    });
+    return target;
+}
+
+// ?site= only picks between manifests served next to the viewer; another origin could feed it arbitrary links and media
+export function resolveSiteManifestUrl(site, baseHref, fallback = './site.json') {
+    const base = new URL(baseHref);
+    const url = new URL(site || fallback, base);
+    if (url.origin !== base.origin) {
+        throw new Error(`Refusing site manifest from another origin: ${url.href}`);
+    }
+    return url.href;
+}
+
+export async function loadSiteManifest(url, {
+    fetchImpl = globalThis.fetch,
+    knownIcons = DEFAULT_TAP_DOT_ICONS
+} = {}) {
+    if (typeof fetchImpl !== 'function') {
+        throw new Error('loadSiteManifest requires fetch.');
+    }
+    const response = await fetchImpl(url, { cache: 'no-cache' });
+    if (!response || !response.ok) {
+        throw new Error(`Unable to load site manifest ${url} (${response ? response.status : 'no response'}).`);
+    }
+    const manifest = await response.json();
+    const { valid, errors } = validateSiteManifest(manifest, { knownIcons });
+    if (!valid) {
+        const error = new Error(`Invalid site manifest ${url}:\n${errors.join('\n')}`);
+        error.errors = errors;
+        throw error;
+    }
+    return buildViewerConfigFromManifest(manifest);
+}
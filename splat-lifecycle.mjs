@@ -0,0 +1,121 @@
+const DEFAULT_MAX_RESIDENT_SPLATS = 2;
+
+function normalizeBudget(maxResident) {
+    return Number.isFinite(maxResident) && maxResident >= 1
+        ? Math.floor(maxResident)
+        : DEFAULT_MAX_RESIDENT_SPLATS;
+}
+
+// Keeps at most `maxResident` splats alive, evicting the least recently used one that is not active.
+export function createSplatLifecycleManager({
+    slotCount,
+    maxResident = DEFAULT_MAX_RESIDENT_SPLATS,
+    createSplat,
+    disposeSplat = () => {}
+} = {}) {
+    if (!Number.isInteger(slotCount) || slotCount < 0) {
+        throw new Error('createSplatLifecycleManager requires a non-negative integer slotCount');
+    }
+    if (typeof createSplat !== 'function') {
+        throw new Error('createSplatLifecycleManager requires a createSplat function');
+    }
+
+    const slots = new Array(slotCount).fill(null);
+    let budget = normalizeBudget(maxResident);
+    let activeIndex = -1;
+    let useCounter = 0;
+
+    function assertIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= slotCount) {
+            throw new Error(`Splat slot ${index} is out of range (0-${slotCount - 1})`);
+        }
+    }
+
+    function ensureSlot(index) {
+        if (!slots[index]) {
+            slots[index] = { splat: createSplat(index), lastUsed: 0, loaded: false };
+        }
+        slots[index].lastUsed = ++useCounter;
+        return slots[index];
+    }
+
+    function getResidentIndices() {
+        return slots
+            .map((slot, index) => (slot ? index : -1))
+            .filter((index) => index >= 0)
+            .sort((a, b) => slots[b].lastUsed - slots[a].lastUsed);
+    }
+
+    function evict(index) {
+        assertIndex(index);
+        const slot = slots[index];
+        if (!slot) return false;
+        slots[index] = null;
+        disposeSplat(slot.splat, index);
+        return true;
+    }
+
+    function enforceBudget() {
+        const evicted = [];
+        let resident = getResidentIndices();
+        while (resident.length > budget) {
+            const leastRecent = resident.filter((index) => index !== activeIndex).pop();
+            if (leastRecent === undefined) break;
+            evict(leastRecent);
+            evicted.push(leastRecent);
+            resident = getResidentIndices();
+        }
+        return evicted;
+    }
+
+    return {
+        acquire(index) {
+            assertIndex(index);
+            activeIndex = index;
+            const slot = ensureSlot(index);
+            enforceBudget();
+            return slot.splat;
+        },
+        // Preloading never pushes out the active splat, so it is skipped when only one splat fits.
+        preload(index) {
+            assertIndex(index);
+            if (index === activeIndex) return slots[index] ? slots[index].splat : null;
+            if (!slots[index] && budget < 2) return null;
+            const slot = ensureSlot(index);
+            if (activeIndex >= 0 && slots[activeIndex]) {
+                slots[activeIndex].lastUsed = ++useCounter;
+            }
+            enforceBudget();
+            return slot.splat;
+        },
+        evict,
+        get(index) {
+            assertIndex(index);
+            return slots[index] ? slots[index].splat : null;
+        },
+        markLoaded(index) {
+            assertIndex(index);
+            if (slots[index]) slots[index].loaded = true;
+        },
+        isLoaded(index) {
+            assertIndex(index);
+            return !!(slots[index] && slots[index].loaded);
+        },
+        setBudget(maxResidentSplats) {
+            budget = normalizeBudget(maxResidentSplats);
+            return enforceBudget();
+        },
+        getBudget: () => budget,
+        getActiveIndex: () => activeIndex,
+        getResidentIndices
+    };
+}
+
+// Fraction of points the Luma loader has streamed so far, or null while the total is unknown.
+export function getSplatLoadProgress(loader) {
+    if (!loader) return null;
+    const total = loader.numSplats;
+    const loaded = loader.cpuPtsCount;
+    if (!Number.isFinite(total) || total <= 0 || !Number.isFinite(loaded)) return null;
+    return Math.min(1, Math.max(0, loaded / total));
+}
@@ -0,0 +1,534 @@
+import { getLotListing, resolveParcelPolygon } from './lot-parcels.mjs';
+
+// Survey coordinates are the first two numbers of a GeoJSON/KML position: [x, y] in whatever plane the
+// surveyor delivered (lng/lat, state plane feet, ...). Scene positions only use x/z here; heights are
+// left at 0 for the viewer to snap onto the splat surface.
+
+const DEFAULT_MERGE_DISTANCE = 1e-4;
+
+function isSurveyPosition(value) {
+    return Array.isArray(value) && value.length >= 2 && Number.isFinite(value[0]) && Number.isFinite(value[1]);
+}
+
+function copyProperties(properties) {
+    return properties && typeof properties === 'object' && !Array.isArray(properties) ? { ...properties } : {};
+}
+
+// GeoJSON rings repeat their first position at the end; KML rings usually do too.
+function openRing(coordinates) {
+    const ring = coordinates.slice();
+    if (ring.length > 1) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) ring.pop();
+    }
+    return ring;
+}
+
+function pushGeometry(features, warnings, geometry, name, properties) {
+    const label = name || 'Unnamed feature';
+    if (!geometry || typeof geometry !== 'object') {
+        warnings.push(`${label} has no geometry and was skipped.`);
+        return;
+    }
+    const type = geometry.type;
+    const coordinates = geometry.coordinates;
+    if (type === 'Polygon' || type === 'MultiPolygon') {
+        const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+        if (!Array.isArray(polygons)) {
+            warnings.push(`${label} has invalid coordinates and was skipped.`);
+            return;
+        }
+        polygons.forEach((rings) => {
+            const outer = Array.isArray(rings) && Array.isArray(rings[0]) ? rings[0] : null;
+            if (!outer || !outer.every(isSurveyPosition)) {
+                warnings.push(`${label} has an invalid ring and was skipped.`);
+                return;
+            }
+            const ring = openRing(outer);
+            if (ring.length < 3) {
+                warnings.push(`${label} has fewer than three corners and was skipped.`);
+                return;
+            }
+            if (rings.length > 1) warnings.push(`${label} has interior rings; only the outer boundary was imported.`);
+            features.push({ kind: 'polygon', name, properties: copyProperties(properties), coordinates: ring });
+        });
+        return;
+    }
+    if (type === 'LineString' || type === 'MultiLineString') {
+        const lines = type === 'LineString' ? [coordinates] : coordinates;
+        if (!Array.isArray(lines)) {
+            warnings.push(`${label} has invalid coordinates and was skipped.`);
+            return;
+        }
+        lines.forEach((line) => {
+            if (!Array.isArray(line) || line.length < 2 || !line.every(isSurveyPosition)) {
+                warnings.push(`${label} has an invalid line and was skipped.`);
+                return;
+            }
+            features.push({ kind: 'line', name, properties: copyProperties(properties), coordinates: line.slice() });
+        });
+        return;
+    }
+    if (type === 'Point') {
+        if (!isSurveyPosition(coordinates)) {
+            warnings.push(`${label} has an invalid point and was skipped.`);
+            return;
+        }
+        features.push({ kind: 'point', name, properties: copyProperties(properties), coordinates: [coordinates] });
+        return;
+    }
+    if (type === 'GeometryCollection' && Array.isArray(geometry.geometries)) {
+        geometry.geometries.forEach((part) => pushGeometry(features, warnings, part, name, properties));
+        return;
+    }
+    warnings.push(`${label} is a ${type || 'unknown'} geometry and was skipped.`);
+}
+
+function parseGeoJson(payload) {
+    const features = [];
+    const warnings = [];
+    const list = payload.type === 'FeatureCollection'
+        ? (Array.isArray(payload.features) ? payload.features : [])
+        : payload.type === 'Feature' ? [payload] : [{ type: 'Feature', geometry: payload, properties: {} }];
+    list.forEach((feature, index) => {
+        const properties = copyProperties(feature?.properties);
+        const name = typeof properties.name === 'string' && properties.name.trim()
+            ? properties.name.trim()
+            : typeof properties.label === 'string' && properties.label.trim() ? properties.label.trim() : `Feature ${index + 1}`;
+        pushGeometry(features, warnings, feature?.geometry, name, properties);
+    });
+    return { format: 'geojson', features, warnings };
+}
+
+function decodeXmlText(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function findXmlElements(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'g');
+    return [...xml.matchAll(pattern)].map((match) => ({ source: match[0], body: match[1] || '' }));
+}
+
+function readXmlText(xml, tag) {
+    const element = findXmlElements(xml, tag)[0];
+    return element ? decodeXmlText(element.body) : '';
+}
+
+function parseKmlCoordinates(text) {
+    return decodeXmlText(text).split(/\s+/).filter(Boolean).map((tuple) => tuple.split(',').map(Number));
+}
+
+function readKmlProperties(placemark) {
+    const properties = {};
+    findXmlElements(placemark, 'Data').forEach(({ source, body }) => {
+        const key = source.match(/\bname="([^"]*)"/);
+        if (key) properties[decodeXmlText(key[1])] = readXmlText(body, 'value');
+    });
+    findXmlElements(placemark, 'SimpleData').forEach(({ source, body }) => {
+        const key = source.match(/\bname="([^"]*)"/);
+        if (key) properties[decodeXmlText(key[1])] = decodeXmlText(body);
+    });
+    const description = readXmlText(placemark, 'description');
+    if (description) properties.description = description;
+    return properties;
+}
+
+function readKmlGeometries(placemark) {
+    const geometries = [];
+    findXmlElements(placemark, 'Polygon').forEach(({ body }) => {
+        const outer = findXmlElements(body, 'outerBoundaryIs')[0];
+        const rings = [outer ? readXmlText(outer.body, 'coordinates') : ''];
+        findXmlElements(body, 'innerBoundaryIs').forEach((inner) => rings.push(readXmlText(inner.body, 'coordinates')));
+        geometries.push({ type: 'Polygon', coordinates: rings.map(parseKmlCoordinates) });
+    });
+    findXmlElements(placemark, 'LineString').forEach(({ body }) => {
+        geometries.push({ type: 'LineString', coordinates: parseKmlCoordinates(readXmlText(body, 'coordinates')) });
+    });
+    findXmlElements(placemark, 'LinearRing').forEach(({ source, body }) => {
+        // Rings inside a Polygon were handled above; a bare LinearRing is a closed line.
+        if (findXmlElements(placemark, 'Polygon').some((polygon) => polygon.source.includes(source))) return;
+        geometries.push({ type: 'LineString', coordinates: parseKmlCoordinates(readXmlText(body, 'coordinates')) });
+    });
+    findXmlElements(placemark, 'Point').forEach(({ body }) => {
+        geometries.push({ type: 'Point', coordinates: parseKmlCoordinates(readXmlText(body, 'coordinates'))[0] });
+    });
+    return geometries;
+}
+
+function parseKml(text) {
+    const features = [];
+    const warnings = [];
+    const placemarks = findXmlElements(text, 'Placemark');
+    if (!placemarks.length) warnings.push('KML has no Placemarks.');
+    placemarks.forEach(({ body }, index) => {
+        const name = readXmlText(body.replace(/<(?:\w+:)?ExtendedData\b[\s\S]*?<\/(?:\w+:)?ExtendedData>/g, ''), 'name') || `Placemark ${index + 1}`;
+        const properties = { name, ...readKmlProperties(body) };
+        const geometries = readKmlGeometries(body);
+        if (!geometries.length) warnings.push(`${name} has no geometry and was skipped.`);
+        geometries.forEach((geometry) => pushGeometry(features, warnings, geometry, name, properties));
+    });
+    return { format: 'kml', features, warnings };
+}
+
+// Returns { format: 'geojson' | 'kml', features: [{ kind, name, properties, coordinates }], warnings }.
+// kind is 'polygon' (open ring, outer boundary only), 'line' or 'point' (a single position).
+export function parseSurveyText(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Nothing to import');
+    }
+    const trimmed = text.trim();
+    if (trimmed.startsWith('<')) {
+        if (!/<(?:\w+:)?kml\b/i.test(trimmed)) throw new Error('XML import must be a KML document');
+        return parseKml(trimmed);
+    }
+    let payload;
+    try {
+        payload = JSON.parse(trimmed);
+    } catch (error) {
+        throw new Error(`Import is not valid GeoJSON: ${error.message}`);
+    }
+    if (!isSurveyPayload(payload)) throw new Error('Expected a GeoJSON FeatureCollection, Feature or geometry');
+    return parseGeoJson(payload);
+}
+
+export function isSurveyPayload(payload) {
+    return !!payload && typeof payload === 'object' && typeof payload.type === 'string'
+        && ['FeatureCollection', 'Feature', 'Polygon', 'MultiPolygon', 'LineString', 'MultiLineString', 'Point', 'GeometryCollection'].includes(payload.type);
+}
+
+export function isSurveyText(text) {
+    if (typeof text !== 'string') return false;
+    const trimmed = text.trim();
+    if (trimmed.startsWith('<')) return /<(?:\w+:)?kml\b/i.test(trimmed);
+    if (!trimmed.startsWith('{')) return false;
+    try {
+        return isSurveyPayload(JSON.parse(trimmed));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Distinct survey positions, in feature order, for picking tie points.
+export function listSurveyPositions(features) {
+    const positions = [];
+    const seen = new Set();
+    (features || []).forEach((feature) => {
+        feature.coordinates.forEach((coordinate, index) => {
+            const key = `${coordinate[0]},${coordinate[1]}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            positions.push({
+                key,
+                survey: [coordinate[0], coordinate[1]],
+                label: feature.kind === 'point' ? feature.name : `${feature.name} #${index + 1}`
+            });
+        });
+    });
+    return positions;
+}
+
+// Least-squares affine map from survey [x, y] to scene { x, z } through tie points
+// [{ survey: [x, y], world: { x, z } }, ...]. Three or more tie points, not all on one line.
+export function fitSurveyTransform(tiePoints) {
+    if (!Array.isArray(tiePoints) || tiePoints.length < 3) {
+        throw new Error('Survey alignment needs at least three tie points');
+    }
+    tiePoints.forEach((tiePoint, index) => {
+        if (!isSurveyPosition(tiePoint?.survey) || !Number.isFinite(tiePoint?.world?.x) || !Number.isFinite(tiePoint?.world?.z)) {
+            throw new Error(`Tie point ${index + 1} needs a survey position and a world x/z`);
+        }
+    });
+    const count = tiePoints.length;
+    const mean = (read) => tiePoints.reduce((sum, tiePoint) => sum + read(tiePoint), 0) / count;
+    const cu = mean((tiePoint) => tiePoint.survey[0]);
+    const cv = mean((tiePoint) => tiePoint.survey[1]);
+    const cx = mean((tiePoint) => tiePoint.world.x);
+    const cz = mean((tiePoint) => tiePoint.world.z);
+    let suu = 0;
+    let suv = 0;
+    let svv = 0;
+    let sux = 0;
+    let svx = 0;
+    let suz = 0;
+    let svz = 0;
+    tiePoints.forEach(({ survey, world }) => {
+        const du = survey[0] - cu;
+        const dv = survey[1] - cv;
+        const dx = world.x - cx;
+        const dz = world.z - cz;
+        suu += du * du;
+        suv += du * dv;
+        svv += dv * dv;
+        sux += du * dx;
+        svx += dv * dx;
+        suz += du * dz;
+        svz += dv * dz;
+    });
+    const det = suu * svv - suv * suv;
+    if (!(det > 1e-12 * (suu + svv) * (suu + svv))) {
+        throw new Error('Survey tie points must not all lie on one line');
+    }
+    const a = (svv * sux - suv * svx) / det;
+    const b = (suu * svx - suv * sux) / det;
+    const d = (svv * suz - suv * svz) / det;
+    const e = (suu * svz - suv * suz) / det;
+    const linearDet = a * e - b * d;
+    if (!(Math.abs(linearDet) > 1e-12 * (a * a + b * b + d * d + e * e))) {
+        throw new Error('Survey tie points must not all lie on one line in the scene');
+    }
+
+    function toWorld(survey) {
+        const du = survey[0] - cu;
+        const dv = survey[1] - cv;
+        return { x: cx + a * du + b * dv, z: cz + d * du + e * dv };
+    }
+
+    function toSurvey({ x, z }) {
+        const dx = x - cx;
+        const dz = z - cz;
+        return [cu + (e * dx - b * dz) / linearDet, cv + (a * dz - d * dx) / linearDet];
+    }
+
+    return {
+        toWorld,
+        toSurvey,
+        // Largest tie point miss in scene units.
+        residual: Math.max(...tiePoints.map(({ survey, world }) => {
+            const fitted = toWorld(survey);
+            return Math.hypot(fitted.x - world.x, fitted.z - world.z);
+        }))
+    };
+}
+
+function createVertexNamer(reservedNames) {
+    let next = 1;
+    return () => {
+        while (reservedNames.has(`Lot_V${next}`)) next += 1;
+        const name = `Lot_V${next}`;
+        reservedNames.add(name);
+        return name;
+    };
+}
+
+// Properties that describe the feature itself rather than the parcel; listing fields live in lot-status.json.
+const PARCEL_RESERVED_PROPERTIES = new Set(['kind', 'id', 'label', 'name', 'ring', 'start', 'end']);
+const LISTING_PROPERTIES = ['status', 'price', 'listingUrl'];
+
+function slugifyParcelId(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function getParcelTags(properties) {
+    const tags = {};
+    Object.entries(properties).forEach(([key, value]) => {
+        if (!key.trim() || PARCEL_RESERVED_PROPERTIES.has(key) || LISTING_PROPERTIES.includes(key)) return;
+        const valid = typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+        if (valid) tags[key] = value;
+    });
+    return tags;
+}
+
+// Turns polygon and line features into lot editor geometry. Corners closer than mergeDistance (scene units)
+// become one vertex so neighbouring parcels share their edges. Names come from `ring` / `start`+`end`
+// properties written by buildSurveyFeatureCollection when present, otherwise Lot_V1, Lot_V2, ...
+// Polygons (other than ones exported with a non-lot kind) also become parcels: id from `id` or a slug of the
+// label, label from `label` or the feature name, and the remaining scalar properties as tags. reservedParcelIds
+// are ids already used elsewhere in the site, so generated ids never collide with them.
+export function buildSurveyLotGeometry(features, {
+    toWorld,
+    mergeDistance = DEFAULT_MERGE_DISTANCE,
+    reservedParcelIds = []
+} = {}) {
+    if (typeof toWorld !== 'function') throw new Error('buildSurveyLotGeometry needs a toWorld transform');
+    const warnings = [];
+    const vertices = [];
+    const cells = new Map();
+    const reservedNames = new Set();
+    const cellSize = mergeDistance > 0 ? mergeDistance : DEFAULT_MERGE_DISTANCE;
+    const lotFeatures = (features || []).filter((feature) => feature.kind !== 'point');
+    const skippedPoints = (features || []).length - lotFeatures.length;
+    if (skippedPoints) warnings.push(`${skippedPoints} point feature${skippedPoints === 1 ? '' : 's'} skipped; only lines and polygons become lot lines.`);
+
+    // Requested names are reserved up front so generated names never collide with them.
+    const requestedNames = lotFeatures.map((feature) => {
+        const { ring, start, end } = feature.properties;
+        let names = null;
+        if (feature.kind === 'polygon' && Array.isArray(ring) && ring.length === feature.coordinates.length) names = ring;
+        if (feature.kind === 'line' && feature.coordinates.length === 2 && typeof start === 'string' && typeof end === 'string') names = [start, end];
+        if (!names || !names.every((name) => typeof name === 'string' && name.trim())) return null;
+        names.forEach((name) => reservedNames.add(name.trim()));
+        return names.map((name) => name.trim());
+    });
+    const nextName = createVertexNamer(reservedNames);
+    const usedNames = new Set();
+
+    function findVertex(point) {
+        const cellX = Math.floor(point.x / cellSize);
+        const cellZ = Math.floor(point.z / cellSize);
+        for (let ox = -1; ox <= 1; ox++) {
+            for (let oz = -1; oz <= 1; oz++) {
+                const bucket = cells.get(`${cellX + ox}|${cellZ + oz}`);
+                const match = bucket && bucket.find((vertex) => (
+                    Math.hypot(vertex.position.x - point.x, vertex.position.z - point.z) <= mergeDistance
+                ));
+                if (match) return match;
+            }
+        }
+        return null;
+    }
+
+    function addVertex(point, requestedName) {
+        const existing = findVertex(point);
+        if (existing) return existing.name;
+        const name = requestedName && !usedNames.has(requestedName) ? requestedName : nextName();
+        usedNames.add(name);
+        const vertex = { name, position: { x: point.x, y: 0, z: point.z } };
+        vertices.push(vertex);
+        const key = `${Math.floor(point.x / cellSize)}|${Math.floor(point.z / cellSize)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(vertex);
+        return name;
+    }
+
+    const connections = [];
+    const connectionKeys = new Set();
+    function connect(start, end) {
+        if (start === end) return;
+        const key = [start, end].sort().join('|');
+        if (connectionKeys.has(key)) return;
+        connectionKeys.add(key);
+        connections.push({ start, end });
+    }
+
+    const parcels = [];
+    const parcelIds = new Set(reservedParcelIds);
+    function addParcel(feature, names) {
+        const { properties } = feature;
+        if (properties.kind !== undefined && properties.kind !== 'lot') return;
+        const ring = names.filter((name, index) => name !== names[(index + 1) % names.length]);
+        if (new Set(ring).size !== ring.length || ring.length < 3) {
+            warnings.push(`${feature.name} was not kept as a parcel; its corners merged into fewer than 3 distinct points.`);
+            return;
+        }
+        const label = typeof properties.label === 'string' && properties.label.trim() ? properties.label.trim() : feature.name;
+        const requestedId = typeof properties.id === 'string' && properties.id.trim()
+            ? properties.id.trim()
+            : slugifyParcelId(label) || 'lot';
+        let id = requestedId;
+        for (let suffix = 2; parcelIds.has(id); suffix++) id = `${requestedId}-${suffix}`;
+        parcelIds.add(id);
+        if (id !== requestedId) warnings.push(`${feature.name} was given parcel id ${JSON.stringify(id)}; ${JSON.stringify(requestedId)} is already used.`);
+        parcels.push({ id, label, ring, tags: getParcelTags(properties) });
+        const listingKeys = LISTING_PROPERTIES.filter((key) => properties[key] !== undefined);
+        if (listingKeys.length) warnings.push(`${feature.name} has ${listingKeys.join(', ')}; listing details belong in lot-status.json and were not imported.`);
+    }
+
+    lotFeatures.forEach((feature, featureIndex) => {
+        const requested = requestedNames[featureIndex];
+        const names = feature.coordinates.map((coordinate, index) => addVertex(toWorld(coordinate), requested ? requested[index] : null));
+        if (feature.kind === 'polygon') addParcel(feature, names);
+        const segmentCount = feature.kind === 'polygon' ? names.length : names.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+            connect(names[i], names[(i + 1) % names.length]);
+        }
+        const closesOnItself = feature.kind === 'line' && names.length > 2 && names[0] === names[names.length - 1];
+        if (new Set(names).size < names.length - (closesOnItself ? 1 : 0)) {
+            warnings.push(`${feature.name} has corners closer than ${mergeDistance} scene units; they were merged.`);
+        }
+    });
+
+    return { vertices, connections, parcels, warnings };
+}
+
+// Shoelace area with survey x/y; positive for counter-clockwise rings.
+function getSurveyRingArea(coordinates) {
+    let twiceArea = 0;
+    coordinates.forEach(([x1, y1], index) => {
+        const [x2, y2] = coordinates[(index + 1) % coordinates.length];
+        twiceArea += x1 * y2 - x2 * y1;
+    });
+    return twiceArea / 2;
+}
+
+function roundCoordinate(value) {
+    return Number(value.toFixed(9));
+}
+
+function toSurveyPosition(toSurvey, position) {
+    const [x, y] = toSurvey(position);
+    return [roundCoordinate(x), roundCoordinate(y)];
+}
+
+// GeoJSON of the active lot lines, declared parcels and tap dots. Parcel and tap dot tags become flat
+// feature properties; `kind`, `ring` and `start`/`end` let buildSurveyLotGeometry restore vertex names.
+export function buildSurveyFeatureCollection({
+    holeId = null,
+    vertices = [],
+    connections = [],
+    parcels = [],
+    tapDots = [],
+    statusIndex = null,
+    toSurvey
+} = {}) {
+    if (typeof toSurvey !== 'function') throw new Error('buildSurveyFeatureCollection needs a toSurvey transform');
+    const positionByName = new Map(vertices.map((vertex) => [vertex.name, vertex.position]));
+    const features = [];
+
+    parcels.forEach((parcel) => {
+        const polygon = resolveParcelPolygon(parcel, vertices);
+        if (!polygon) return;
+        let ring = parcel.ring.slice();
+        let coordinates = polygon.map((point) => toSurveyPosition(toSurvey, point));
+        // RFC 7946 wants counter-clockwise outer rings in survey space.
+        if (getSurveyRingArea(coordinates) < 0) {
+            ring = ring.reverse();
+            coordinates = coordinates.reverse();
+        }
+        const listing = getLotListing(statusIndex, parcel.id);
+        const properties = { ...(parcel.tags || {}), kind: 'lot', id: parcel.id, label: parcel.label || parcel.id, ring };
+        if (listing.status) properties.status = listing.status;
+        if (listing.price !== null) properties.price = listing.price;
+        if (listing.listingUrl) properties.listingUrl = listing.listingUrl;
+        features.push({
+            type: 'Feature',
+            properties,
+            geometry: { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] }
+        });
+    });
+
+    connections.forEach(({ start, end }) => {
+        const a = positionByName.get(start);
+        const b = positionByName.get(end);
+        if (!a || !b) return;
+        features.push({
+            type: 'Feature',
+            properties: { kind: 'lot-line', start, end },
+            geometry: { type: 'LineString', coordinates: [toSurveyPosition(toSurvey, a), toSurveyPosition(toSurvey, b)] }
+        });
+    });
+
+    tapDots.forEach((tapDot, index) => {
+        const position = tapDot?.position;
+        if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) return;
+        const properties = { ...(tapDot.tags || {}), kind: 'tap-dot', index };
+        if (typeof tapDot.caption === 'string' && tapDot.caption.trim()) properties.caption = tapDot.caption.trim();
+        features.push({
+            type: 'Feature',
+            properties,
+            geometry: { type: 'Point', coordinates: toSurveyPosition(toSurvey, position) }
+        });
+    });
+
+    const collection = { type: 'FeatureCollection', features };
+    if (holeId) collection.hole = holeId;
+    return collection;
+}
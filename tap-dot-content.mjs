@@ -0,0 +1,179 @@
+// What each tap dot icon opens: 'info' shows its caption label, 'camera' the photo carousel, and the rest the
+// popup of the same name. Unknown icons keep the original behaviour and open as photos.
+export const TAP_DOT_CONTENT_TYPES = Object.freeze(['info', 'camera', 'video', 'panorama', 'card']);
+export const PANORAMA_VIEW_LIMITS = Object.freeze({ minFov: 30, maxFov: 100, maxPitch: 85 });
+
+const DEFAULT_PANORAMA_FOV = 75;
+const SAFE_LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+export function getTapDotContentType(config) {
+    const icon = config?.icon || 'info';
+    if (icon === 'info') return 'label';
+    if (icon === 'video' || icon === 'panorama' || icon === 'card') return icon;
+    return 'photos';
+}
+
+function pickDefined(source, keys) {
+    const picked = {};
+    keys.forEach((key) => {
+        if (source[key] !== undefined && source[key] !== null && source[key] !== '') picked[key] = source[key];
+    });
+    return picked;
+}
+
+function serializeLink(link) {
+    return link && link.url ? { label: link.label || link.url, url: link.url } : null;
+}
+
+// The content fields a tap dot saves back to tapDotPositions: video, panorama and card dots keep only their own
+// object, the rest keep photos as they always have.
+export function serializeTapDotContent(config) {
+    const cfg = config || {};
+    const type = getTapDotContentType(cfg);
+    if (type === 'video' && cfg.video?.src) {
+        return { video: pickDefined(cfg.video, ['src', 'poster', 'autoplay', 'loop', 'muted']) };
+    }
+    if (type === 'panorama' && cfg.panorama?.src) {
+        return { panorama: pickDefined(cfg.panorama, ['src', 'yaw', 'pitch', 'fov']) };
+    }
+    if (type === 'card' && cfg.card) {
+        const card = pickDefined(cfg.card, ['title', 'body']);
+        const links = (cfg.card.links || []).map(serializeLink).filter(Boolean);
+        const cta = serializeLink(cfg.card.cta);
+        if (links.length) card.links = links;
+        if (cta) card.cta = cta;
+        return { card };
+    }
+    if (type === 'photos' || type === 'label') {
+        if (cfg.photos && cfg.photos.length) return { photos: cfg.photos };
+        if (cfg.photo) return { photo: cfg.photo };
+    }
+    return {};
+}
+
+// A copy of a tap dot config with editor changes applied. Blank captions and priorities are removed instead of
+// saved, and a photo list edit trims and drops empty entries and replaces the single `photo` shorthand.
+export function updateTapDotConfig(config, changes = {}) {
+    const next = { ...JSON.parse(JSON.stringify(config || {})), ...JSON.parse(JSON.stringify(changes)) };
+    ['caption', 'priority'].forEach((key) => {
+        if (typeof next[key] === 'string') next[key] = next[key].trim();
+        if (!next[key]) delete next[key];
+    });
+    if (changes.photos !== undefined) {
+        const photos = (Array.isArray(changes.photos) ? changes.photos : [])
+            .map((photo) => String(photo ?? '').trim())
+            .filter(Boolean);
+        delete next.photo;
+        if (photos.length) next.photos = photos;
+        else delete next.photos;
+    }
+    return next;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Links may be relative or use http(s), mailto or tel; anything else (javascript:, data:, ...) is refused.
+export function getSafeLinkUrl(url) {
+    const value = String(url ?? '').trim();
+    if (!value || /[\s<>"']/.test(value)) return null;
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+    if (scheme && !SAFE_LINK_SCHEMES.includes(scheme[1].toLowerCase())) return null;
+    return value;
+}
+
+function renderLink(label, url) {
+    const safeUrl = getSafeLinkUrl(url);
+    if (!safeUrl) return label;
+    const external = /^(https?:)?\/\//i.test(safeUrl) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${escapeHtml(safeUrl)}"${external}>${label}</a>`;
+}
+
+// Inline markdown on raw text: `code`, [label](url), **bold** and *italic* / _italic_. Everything else is escaped.
+function renderInline(text) {
+    const codeSpans = [];
+    const withoutCode = String(text).replace(/[\u0000\u0001]/g, '').replace(/`([^`]+)`/g, (_, code) => {
+        codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+    const links = [];
+    // URLs may hold one level of balanced parentheses, as in wiki/Foo_(bar)
+    const withoutLinks = withoutCode.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, label, url) => {
+        links.push({ label, url });
+        return `\u0001${links.length - 1}\u0001`;
+    });
+    const emphasis = (value) => escapeHtml(value)
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])([*_])(?=\S)(.+?)\2(?![*\w])/g, '$1<em>$3</em>');
+    return emphasis(withoutLinks)
+        .replace(/\u0001(\d+)\u0001/g, (_, index) => renderLink(emphasis(links[index].label), links[index].url))
+        .replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[index]);
+}
+
+// Card bodies use a small, safe markdown subset: paragraphs (single newlines become <br>), "# " headings,
+// "- " / "* " bullet lists and "1. " numbered lists, plus the inline forms above. Raw HTML is shown as text.
+export function renderCardMarkdown(markdown) {
+    const blocks = String(markdown ?? '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    return blocks.map((block) => {
+        const lines = block.split('\n').map((line) => line.trim()).filter(Boolean);
+        if (!lines.length) return '';
+        const heading = /^(#{1,3})\s+(.*)$/.exec(lines[0]);
+        if (heading && lines.length === 1) {
+            const level = heading[1].length + 2;
+            return `<h${level}>${renderInline(heading[2])}</h${level}>`;
+        }
+        if (lines.every((line) => /^[-*]\s+/.test(line))) {
+            return `<ul>${lines.map((line) => `<li>${renderInline(line.replace(/^[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+        }
+        if (lines.every((line) => /^\d+[.)]\s+/.test(line))) {
+            return `<ol>${lines.map((line) => `<li>${renderInline(line.replace(/^\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+        }
+        return `<p>${lines.map(renderInline).join('<br>')}</p>`;
+    }).filter(Boolean).join('');
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// Panorama view angles in degrees: yaw wraps to [-180, 180), pitch and field of view are clamped.
+export function clampPanoramaView({ yaw = 0, pitch = 0, fov = DEFAULT_PANORAMA_FOV } = {}) {
+    const { minFov, maxFov, maxPitch } = PANORAMA_VIEW_LIMITS;
+    return {
+        yaw: ((((Number(yaw) || 0) + 180) % 360) + 360) % 360 - 180,
+        pitch: clamp(Number(pitch) || 0, -maxPitch, maxPitch),
+        fov: clamp(Number.isFinite(fov) ? fov : DEFAULT_PANORAMA_FOV, minFov, maxFov)
+    };
+}
+
+// Drag-to-look: the image follows the pointer, one viewport height of drag turning the view by its field of view.
+export function dragPanoramaView(view, deltaX, deltaY, viewportHeight) {
+    const degreesPerPixel = view.fov / Math.max(viewportHeight, 1);
+    return clampPanoramaView({
+        yaw: view.yaw - deltaX * degreesPerPixel,
+        pitch: view.pitch + deltaY * degreesPerPixel,
+        fov: view.fov
+    });
+}
+
+export function zoomPanoramaView(view, wheelDelta) {
+    return clampPanoramaView({ ...view, fov: view.fov * Math.exp(wheelDelta * 0.001) });
+}
+
+// Unit look direction on an inside-out three.js SphereGeometry (scaled -1 on x): yaw 0 faces the middle of the
+// equirectangular image, positive yaw turns right and positive pitch looks up.
+export function getPanoramaLookDirection({ yaw, pitch }) {
+    const yawRadians = yaw * Math.PI / 180;
+    const pitchRadians = pitch * Math.PI / 180;
+    return {
+        x: -Math.cos(yawRadians) * Math.cos(pitchRadians),
+        y: Math.sin(pitchRadians),
+        z: -Math.sin(yawRadians) * Math.cos(pitchRadians)
+    };
+}
@@ -0,0 +1,27 @@
+import { buildTapFocusIndexFromCpuPoints, getTapFocusIndexTransferables } from './tap-focus-refinement.mjs';
+
+self.addEventListener('message', (event) => {
+    const { type, requestId, cpuPoints, pointCount, targetSampleCount } = event.data || {};
+    if (type !== 'build') return;
+    const startedAt = performance.now();
+    try {
+        const entry = buildTapFocusIndexFromCpuPoints({ cpuPoints, pointCount, targetSampleCount });
+        if (!entry) {
+            self.postMessage({ type: 'failed', requestId, reason: 'splat-sampling-failed' });
+            return;
+        }
+        self.postMessage({
+            type: 'built',
+            requestId,
+            entry,
+            buildMs: performance.now() - startedAt
+        }, getTapFocusIndexTransferables(entry));
+    } catch (error) {
+        self.postMessage({
+            type: 'failed',
+            requestId,
+            reason: 'splat-index-failed',
+            message: error && error.message ? error.message : String(error)
+        });
+    }
+});
@@ -4,6 +4,12 @@ const HALF_FLOAT_FRACTION_MASK = 0x03ff;
 const HALF_FLOAT_EXPONENT_SHIFT = 10;
 const HALF_FLOAT_MAX_EXPONENT = 0x1f;
 const DEFAULT_TARGET_SAMPLE_COUNT = 18000;
+const DEFAULT_INDEX_LEAF_SIZE = 32;
+const INDEX_RADIUS_SLACK = 1e-6;
+const DEFAULT_MIN_CLUSTER_SIZE = 6;
+const DEFAULT_CLUSTER_DEPTH_RATIO = 0.04;
+const DEFAULT_MIN_CLUSTER_DEPTH = 0.01;
+const DEFAULT_NEIGHBOUR_RADIUS = 0.05;
 
 export function decodeFloat16(value) {
     if (!Number.isFinite(value)) return NaN;
@@ -138,6 +144,522 @@ export function findClosestSampleToRay({
     };
 }
 
+function selectNthByAxis(order, samples, axis, left, right, nth) {
+    while (right > left) {
+        const pivotIndex = (left + right) >> 1;
+        const pivot = samples[order[pivotIndex] * 3 + axis];
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (samples[order[i] * 3 + axis] < pivot) i++;
+            while (samples[order[j] * 3 + axis] > pivot) j--;
+            if (i <= j) {
+                const swap = order[i];
+                order[i] = order[j];
+                order[j] = swap;
+                i++;
+                j--;
+            }
+        }
+        if (nth <= j) {
+            right = j;
+        } else if (nth >= i) {
+            left = i;
+        } else {
+            return;
+        }
+    }
+}
+
+// Bounding-volume hierarchy over sampled points. Nodes keep an AABB-derived bounding
+// sphere so ray queries can skip whole subtrees that cannot beat the current best hit.
+export function buildSamplePointIndex({
+    samples,
+    leafSize = DEFAULT_INDEX_LEAF_SIZE
+} = {}) {
+    if (!samples || typeof samples.length !== 'number' || samples.length < 3) return null;
+    const pointCount = Math.floor(samples.length / 3);
+    const normalizedLeafSize = Number.isFinite(leafSize) && leafSize >= 1
+        ? Math.floor(leafSize)
+        : DEFAULT_INDEX_LEAF_SIZE;
+    const order = new Uint32Array(pointCount);
+    for (let pointIndex = 0; pointIndex < pointCount; pointIndex++) {
+        order[pointIndex] = pointIndex;
+    }
+
+    const maxNodeCount = 4 * Math.ceil(pointCount / normalizedLeafSize) + 1;
+    const nodeSpheres = new Float32Array(maxNodeCount * 4);
+    const nodeLeft = new Int32Array(maxNodeCount).fill(-1);
+    const nodeRight = new Int32Array(maxNodeCount).fill(-1);
+    const nodeStart = new Uint32Array(maxNodeCount);
+    const nodeEnd = new Uint32Array(maxNodeCount);
+    let nodeCount = 1;
+    const stack = [0, 0, pointCount];
+
+    while (stack.length) {
+        const end = stack.pop();
+        const start = stack.pop();
+        const node = stack.pop();
+        let minX = Infinity;
+        let minY = Infinity;
+        let minZ = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        let maxZ = -Infinity;
+        for (let i = start; i < end; i++) {
+            const offset = order[i] * 3;
+            const x = samples[offset];
+            const y = samples[offset + 1];
+            const z = samples[offset + 2];
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+        }
+        const extentX = maxX - minX;
+        const extentY = maxY - minY;
+        const extentZ = maxZ - minZ;
+        const radius = 0.5 * Math.hypot(extentX, extentY, extentZ);
+        const sphereOffset = node * 4;
+        nodeSpheres[sphereOffset] = (minX + maxX) * 0.5;
+        nodeSpheres[sphereOffset + 1] = (minY + maxY) * 0.5;
+        nodeSpheres[sphereOffset + 2] = (minZ + maxZ) * 0.5;
+        nodeSpheres[sphereOffset + 3] = radius * (1 + INDEX_RADIUS_SLACK) + INDEX_RADIUS_SLACK;
+        nodeStart[node] = start;
+        nodeEnd[node] = end;
+
+        const longestExtent = Math.max(extentX, extentY, extentZ);
+        if (end - start <= normalizedLeafSize || !(longestExtent > 0)) continue;
+        const axis = longestExtent === extentX ? 0 : longestExtent === extentY ? 1 : 2;
+        const mid = (start + end) >> 1;
+        selectNthByAxis(order, samples, axis, start, end - 1, mid);
+        const leftNode = nodeCount++;
+        const rightNode = nodeCount++;
+        nodeLeft[node] = leftNode;
+        nodeRight[node] = rightNode;
+        stack.push(rightNode, mid, end, leftNode, start, mid);
+    }
+
+    return {
+        samples,
+        order,
+        nodeSpheres: nodeSpheres.slice(0, nodeCount * 4),
+        nodeLeft: nodeLeft.slice(0, nodeCount),
+        nodeRight: nodeRight.slice(0, nodeCount),
+        nodeStart: nodeStart.slice(0, nodeCount),
+        nodeEnd: nodeEnd.slice(0, nodeCount),
+        nodeCount,
+        pointCount,
+        leafSize: normalizedLeafSize
+    };
+}
+
+export function findClosestSampleInIndex({
+    index,
+    rayOrigin,
+    rayDirection,
+    maxDistanceSq = Number.POSITIVE_INFINITY
+} = {}) {
+    if (!index || !index.nodeCount || !rayOrigin || !rayDirection) return null;
+    let directionX = rayDirection.x;
+    let directionY = rayDirection.y;
+    let directionZ = rayDirection.z;
+    const directionLength = Math.hypot(directionX, directionY, directionZ);
+    if (!(directionLength > 1e-12)) return null;
+    directionX /= directionLength;
+    directionY /= directionLength;
+    directionZ /= directionLength;
+
+    const originX = rayOrigin.x;
+    const originY = rayOrigin.y;
+    const originZ = rayOrigin.z;
+    if (!Number.isFinite(originX) || !Number.isFinite(originY) || !Number.isFinite(originZ)) return null;
+    const distanceSqLimit = Number.isFinite(maxDistanceSq) && maxDistanceSq >= 0
+        ? maxDistanceSq
+        : Number.POSITIVE_INFINITY;
+
+    const { samples, order, nodeSpheres, nodeLeft, nodeRight, nodeStart, nodeEnd } = index;
+    let bestOffset = -1;
+    let bestDistanceSq = Number.POSITIVE_INFINITY;
+    let bestRayDistance = Number.POSITIVE_INFINITY;
+
+    // Lower bound on the perpendicular distance (squared) from the ray to any point in a node.
+    const nodeLowerBoundSq = (node) => {
+        const sphereOffset = node * 4;
+        const radius = nodeSpheres[sphereOffset + 3];
+        const toCenterX = nodeSpheres[sphereOffset] - originX;
+        const toCenterY = nodeSpheres[sphereOffset + 1] - originY;
+        const toCenterZ = nodeSpheres[sphereOffset + 2] - originZ;
+        const centerRayDistance = toCenterX * directionX + toCenterY * directionY + toCenterZ * directionZ;
+        if (centerRayDistance + radius <= 0) return Number.POSITIVE_INFINITY;
+        const centerDistanceSq = toCenterX * toCenterX + toCenterY * toCenterY + toCenterZ * toCenterZ;
+        const perpendicular = Math.sqrt(Math.max(0, centerDistanceSq - centerRayDistance * centerRayDistance));
+        if (perpendicular <= radius) return 0;
+        const gap = perpendicular - radius;
+        return gap * gap;
+    };
+
+    const canImprove = (lowerBoundSq) => lowerBoundSq <= distanceSqLimit && lowerBoundSq <= bestDistanceSq + 1e-12;
+
+    const stack = [0];
+    const stackBounds = [nodeLowerBoundSq(0)];
+    while (stack.length) {
+        const node = stack.pop();
+        const lowerBoundSq = stackBounds.pop();
+        if (!canImprove(lowerBoundSq)) continue;
+
+        const leftNode = nodeLeft[node];
+        if (leftNode >= 0) {
+            const rightNode = nodeRight[node];
+            const leftBoundSq = nodeLowerBoundSq(leftNode);
+            const rightBoundSq = nodeLowerBoundSq(rightNode);
+            if (leftBoundSq <= rightBoundSq) {
+                stack.push(rightNode, leftNode);
+                stackBounds.push(rightBoundSq, leftBoundSq);
+            } else {
+                stack.push(leftNode, rightNode);
+                stackBounds.push(leftBoundSq, rightBoundSq);
+            }
+            continue;
+        }
+
+        for (let i = nodeStart[node]; i < nodeEnd[node]; i++) {
+            const offset = order[i] * 3;
+            const pointX = samples[offset];
+            const pointY = samples[offset + 1];
+            const pointZ = samples[offset + 2];
+
+            const toPointX = pointX - originX;
+            const toPointY = pointY - originY;
+            const toPointZ = pointZ - originZ;
+            const rayDistance = toPointX * directionX + toPointY * directionY + toPointZ * directionZ;
+            if (rayDistance <= 0) continue;
+
+            const closestPointX = originX + directionX * rayDistance;
+            const closestPointY = originY + directionY * rayDistance;
+            const closestPointZ = originZ + directionZ * rayDistance;
+
+            const deltaX = pointX - closestPointX;
+            const deltaY = pointY - closestPointY;
+            const deltaZ = pointZ - closestPointZ;
+            const distanceSq = deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ;
+            if (distanceSq > distanceSqLimit) continue;
+
+            const tied = Math.abs(distanceSq - bestDistanceSq) <= 1e-12;
+            if (distanceSq < bestDistanceSq ||
+                (tied && (rayDistance < bestRayDistance || (rayDistance === bestRayDistance && offset < bestOffset)))) {
+                bestDistanceSq = distanceSq;
+                bestRayDistance = rayDistance;
+                bestOffset = offset;
+            }
+        }
+    }
+
+    if (bestOffset < 0) return null;
+    return {
+        sampleOffset: bestOffset,
+        x: samples[bestOffset],
+        y: samples[bestOffset + 1],
+        z: samples[bestOffset + 2],
+        distanceSq: bestDistanceSq,
+        rayDistance: bestRayDistance
+    };
+}
+
+function normalizeRay(rayOrigin, rayDirection) {
+    if (!rayOrigin || !rayDirection) return null;
+    const directionLength = Math.hypot(rayDirection.x, rayDirection.y, rayDirection.z);
+    if (!(directionLength > 1e-12)) return null;
+    if (!Number.isFinite(rayOrigin.x) || !Number.isFinite(rayOrigin.y) || !Number.isFinite(rayOrigin.z)) return null;
+    return {
+        originX: rayOrigin.x,
+        originY: rayOrigin.y,
+        originZ: rayOrigin.z,
+        directionX: rayDirection.x / directionLength,
+        directionY: rayDirection.y / directionLength,
+        directionZ: rayDirection.z / directionLength
+    };
+}
+
+function traverseIndexLeaves(index, shouldVisitNode, visitSample) {
+    const { order, nodeLeft, nodeRight, nodeStart, nodeEnd } = index;
+    const stack = [0];
+    while (stack.length) {
+        const node = stack.pop();
+        if (!shouldVisitNode(node)) continue;
+        if (nodeLeft[node] >= 0) {
+            stack.push(nodeRight[node], nodeLeft[node]);
+            continue;
+        }
+        for (let i = nodeStart[node]; i < nodeEnd[node]; i++) {
+            visitSample(order[i] * 3);
+        }
+    }
+}
+
+export function collectSamplesInCone({
+    index,
+    rayOrigin,
+    rayDirection,
+    coneSlope,
+    coneBaseRadius = 0
+} = {}) {
+    const ray = normalizeRay(rayOrigin, rayDirection);
+    if (!index || !index.nodeCount || !ray || !(coneSlope >= 0)) return [];
+    const { originX, originY, originZ, directionX, directionY, directionZ } = ray;
+    const { samples, nodeSpheres } = index;
+    const baseRadius = Math.max(0, coneBaseRadius || 0);
+    const hits = [];
+
+    traverseIndexLeaves(index, (node) => {
+        const sphereOffset = node * 4;
+        const radius = nodeSpheres[sphereOffset + 3];
+        const toCenterX = nodeSpheres[sphereOffset] - originX;
+        const toCenterY = nodeSpheres[sphereOffset + 1] - originY;
+        const toCenterZ = nodeSpheres[sphereOffset + 2] - originZ;
+        const centerRayDistance = toCenterX * directionX + toCenterY * directionY + toCenterZ * directionZ;
+        const farthestRayDistance = centerRayDistance + radius;
+        if (farthestRayDistance <= 0) return false;
+        const centerDistanceSq = toCenterX * toCenterX + toCenterY * toCenterY + toCenterZ * toCenterZ;
+        const perpendicular = Math.sqrt(Math.max(0, centerDistanceSq - centerRayDistance * centerRayDistance));
+        return perpendicular - radius <= baseRadius + coneSlope * farthestRayDistance;
+    }, (offset) => {
+        const toPointX = samples[offset] - originX;
+        const toPointY = samples[offset + 1] - originY;
+        const toPointZ = samples[offset + 2] - originZ;
+        const rayDistance = toPointX * directionX + toPointY * directionY + toPointZ * directionZ;
+        if (rayDistance <= 0) return;
+        const deltaX = toPointX - directionX * rayDistance;
+        const deltaY = toPointY - directionY * rayDistance;
+        const deltaZ = toPointZ - directionZ * rayDistance;
+        const distanceSq = deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ;
+        const allowedDistance = baseRadius + coneSlope * rayDistance;
+        if (distanceSq > allowedDistance * allowedDistance) return;
+        hits.push({ sampleOffset: offset, rayDistance, distanceSq });
+    });
+
+    hits.sort((a, b) => a.rayDistance - b.rayDistance || a.sampleOffset - b.sampleOffset);
+    return hits;
+}
+
+export function collectSamplesInSphere({ index, center, radius } = {}) {
+    if (!index || !index.nodeCount || !center || !(radius >= 0)) return [];
+    const { samples, nodeSpheres } = index;
+    const radiusSq = radius * radius;
+    const offsets = [];
+
+    traverseIndexLeaves(index, (node) => {
+        const sphereOffset = node * 4;
+        const reach = nodeSpheres[sphereOffset + 3] + radius;
+        const deltaX = nodeSpheres[sphereOffset] - center.x;
+        const deltaY = nodeSpheres[sphereOffset + 1] - center.y;
+        const deltaZ = nodeSpheres[sphereOffset + 2] - center.z;
+        return deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ <= reach * reach;
+    }, (offset) => {
+        const deltaX = samples[offset] - center.x;
+        const deltaY = samples[offset + 1] - center.y;
+        const deltaZ = samples[offset + 2] - center.z;
+        if (deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ <= radiusSq) offsets.push(offset);
+    });
+
+    return offsets;
+}
+
+// Cyclic Jacobi sweeps on a symmetric 3x3 matrix; returns the eigenvector of the smallest eigenvalue.
+function smallestEigenvector(matrix) {
+    const a = matrix.map((row) => row.slice());
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    for (let sweep = 0; sweep < 24; sweep++) {
+        const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+        if (offDiagonal < 1e-18) break;
+        for (let p = 0; p < 2; p++) {
+            for (let q = p + 1; q < 3; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const sn = t * c;
+                for (let k = 0; k < 3; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - sn * akq;
+                    a[k][q] = sn * akp + c * akq;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - sn * aqk;
+                    a[q][k] = sn * apk + c * aqk;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - sn * vkq;
+                    v[k][q] = sn * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    const eigenvalues = [a[0][0], a[1][1], a[2][2]];
+    let smallest = 0;
+    if (eigenvalues[1] < eigenvalues[smallest]) smallest = 1;
+    if (eigenvalues[2] < eigenvalues[smallest]) smallest = 2;
+    return {
+        eigenvalues,
+        vector: { x: v[0][smallest], y: v[1][smallest], z: v[2][smallest] },
+        smallestEigenvalue: eigenvalues[smallest]
+    };
+}
+
+export function estimateSurfaceNormal({ samples, offsets, viewDirection } = {}) {
+    if (!samples || !offsets || offsets.length < 3) return null;
+    let meanX = 0;
+    let meanY = 0;
+    let meanZ = 0;
+    offsets.forEach((offset) => {
+        meanX += samples[offset];
+        meanY += samples[offset + 1];
+        meanZ += samples[offset + 2];
+    });
+    meanX /= offsets.length;
+    meanY /= offsets.length;
+    meanZ /= offsets.length;
+
+    const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    offsets.forEach((offset) => {
+        const dx = samples[offset] - meanX;
+        const dy = samples[offset + 1] - meanY;
+        const dz = samples[offset + 2] - meanZ;
+        covariance[0][0] += dx * dx;
+        covariance[0][1] += dx * dy;
+        covariance[0][2] += dx * dz;
+        covariance[1][1] += dy * dy;
+        covariance[1][2] += dy * dz;
+        covariance[2][2] += dz * dz;
+    });
+    covariance[1][0] = covariance[0][1];
+    covariance[2][0] = covariance[0][2];
+    covariance[2][1] = covariance[1][2];
+
+    const trace = covariance[0][0] + covariance[1][1] + covariance[2][2];
+    if (!(trace > 1e-18)) return null;
+    const { vector, smallestEigenvalue } = smallestEigenvector(covariance);
+    const length = Math.hypot(vector.x, vector.y, vector.z) || 1;
+    let normal = { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+    if (viewDirection && normal.x * viewDirection.x + normal.y * viewDirection.y + normal.z * viewDirection.z > 0) {
+        normal = { x: -normal.x, y: -normal.y, z: -normal.z };
+    }
+    // 0 for an isotropic blob, 1 for a perfect plane.
+    const planarity = Math.min(1, Math.max(0, 1 - (3 * Math.max(0, smallestEigenvalue)) / trace));
+    return { normal, planarity, centroid: { x: meanX, y: meanY, z: meanZ } };
+}
+
+// Walks samples inside a screen-space cone from near to far and settles on the first depth window
+// that holds enough points, so isolated floaters in front of a surface do not capture the focus.
+export function pickSurfaceAlongRay({
+    index,
+    rayOrigin,
+    rayDirection,
+    coneSlope,
+    coneBaseRadius = 0,
+    minClusterSize = DEFAULT_MIN_CLUSTER_SIZE,
+    clusterDepthRatio = DEFAULT_CLUSTER_DEPTH_RATIO,
+    minClusterDepth = DEFAULT_MIN_CLUSTER_DEPTH,
+    neighbourRadius = DEFAULT_NEIGHBOUR_RADIUS
+} = {}) {
+    const ray = normalizeRay(rayOrigin, rayDirection);
+    if (!index || !ray) return null;
+    const candidates = collectSamplesInCone({ index, rayOrigin, rayDirection, coneSlope, coneBaseRadius });
+    if (!candidates.length) return null;
+
+    const requiredClusterSize = Math.max(1, Math.floor(minClusterSize) || DEFAULT_MIN_CLUSTER_SIZE);
+    let clusterStart = 0;
+    let clusterEnd = 1;
+    let bestCount = 0;
+    let windowEnd = 0;
+    for (let i = 0; i < candidates.length; i++) {
+        const depthLimit = candidates[i].rayDistance + Math.max(minClusterDepth, clusterDepthRatio * candidates[i].rayDistance);
+        if (windowEnd < i + 1) windowEnd = i + 1;
+        while (windowEnd < candidates.length && candidates[windowEnd].rayDistance <= depthLimit) windowEnd++;
+        const count = windowEnd - i;
+        if (count > bestCount) {
+            bestCount = count;
+            clusterStart = i;
+            clusterEnd = windowEnd;
+        }
+        if (count >= requiredClusterSize) break;
+    }
+
+    const cluster = candidates.slice(clusterStart, clusterEnd);
+    const rayDistance = cluster[cluster.length >> 1].rayDistance;
+    const point = {
+        x: ray.originX + ray.directionX * rayDistance,
+        y: ray.originY + ray.directionY * rayDistance,
+        z: ray.originZ + ray.directionZ * rayDistance
+    };
+    const viewDirection = { x: ray.directionX, y: ray.directionY, z: ray.directionZ };
+    const neighbourOffsets = collectSamplesInSphere({ index, center: point, radius: neighbourRadius });
+    const surface = estimateSurfaceNormal({ samples: index.samples, offsets: neighbourOffsets, viewDirection });
+    const normal = surface
+        ? surface.normal
+        : { x: -viewDirection.x, y: -viewDirection.y, z: -viewDirection.z };
+    const planarity = surface ? surface.planarity : 0;
+    const density = Math.min(1, cluster.length / (2 * requiredClusterSize));
+
+    return {
+        ...point,
+        rayDistance,
+        normal,
+        confidence: density * (0.5 + 0.5 * planarity),
+        density,
+        planarity,
+        clusterSize: cluster.length,
+        neighbourCount: neighbourOffsets.length,
+        candidateCount: candidates.length
+    };
+}
+
+export function buildTapFocusIndexFromCpuPoints({
+    cpuPoints,
+    pointCount,
+    targetSampleCount,
+    leafSize
+} = {}) {
+    const sampled = sampleCpuPointsForFocus({ cpuPoints, pointCount, targetSampleCount });
+    if (!sampled) return null;
+    const index = buildSamplePointIndex({ samples: sampled.samples, leafSize });
+    if (!index) return null;
+    return {
+        sourcePointCount: sampled.sourcePointCount,
+        sampledPointCount: sampled.sampledPointCount,
+        stride: sampled.stride,
+        samples: sampled.samples,
+        index
+    };
+}
+
+// Buffers to hand to postMessage; samples and index.samples share one buffer, which may only be listed once.
+export function getTapFocusIndexTransferables(entry) {
+    if (!entry || !entry.index) return [];
+    const { index } = entry;
+    const buffers = new Set();
+    [
+        entry.samples,
+        index.samples,
+        index.order,
+        index.nodeSpheres,
+        index.nodeLeft,
+        index.nodeRight,
+        index.nodeStart,
+        index.nodeEnd
+    ].forEach((array) => {
+        if (array && array.buffer instanceof ArrayBuffer) buffers.add(array.buffer);
+    });
+    return [...buffers];
+}
+
 export function computeScreenDistancePx({
     ndcX,
     ndcY,
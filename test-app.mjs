@@ -137,7 +137,18 @@ async function runTests() {
     await sleep(1500);
     console.log('   OK - Compass triggered');
 
-    console.log('9. Final error check...');
+    console.log('9. Rendering a short path video...');
+    const video = await page.evaluate(() => window.__pathVideo.render({ resolution: '320x180', fps: 10, maxSeconds: 1, captions: false }));
+    if (video.frames !== 11 || !(video.bytes > 0)) {
+      throw new Error(`Unexpected render: ${JSON.stringify(video)}`);
+    }
+    const videoHeader = await page.evaluate(async () => (await window.__pathVideo.getLastVideoBase64()).slice(0, 8));
+    if (!videoHeader.startsWith('GkXfo')) {
+      throw new Error(`Render is not WebM: ${videoHeader}`);
+    }
+    console.log(`   OK - ${video.frames} frames via ${video.encoder}`);
+
+    console.log('10. Final error check...');
     if (errors.length > 0) {
       console.error('   ERRORS during test:', errors);
       throw new Error(`Errors occurred: ${errors.length}`);
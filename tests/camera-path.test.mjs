@@ -0,0 +1,206 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    advancePathPlayback,
+    applyEasing,
+    arcFractionToParameter,
+    buildSegmentArcTable,
+    evaluateCatmullRom,
+    evaluatePathPose,
+    evaluatePathSegment,
+    evenOutDurations,
+    getSegmentCheckpointIndices,
+    getPathTimeline,
+    getSegmentPhase,
+    getSegmentSpan,
+    getTimelineSeconds,
+    locatePathTime,
+    moveCheckpoint
+} from '../camera-path.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+// The viewer's original per-axis uniform Catmull-Rom.
+function classicCatmullRom(p0, p1, p2, p3, t) {
+    const axis = (a, b, c, d) => 0.5 * (
+        (2 * b) + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t * t + (-a + 3 * b - 3 * c + d) * t * t * t
+    );
+    return { x: axis(p0.x, p1.x, p2.x, p3.x), y: axis(p0.y, p1.y, p2.y, p3.y), z: axis(p0.z, p1.z, p2.z, p3.z) };
+}
+
+const point = (x, z, y = 0) => ({ x, y, z });
+const checkpoint = (position, extra = {}) => ({ position, lookAt: point(0, 0), duration: 5, ...extra });
+
+test('easing curves start at 0, end at 1 and shape the middle', () => {
+    ['linear', 'ease-in', 'ease-out', 'ease-in-out', undefined].forEach((easing) => {
+        assert.equal(applyEasing(easing, 0), 0);
+        assert.equal(applyEasing(easing, 1), 1);
+    });
+    assert.equal(applyEasing('linear', 0.25), 0.25);
+    assert.equal(applyEasing('ease-in', 0.5), 0.25);
+    assert.equal(applyEasing('ease-out', 0.5), 0.75);
+    assert.equal(applyEasing('ease-in-out', 0.5), 0.5);
+    assert.ok(applyEasing('ease-in-out', 0.1) < 0.1);
+    assert.equal(applyEasing('ease-in', 2), 1);
+});
+
+test('segment phases hold on the start checkpoint before moving', () => {
+    const held = checkpoint(point(0, 0), { duration: 4, hold: 2, easing: 'ease-in' });
+    assert.equal(getSegmentSpan(held), 6);
+    assert.deepEqual(getSegmentPhase(held, 1), { holding: true, progress: 0 });
+    assert.deepEqual(getSegmentPhase(held, 4), { holding: false, progress: 0.25 });
+    assert.deepEqual(getSegmentPhase(held, 9), { holding: false, progress: 1 });
+    assert.equal(getSegmentSpan({ duration: 0.01, hold: -3 }), 0.1);
+});
+
+test('uniform evaluation matches the classic formula and centripetal does not overshoot a hairpin', () => {
+    const rng = makeRng(18);
+    for (let round = 0; round < 100; round++) {
+        const points = Array.from({ length: 4 }, () => point(rng() * 4 - 2, rng() * 4 - 2, rng()));
+        const t = rng();
+        const expected = classicCatmullRom(...points, t);
+        const actual = evaluateCatmullRom(...points, t, { alpha: 0 });
+        ['x', 'y', 'z'].forEach((axis) => assert.ok(Math.abs(actual[axis] - expected[axis]) < 1e-9, `round ${round}`));
+    }
+    // A long run into a short hop and straight back out: uniform swings well past the turn, centripetal stays close.
+    const hairpin = [point(0, -10), point(0, 0), point(0.2, 0), point(0.2, -10)];
+    const overshoot = (alpha) => Math.max(...Array.from({ length: 21 }, (_, i) => evaluateCatmullRom(...hairpin, i / 20, { alpha }).z));
+    assert.ok(overshoot(0) > 1);
+    assert.ok(overshoot(0.5) < 0.1);
+    assert.deepEqual(evaluateCatmullRom(point(0, 0), point(0, 0), point(1, 0), point(1, 0), 0.5), point(0.5, 0));
+});
+
+test('segment indices clamp on open paths and wrap on loops', () => {
+    assert.deepEqual(getSegmentCheckpointIndices(4, 0, false), [0, 0, 1, 2]);
+    assert.deepEqual(getSegmentCheckpointIndices(4, 2, false), [1, 2, 3, 3]);
+    assert.deepEqual(getSegmentCheckpointIndices(4, 9, false), [1, 2, 3, 3]);
+    assert.deepEqual(getSegmentCheckpointIndices(4, 3, true), [2, 3, 0, 1]);
+    assert.deepEqual(getSegmentCheckpointIndices(4, -1, true), [2, 3, 0, 1]);
+});
+
+test('arc-length lookups move equal distances in equal time', () => {
+    const rng = makeRng(1818);
+    for (let round = 0; round < 50; round++) {
+        const checkpoints = Array.from({ length: 4 }, (_, index) => checkpoint(point(index + rng() * 2, rng() * 3 * index)));
+        const options = { loop: false, curve: round % 2 ? 'uniform' : 'centripetal' };
+        const table = buildSegmentArcTable(checkpoints, 1, options);
+        const length = table[table.length - 1];
+        const arcBetween = (from, to) => {
+            let travelled = 0;
+            let previous = evaluatePathSegment(checkpoints, 1, from, options);
+            for (let i = 1; i <= 50; i++) {
+                const current = evaluatePathSegment(checkpoints, 1, from + (to - from) * i / 50, options);
+                travelled += Math.hypot(current.x - previous.x, current.y - previous.y, current.z - previous.z);
+                previous = current;
+            }
+            return travelled;
+        };
+        let previousT = 0;
+        for (let step = 1; step <= 8; step++) {
+            const t = arcFractionToParameter(table, step / 8);
+            assert.ok(Math.abs(arcBetween(previousT, t) - length / 8) < length * 0.01, `round ${round} step ${step}`);
+            previousT = t;
+        }
+        assert.equal(arcFractionToParameter(table, 0), 0);
+        assert.equal(arcFractionToParameter(table, 1), 1);
+    }
+    assert.equal(arcFractionToParameter(new Float64Array(33), 0.3), 0.3);
+});
+
+test('evenOutDurations shares the moving time by segment length', () => {
+    const checkpoints = [checkpoint(point(0, 0), { duration: 6, hold: 3 }), checkpoint(point(1, 0), { duration: 2 }), checkpoint(point(4, 0))];
+    const durations = evenOutDurations(checkpoints, { curve: 'uniform' });
+    assert.ok(Math.abs(durations[0] + durations[1] - 8) < 1e-9);
+    assert.ok(durations[1] > 2.5 * durations[0]);
+    assert.equal(durations[2], 5);
+    assert.deepEqual(evenOutDurations([checkpoint(point(0, 0))]), [5]);
+    // A turn on the spot keeps its own time and the moving segments share the rest.
+    const turn = [checkpoint(point(0, 0), { duration: 1 }), checkpoint(point(0, 0), { duration: 3 }), checkpoint(point(2, 0))];
+    assert.deepEqual(evenOutDurations(turn, { curve: 'uniform' }).slice(0, 2), [1, 3]);
+});
+
+// The viewer's playback loop: advance the clock a frame at a time, then pose the camera for the segment phase.
+function playPath(checkpoints, options, fps = 60) {
+    const timeline = getPathTimeline(checkpoints, options);
+    const frames = [];
+    let state = { segmentIndex: 0, segmentElapsed: 0, ended: false };
+    while (!state.ended) {
+        const { duration } = timeline.segments[state.segmentIndex];
+        const phase = getSegmentPhase(checkpoints[state.segmentIndex], state.segmentElapsed, duration);
+        frames.push({ segmentIndex: state.segmentIndex, ...evaluatePathPose(checkpoints, state.segmentIndex, phase.progress, options) });
+        state = advancePathPlayback(timeline, state, 1 / fps, options);
+    }
+    return frames;
+}
+
+function getSegmentSpeeds(frames, fps = 60) {
+    const speeds = new Map();
+    frames.slice(1).forEach((frame, index) => {
+        const previous = frames[index];
+        if (previous.segmentIndex !== frame.segmentIndex) return;
+        const { x, y, z } = frame.position;
+        const step = Math.hypot(x - previous.position.x, y - previous.position.y, z - previous.position.z) * fps;
+        speeds.set(frame.segmentIndex, [...(speeds.get(frame.segmentIndex) || []), step]);
+    });
+    return [...speeds.values()];
+}
+
+test('playback keeps one camera speed across segments of different lengths unless timing is per checkpoint', () => {
+    const checkpoints = [
+        checkpoint(point(0, 0), { duration: 4 }),
+        checkpoint(point(1, 0), { duration: 4 }),
+        checkpoint(point(6, 3), { duration: 4 }),
+        checkpoint(point(7, 3))
+    ];
+    const mean = (list) => list.reduce((sum, value) => sum + value, 0) / list.length;
+    const even = getSegmentSpeeds(playPath(checkpoints, { curve: 'centripetal' }));
+    const lengths = [0, 1, 2].map((index) => buildSegmentArcTable(checkpoints, index, { curve: 'centripetal' })[32]);
+    const pathSpeed = lengths.reduce((sum, length) => sum + length, 0) / 12;
+    assert.equal(even.length, 3);
+    even.forEach((speeds, index) => {
+        assert.ok(Math.abs(mean(speeds) - pathSpeed) < pathSpeed * 0.01, `segment ${index}`);
+        // Within a segment the arc table is piecewise linear, so frame speeds wobble a little around the mean.
+        speeds.forEach((speed) => assert.ok(Math.abs(speed - pathSpeed) < pathSpeed * 0.08, `segment ${index}`));
+    });
+
+    const perCheckpoint = getSegmentSpeeds(playPath(checkpoints, { curve: 'centripetal', timing: 'per-checkpoint' }));
+    assert.ok(mean(perCheckpoint[1]) > 3 * mean(perCheckpoint[0]));
+});
+
+test('playback advances through holds, wraps loops and stops at the end of open paths', () => {
+    const checkpoints = [checkpoint(point(0, 0), { duration: 2, hold: 1 }), checkpoint(point(1, 0), { duration: 3 }), checkpoint(point(2, 0))];
+    const open = getPathTimeline(checkpoints, { timing: 'per-checkpoint' });
+    assert.deepEqual(advancePathPlayback(open, { segmentIndex: 0, segmentElapsed: 0 }, 2.5), { segmentIndex: 0, segmentElapsed: 2.5, ended: false });
+    assert.deepEqual(advancePathPlayback(open, { segmentIndex: 0, segmentElapsed: 2.5 }, 1), { segmentIndex: 1, segmentElapsed: 0.5, ended: false });
+    assert.deepEqual(advancePathPlayback(open, { segmentIndex: 1, segmentElapsed: 2 }, 5), { segmentIndex: 1, segmentElapsed: 3, ended: true });
+    const loop = getPathTimeline(checkpoints, { loop: true, timing: 'per-checkpoint' });
+    assert.deepEqual(advancePathPlayback(loop, { segmentIndex: 2, segmentElapsed: 4 }, 2, { loop: true }), { segmentIndex: 0, segmentElapsed: 1, ended: false });
+    assert.deepEqual(advancePathPlayback({ segments: [], total: 0 }, { segmentIndex: 0, segmentElapsed: 0 }, 1).ended, true);
+});
+
+test('the timeline lays segments end to end and locates scrub positions on it', () => {
+    const checkpoints = [checkpoint(point(0, 0), { duration: 2, hold: 1 }), checkpoint(point(1, 0), { duration: 3 }), checkpoint(point(2, 0), { duration: 4 })];
+    const open = getPathTimeline(checkpoints, { timing: 'per-checkpoint' });
+    assert.deepEqual(open.segments.map(({ start, span }) => [start, span]), [[0, 3], [3, 3]]);
+    assert.equal(open.total, 6);
+    assert.equal(getPathTimeline(checkpoints, { loop: true, timing: 'per-checkpoint' }).total, 10);
+    // Even timing keeps the hold and the total moving time but shares the moves out by length.
+    assert.deepEqual(getPathTimeline(checkpoints, { curve: 'uniform' }).segments.map(({ hold, duration }) => [hold, duration]), [[1, 2.5], [0, 2.5]]);
+    assert.deepEqual(getPathTimeline(checkpoints.slice(0, 1)), { segments: [], total: 0 });
+    assert.deepEqual(locatePathTime(open, 0.5), { segmentIndex: 0, elapsed: 0.5 });
+    assert.deepEqual(locatePathTime(open, 3), { segmentIndex: 1, elapsed: 0 });
+    assert.deepEqual(locatePathTime(open, 99), { segmentIndex: 1, elapsed: 3 });
+    assert.deepEqual(locatePathTime(open, -2), { segmentIndex: 0, elapsed: 0 });
+    assert.equal(locatePathTime({ segments: [], total: 0 }, 1), null);
+    assert.equal(getTimelineSeconds(open, 1, 9), 6);
+    assert.equal(getTimelineSeconds(open, 2, 0), 6);
+    assert.equal(getTimelineSeconds(open, -1, 1), 0);
+});
+
+test('moveCheckpoint reorders a copy and leaves the original alone', () => {
+    const list = ['a', 'b', 'c', 'd'];
+    assert.deepEqual(moveCheckpoint(list, 0, 2), ['b', 'c', 'a', 'd']);
+    assert.deepEqual(moveCheckpoint(list, 3, 0), ['d', 'a', 'b', 'c']);
+    assert.deepEqual(moveCheckpoint(list, 1, 9), ['a', 'c', 'd', 'b']);
+    assert.deepEqual(moveCheckpoint(list, 7, 0), list);
+    assert.deepEqual(list, ['a', 'b', 'c', 'd']);
+});
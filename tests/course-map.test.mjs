@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildCourseMapLayout,
+    createPlacementTransform,
+    fitCourseMapView,
+    pickCourseMapHole,
+    summarizeHolePoints
+} from '../course-map.mjs';
+import { createGeoreference } from '../georeference.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+const close = (a, b, epsilon = 1e-9) => Math.abs(a - b) < epsilon;
+
+function square(centerX, centerZ, half) {
+    return [
+        { x: centerX - half, z: centerZ - half },
+        { x: centerX + half, z: centerZ - half },
+        { x: centerX + half, z: centerZ + half },
+        { x: centerX - half, z: centerZ + half }
+    ];
+}
+
+test('placements turn like splat rotation, then scale and move', () => {
+    const turned = createPlacementTransform({ x: 10, z: -5, rotation: 90, scale: 2 })({ x: 1, z: 0 });
+    assert.ok(close(turned.x, 10) && close(turned.z, -7));
+    assert.deepEqual(createPlacementTransform()({ x: 3, z: 4 }), { x: 3, z: 4 });
+
+    const layout = buildCourseMapLayout([
+        { placement: { x: 0, z: 0 }, points: square(0, 0, 1) },
+        { points: square(50, 50, 2) },
+        { points: [] },
+        { placement: { x: 0, z: 10, scale: 0.5 }, points: square(0, 0, 2) }
+    ], { gap: 1 });
+    assert.deepEqual(layout.holes.map((hole) => hole.source), ['placement', 'auto', 'auto', 'placement']);
+    // Unplaced holes line up to the right of the placed ones, centred on their rows.
+    assert.deepEqual(layout.holes[1].bounds, { minX: 2, maxX: 6, minZ: 3, maxZ: 7 });
+    assert.deepEqual(layout.holes[2].center, { x: 7, z: 5 });
+    assert.deepEqual(layout.holes[1].transform({ x: 50, z: 50 }), layout.holes[1].center);
+    assert.deepEqual(layout.bounds, { minX: -1, maxX: 7, minZ: -1, maxZ: 11 });
+});
+
+test('georeferenced holes without a placement share the first one\'s frame', () => {
+    const first = { origin: { lat: 45.6, lng: -111.2 }, bearing: 0, metersPerUnit: 100 };
+    const second = { origin: { lat: 45.601, lng: -111.199 }, bearing: 75, metersPerUnit: 40 };
+    const landmark = createGeoreference(second).latLngToWorld({ lat: 45.6005, lng: -111.1995 });
+    const inFirst = createGeoreference(first).latLngToWorld({ lat: 45.6005, lng: -111.1995 });
+    const layout = buildCourseMapLayout([
+        { georeference: first, placement: { x: 5, z: 5, rotation: 30 }, points: [inFirst] },
+        { georeference: second, points: [landmark] },
+        { georeference: second, placement: { x: 0, z: 0 }, points: [landmark] }
+    ]);
+    assert.deepEqual(layout.holes.map((hole) => hole.source), ['placement', 'georeference', 'placement']);
+    const [a, b] = [layout.holes[0].points[0], layout.holes[1].points[0]];
+    assert.ok(close(a.x, b.x, 1e-6) && close(a.z, b.z, 1e-6), 'the same spot on the ground lands on the same plan point');
+});
+
+test('hole points are thinned and trimmed of floaters', () => {
+    const rng = makeRng(25);
+    const samples = [];
+    for (let index = 0; index < 20000; index++) samples.push(rng() * 4 - 2, rng() * 0.2, rng() * 6 - 3);
+    for (let index = 0; index < 40; index++) samples.push(500 + index, 0, -800);
+    samples.push(NaN, 0, 0);
+
+    const points = summarizeHolePoints(new Float32Array(samples), { maxCount: 1000 });
+    assert.ok(points.length <= 1000 && points.length > 800);
+    assert.ok(points.every((point) => Math.abs(point.x) <= 2 && Math.abs(point.z) <= 3));
+    assert.equal(summarizeHolePoints(null).length, 0);
+    assert.equal(summarizeHolePoints([1, 2, 3, 4, 5, 6], { trimFraction: 0.4 }).length, 2);
+});
+
+test('map clicks map back to the plan and pick the hole drawn there', () => {
+    const layout = buildCourseMapLayout([
+        { placement: { x: 0, z: 0 }, points: square(0, 0, 1) },
+        { placement: { x: 1.5, z: 0 }, points: square(0, 0, 1) }
+    ]);
+    const view = fitCourseMapView(layout.bounds, 400, 300, { padding: 20 });
+    assert.ok(close(view.scale, 360 / 3.5));
+    const corner = view.toScreen({ x: layout.bounds.minX, z: layout.bounds.minZ });
+    assert.ok(close(corner.x, 20) && corner.y > 20);
+    const plan = view.toPlan(corner);
+    assert.ok(close(plan.x, layout.bounds.minX) && close(plan.z, layout.bounds.minZ));
+
+    assert.equal(pickCourseMapHole(layout, { x: -0.9, z: 0 }), 0);
+    assert.equal(pickCourseMapHole(layout, { x: 2.4, z: 0.9 }), 1);
+    // In the overlap the nearest drawn point decides.
+    assert.equal(pickCourseMapHole(layout, { x: 0.55, z: 0.95 }), 1);
+    assert.equal(pickCourseMapHole(layout, { x: 0, z: 5 }), -1);
+    assert.equal(pickCourseMapHole(layout, { x: 0, z: 1.2 }, 0.5), 0);
+});
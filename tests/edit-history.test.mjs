@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EDITOR_DRAFT_VERSION, createDraftStore, createEditHistory } from '../edit-history.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+function createHarness(options = {}) {
+    const editor = { state: { x: 0 } };
+    let clock = 0;
+    const history = createEditHistory({
+        apply: (snapshot) => {
+            editor.state = snapshot;
+        },
+        now: () => clock,
+        ...options
+    });
+    const edit = (label, mutate, mergeKey) => {
+        const before = JSON.parse(JSON.stringify(editor.state));
+        mutate(editor.state);
+        return history.record({ label, before, after: editor.state, mergeKey });
+    };
+    return { editor, history, edit, advance: (ms) => { clock += ms; } };
+}
+
+function createMemoryStorage() {
+    const entries = new Map();
+    return {
+        entries,
+        getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+        setItem: (key, value) => entries.set(key, String(value)),
+        removeItem: (key) => entries.delete(key)
+    };
+}
+
+test('undo and redo walk recorded snapshots and a new edit clears the redo stack', () => {
+    const { editor, history, edit } = createHarness();
+    edit('Move A', (state) => { state.x = 1; });
+    edit('Move B', (state) => { state.x = 2; });
+    assert.equal(history.undo(), 'Move B');
+    assert.deepEqual(editor.state, { x: 1 });
+    assert.equal(history.redo(), 'Move B');
+    assert.deepEqual(editor.state, { x: 2 });
+    history.undo();
+    edit('Move C', (state) => { state.x = 5; });
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo(), null);
+    assert.deepEqual(history.getState(), { undoCount: 2, redoCount: 0, nextUndoLabel: 'Move C', nextRedoLabel: null });
+    assert.equal(edit('No-op', () => {}), false);
+    assert.throws(() => createEditHistory({}), /apply/);
+});
+
+test('edits sharing a merge key inside the window collapse into one undo step', () => {
+    const { editor, history, edit, advance } = createHarness({ mergeWindowMs: 1000 });
+    edit('Edit X', (state) => { state.x = 1; }, 'x');
+    advance(400);
+    edit('Edit X', (state) => { state.x = 2; }, 'x');
+    advance(400);
+    edit('Edit X', (state) => { state.x = 3; }, 'x');
+    assert.equal(history.getState().undoCount, 1);
+    advance(1500);
+    edit('Edit X', (state) => { state.x = 4; }, 'x');
+    assert.equal(history.getState().undoCount, 2);
+    history.undo();
+    history.undo();
+    assert.deepEqual(editor.state, { x: 0 });
+
+    history.redo();
+    edit('Edit X', (state) => { state.x = 9; }, 'x');
+    assert.equal(history.getState().undoCount, 2, 'a redone step should not absorb the next edit');
+});
+
+test('merging back to the starting value drops the command entirely', () => {
+    const { history, edit } = createHarness();
+    edit('Edit X', (state) => { state.x = 1; }, 'x');
+    edit('Edit X', (state) => { state.x = 0; }, 'x');
+    assert.equal(history.canUndo(), false);
+});
+
+test('history keeps only the most recent commands up to its limit', () => {
+    const { editor, history, edit } = createHarness({ limit: 3 });
+    for (let i = 1; i <= 5; i++) edit(`Step ${i}`, (state) => { state.x = i; });
+    assert.equal(history.getState().undoCount, 3);
+    while (history.undo());
+    assert.deepEqual(editor.state, { x: 2 });
+});
+
+test('pressure test: random edits, undos and redos always land on a recorded state', () => {
+    const rng = makeRng(80085);
+    const { editor, history, edit, advance } = createHarness({ limit: 1000 });
+    const timeline = [{ x: 0 }];
+    let cursor = 0;
+    for (let i = 0; i < 3000; i++) {
+        const roll = rng();
+        if (roll < 0.5) {
+            const value = Math.floor(rng() * 1e6) + 1;
+            if (edit(`Step ${i}`, (state) => { state.x = value; })) {
+                timeline.length = cursor + 1;
+                timeline.push({ x: value });
+                cursor += 1;
+            }
+        } else if (roll < 0.8) {
+            if (history.undo()) cursor -= 1;
+        } else if (history.redo()) {
+            cursor += 1;
+        }
+        advance(5000);
+        assert.deepEqual(editor.state, timeline[cursor], `step ${i} diverged`);
+        assert.equal(history.getState().undoCount, cursor);
+        assert.equal(history.getState().redoCount, timeline.length - 1 - cursor);
+    }
+});
+
+test('draft store round-trips snapshots per hole and ignores foreign or stale entries', () => {
+    const storage = createMemoryStorage();
+    const store = createDraftStore({ storage, namespace: 'site-a' });
+    const other = createDraftStore({ storage, namespace: 'site-b' });
+    assert.equal(store.save('hole-1', { lot: [1, 2] }, 1234), true);
+    assert.deepEqual(store.load('hole-1'), { version: EDITOR_DRAFT_VERSION, savedAt: 1234, snapshot: { lot: [1, 2] } });
+    assert.equal(other.load('hole-1'), null);
+    assert.deepEqual(store.list(['hole-1', 'hole-2']), [{ holeId: 'hole-1', savedAt: 1234 }]);
+
+    storage.setItem('site-a:draft:hole-2', JSON.stringify({ version: EDITOR_DRAFT_VERSION + 1, savedAt: 1, snapshot: {} }));
+    storage.setItem('site-a:draft:hole-3', '{not json');
+    assert.equal(store.load('hole-2'), null);
+    assert.equal(store.load('hole-3'), null);
+
+    store.clear('hole-1');
+    assert.equal(store.load('hole-1'), null);
+    assert.throws(() => createDraftStore({ storage }), /namespace/);
+});
+
+test('draft store degrades quietly when storage is missing or throws', () => {
+    const throwing = {
+        getItem: () => { throw new Error('denied'); },
+        setItem: () => { throw new Error('quota'); },
+        removeItem: () => { throw new Error('denied'); }
+    };
+    for (const storage of [null, throwing]) {
+        const store = createDraftStore({ storage, namespace: 'site' });
+        assert.equal(store.save('hole-1', { x: 1 }), false);
+        assert.equal(store.load('hole-1'), null);
+        assert.doesNotThrow(() => store.clear('hole-1'));
+        assert.deepEqual(store.list(['hole-1']), []);
+    }
+});
@@ -0,0 +1,244 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    detectEditorPayloadKind,
+    diffCheckpoints,
+    diffLotGeometry,
+    diffLotParcels,
+    diffPathSettings,
+    diffSplatTransform,
+    diffTapDots,
+    parseCameraPathImport,
+    parseEditorJson,
+    parseLotGeometryImport,
+    parseSplatTransformImport,
+    sanitizePathCheckpoint,
+    sanitizePathCurve
+} from '../editor-import.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+test('parseEditorJson reads bare JSON and the copied path/splat snippets', () => {
+    const path = { enabled: true, loop: true, speed: 1, checkpoints: [] };
+    assert.deepEqual(parseEditorJson(JSON.stringify(path)), path);
+    assert.deepEqual(parseEditorJson(`path: ${JSON.stringify(path, null, 2)},`), path);
+    assert.deepEqual(parseEditorJson('splat: {"scale": 2}'), { scale: 2 });
+    assert.throws(() => parseEditorJson('   '), /Nothing to import/);
+    assert.throws(() => parseEditorJson('{"a":'), /not valid JSON/);
+});
+
+test('payload kinds are detected and mismatches are rejected', () => {
+    assert.equal(detectEditorPayloadKind({ borderDotPositions: [] }), 'lot');
+    assert.equal(detectEditorPayloadKind({ checkpoints: [] }), 'path');
+    assert.equal(detectEditorPayloadKind({ scale: 1 }), 'splat');
+    assert.equal(detectEditorPayloadKind([]), null);
+    assert.throws(() => parseLotGeometryImport({ checkpoints: [] }), /Expected lot JSON but got path JSON/);
+    assert.throws(() => parseSplatTransformImport({ hello: 1 }), /Expected splat JSON/);
+});
+
+test('lot import keeps valid vertices and warns about broken ones', () => {
+    const parsed = parseLotGeometryImport({
+        borderDotPositions: [
+            { name: 'Lot_V1', position: { x: 0, y: 0, z: 0 } },
+            { name: 'Lot_V2', position: { x: 1, y: 0, z: 0 } },
+            { name: 'Lot_V2', position: { x: 2, y: 0, z: 0 } },
+            { name: 'Lot_V3', position: { x: 'a', y: 0, z: 0 } },
+            { position: { x: 0, y: 0, z: 0 } }
+        ],
+        borderLineConnections: [
+            { start: 'Lot_V1', end: 'Lot_V2' },
+            { start: 'Lot_V2', end: 'Lot_V1' },
+            { start: 'Lot_V1', end: 'Lot_V3' }
+        ],
+        tapDotPositions: [
+            { position: { x: 4, y: 5, z: 6 }, scale: 0.2, icon: 'camera', caption: 'Tee', photos: ['tee.jpg'] },
+            { position: null, icon: 'info' },
+            { position: { x: 0, y: 0, z: 0 }, icon: 'video' }
+        ]
+    });
+    assert.deepEqual(parsed.vertices.map((vertex) => vertex.name), ['Lot_V1', 'Lot_V2']);
+    assert.deepEqual(parsed.connections, [{ start: 'Lot_V1', end: 'Lot_V2' }]);
+    assert.deepEqual(parsed.tapDots, [{ position: { x: 4, y: 5, z: 6 }, scale: 0.2, icon: 'camera', caption: 'Tee', photos: ['tee.jpg'] }]);
+    assert.equal(parsed.warnings.length, 6);
+    assert.deepEqual(parsed.warnings.slice(-2), [
+        'Tap dot 2 was skipped: tapDotPositions[1].position is required.',
+        'Tap dot 3 was skipped: tapDotPositions[2].video is required for video tap dots.'
+    ]);
+    assert.equal(parseLotGeometryImport({ borderDotPositions: [] }).tapDots, null);
+    assert.equal(parseLotGeometryImport({ borderDotPositions: [] }).parcels, null);
+    assert.equal(parseLotGeometryImport({ borderDotPositions: [], tapDotPositions: [{ position: { x: 0, y: 0, z: 0 }, icon: 'flag' }] }, { knownIcons: ['flag'] }).tapDots.length, 1);
+});
+
+test('tap dot diffs match dots by spot, then caption, and report content edits', () => {
+    const at = (x) => ({ x, y: 0, z: 0 });
+    const current = [
+        { position: at(0), icon: 'info', caption: 'Tee' },
+        { position: at(1), icon: 'camera', photos: ['a.jpg'] },
+        null,
+        { position: at(2), icon: 'info', caption: 'Green' },
+        { position: at(3), icon: 'info' }
+    ];
+    const next = [
+        { caption: 'Back tee', icon: 'info', position: at(0) },
+        { position: at(1), icon: 'camera', photos: ['a.jpg', 'b.jpg'] },
+        { position: at(9), icon: 'info', caption: 'Green' },
+        { position: at(5), icon: 'card', card: { title: 'Clubhouse' } }
+    ];
+    assert.deepEqual(diffTapDots(current, next), {
+        added: ['#4'],
+        moved: ['"Green"'],
+        changed: ['"Back tee"', '#2'],
+        removed: ['#4']
+    });
+    assert.deepEqual(diffTapDots(next, JSON.parse(JSON.stringify(next))), { added: [], moved: [], changed: [], removed: [] });
+});
+
+test('lot import keeps parcels whose rings sit on imported vertices and diffs them by id', () => {
+    const borderDotPositions = ['A', 'B', 'C', 'D'].map((name, index) => ({ name, position: { x: index, y: 0, z: index % 2 } }));
+    const parsed = parseLotGeometryImport({
+        borderDotPositions,
+        parcels: [
+            { id: 'lot-1', label: 'Lot 1', ring: ['A', 'B', 'C'], tags: { apn: '101' } },
+            { id: 'lot-2', ring: ['B', 'C', 'E'] },
+            { id: 'lot-3', ring: ['A', 'C', 'D'] },
+            { id: 'lot-1', ring: ['A', 'B', 'D'] }
+        ]
+    }, { reservedParcelIds: ['lot-3'] });
+    assert.deepEqual(parsed.parcels, [{ id: 'lot-1', label: 'Lot 1', ring: ['A', 'B', 'C'], tags: { apn: '101' } }]);
+    assert.deepEqual(parsed.warnings, [
+        'Parcel 2 was skipped: parcels[1].ring[2] "E" does not match any lot vertex.',
+        'Parcel 3 was skipped: parcels[2].id "lot-3" is used by more than one lot.',
+        'Parcel 4 was skipped: parcels[3].id "lot-1" is used by more than one lot.'
+    ]);
+
+    const current = [
+        { id: 'lot-1', label: 'Lot 1', ring: ['A', 'B', 'C'], tags: { apn: '101' } },
+        { id: 'lot-2', ring: ['A', 'C', 'D'] }
+    ];
+    assert.deepEqual(diffLotParcels(current, [
+        { tags: { apn: '101' }, ring: ['A', 'B', 'C'], label: 'Lot 1', id: 'lot-1' },
+        { id: 'lot-2', ring: ['A', 'B', 'D'] },
+        { id: 'lot-4', ring: ['B', 'C', 'D'] }
+    ]), { added: ['lot-4'], changed: ['lot-2'], removed: [] });
+    assert.deepEqual(diffLotParcels(current, []), { added: [], changed: [], removed: ['lot-1', 'lot-2'] });
+});
+
+test('path import applies the checkpoint sanitising rules', () => {
+    const fallbackPosition = { x: 1, y: 2, z: 3 };
+    const fallbackLookAt = { x: 0, y: 0, z: 0 };
+    const parsed = parseCameraPathImport({
+        enabled: true,
+        speed: -2,
+        checkpoints: [
+            { position: { x: 5, y: null, z: 7 }, lookAt: { x: 1, y: 1, z: 1 }, duration: 0.05 },
+            { duration: 3 }
+        ]
+    }, { fallbackPosition, fallbackLookAt });
+    assert.equal(parsed.enabled, true);
+    assert.equal(parsed.loop, true);
+    assert.equal(parsed.speed, 1);
+    assert.deepEqual(parsed.checkpoints[0], { position: { x: 5, y: 2, z: 7 }, lookAt: { x: 1, y: 1, z: 1 }, duration: 5 });
+    assert.deepEqual(parsed.checkpoints[1], { position: fallbackPosition, lookAt: fallbackLookAt, duration: 3 });
+    assert.deepEqual(sanitizePathCheckpoint(null).position, { x: 0, y: 0, z: 0 });
+    // Payloads from before curves could be picked played on the uniform spline.
+    assert.equal(parsed.curve, 'uniform');
+    assert.equal(sanitizePathCurve(undefined, 'centripetal'), 'centripetal');
+});
+
+test('path import keeps holds, easing and the curve that change playback', () => {
+    const pose = { position: { x: 0, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 } };
+    const parsed = parseCameraPathImport({
+        curve: 'uniform',
+        checkpoints: [
+            { ...pose, duration: 3, hold: 1.5, easing: 'ease-out' },
+            { ...pose, duration: 3, hold: 0, easing: 'linear' },
+            { ...pose, duration: 3, hold: 'long', easing: 'wobble' }
+        ]
+    });
+    assert.equal(parsed.curve, 'uniform');
+    assert.deepEqual(parsed.checkpoints.map(({ hold, easing }) => [hold, easing]), [[1.5, 'ease-out'], [undefined, undefined], [undefined, undefined]]);
+    assert.deepEqual(Object.keys(parsed.checkpoints[1]), ['position', 'lookAt', 'duration']);
+    assert.deepEqual(diffCheckpoints([parsed.checkpoints[1]], [{ ...parsed.checkpoints[1], hold: 2 }]).changed, [0]);
+    assert.deepEqual(diffCheckpoints([parsed.checkpoints[1]], [{ ...parsed.checkpoints[1], easing: 'ease-in' }]).changed, [0]);
+    assert.equal(parseCameraPathImport({ curve: 'bezier', checkpoints: [] }).curve, 'uniform');
+    assert.equal(parseCameraPathImport({ curve: 'centripetal', checkpoints: [] }).curve, 'centripetal');
+});
+
+test('splat import defaults missing fields and reports changed ones', () => {
+    const parsed = parseSplatTransformImport({ position: { x: 1, y: 0, z: 0 }, scale: 0 });
+    assert.deepEqual(parsed, { position: { x: 1, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: 1 });
+    assert.deepEqual(diffSplatTransform({ position: { x: 0, y: 0, z: 0 }, scale: 2 }, parsed), ['position.x', 'scale']);
+    assert.deepEqual(diffSplatTransform(parsed, parsed), []);
+});
+
+test('lot and checkpoint diffs count added, moved and removed entries', () => {
+    const current = {
+        vertices: [
+            { name: 'A', position: { x: 0, y: 0, z: 0 } },
+            { name: 'B', position: { x: 1, y: 0, z: 0 } },
+            { name: 'C', position: { x: 2, y: 0, z: 0 } }
+        ],
+        connections: [{ start: 'A', end: 'B' }, { start: 'B', end: 'C' }]
+    };
+    const next = {
+        vertices: [
+            { name: 'A', position: { x: 0, y: 0, z: 0 } },
+            { name: 'B', position: { x: 1.5, y: 0, z: 0 } },
+            { name: 'D', position: { x: 3, y: 0, z: 0 } }
+        ],
+        connections: [{ start: 'B', end: 'A' }, { start: 'B', end: 'D' }]
+    };
+    assert.deepEqual(diffLotGeometry(current, next), {
+        added: ['D'],
+        moved: ['B'],
+        removed: ['C'],
+        connectionsAdded: 1,
+        connectionsRemoved: 1
+    });
+
+    const checkpoint = (x, duration = 5) => ({ position: { x, y: 0, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, duration });
+    assert.deepEqual(
+        diffCheckpoints([checkpoint(0), checkpoint(1), checkpoint(2)], [checkpoint(0), checkpoint(1, 3)]),
+        { added: 0, removed: 1, changed: [1] }
+    );
+    assert.deepEqual(diffCheckpoints([], [checkpoint(0)]), { added: 1, removed: 0, changed: [] });
+    // Holds and easing change playback without moving anything.
+    assert.deepEqual(
+        diffCheckpoints(
+            [checkpoint(0), checkpoint(1), checkpoint(2)],
+            [{ ...checkpoint(0), hold: 2 }, { ...checkpoint(1), easing: 'ease-in' }, { ...checkpoint(2), easing: 'linear', hold: 0 }]
+        ),
+        { added: 0, removed: 0, changed: [0, 1] }
+    );
+});
+
+test('path setting diffs report curve, timing, loop and speed changes', () => {
+    const path = { enabled: true, loop: true, speed: 1, curve: 'centripetal', timing: 'even', checkpoints: [] };
+    assert.deepEqual(diffPathSettings(path, { ...path }), []);
+    assert.deepEqual(diffPathSettings(path, { ...path, curve: 'uniform', timing: 'per-checkpoint' }), ['curve', 'timing']);
+    assert.deepEqual(diffPathSettings(path, { ...path, loop: false, speed: 2 }), ['loop', 'speed']);
+    // A payload without curve or timing reads as the uniform, even-speed path it was saved as.
+    assert.deepEqual(diffPathSettings({ ...path, curve: 'uniform' }, { enabled: true, checkpoints: [] }), []);
+    assert.deepEqual(diffPathSettings(null, path), ['enabled', 'curve']);
+});
+
+test('pressure test: exported lot payloads re-import without changes', () => {
+    const rng = makeRng(2718);
+    for (let round = 0; round < 200; round++) {
+        const count = 3 + Math.floor(rng() * 40);
+        const vertices = [];
+        for (let i = 1; i <= count; i++) {
+            vertices.push({ name: `Lot_V${i}`, position: { x: +(rng() * 10 - 5).toFixed(6), y: +(rng()).toFixed(6), z: +(rng() * 10 - 5).toFixed(6) } });
+        }
+        const connections = vertices.map((vertex, i) => ({ start: vertex.name, end: vertices[(i + 1) % count].name }));
+        const exported = JSON.stringify({ borderDotPositions: vertices, borderLineConnections: connections, tapDotPositions: [] }, null, 2);
+        const parsed = parseLotGeometryImport(parseEditorJson(exported));
+        assert.deepEqual(parsed.warnings, []);
+        assert.deepEqual(diffLotGeometry({ vertices, connections }, parsed), {
+            added: [],
+            moved: [],
+            removed: [],
+            connectionsAdded: 0,
+            connectionsRemoved: 0
+        });
+    }
+});
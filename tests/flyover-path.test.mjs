@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGroundTrack, generateFlyoverCheckpoints, sampleGroundTrack } from '../flyover-path.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+const TEE = { x: 0, y: 0, z: 0 };
+const LANDING = { x: 0, y: 0.1, z: -1 };
+const PIN = { x: -1, y: 0, z: -1 };
+
+test('buildGroundTrack measures horizontal distance and drops repeated picks', () => {
+    const track = buildGroundTrack([TEE, { ...TEE, y: 0.3 }, LANDING, null, PIN]);
+    assert.equal(track.points.length, 3);
+    assert.deepEqual(track.distances, [0, 1, 2]);
+    assert.equal(track.length, 2);
+    assert.deepEqual(sampleGroundTrack(track, 0.5), { x: 0, y: 0.05, z: -0.5 });
+    assert.deepEqual(sampleGroundTrack(track, 1.5), { x: -0.5, y: 0.05, z: -1 });
+    assert.deepEqual(sampleGroundTrack(track, 9), PIN);
+    assert.deepEqual(sampleGroundTrack(track, -1), TEE);
+});
+
+test('generateFlyoverCheckpoints flies above the track and looks ahead along it', () => {
+    const { checkpoints, travel, seconds } = generateFlyoverCheckpoints([TEE, { x: 0, y: 0, z: -2 }], {
+        altitude: 0.2,
+        lookAhead: 0.5,
+        speed: 0.25,
+        spacing: 0.5
+    });
+    assert.equal(travel, 1.5);
+    assert.equal(seconds, 6);
+    assert.deepEqual(checkpoints.map((checkpoint) => checkpoint.position.z), [0, -0.5, -1, -1.5]);
+    assert.deepEqual(checkpoints.map((checkpoint) => checkpoint.lookAt.z), [-0.5, -1, -1.5, -2]);
+    assert.ok(checkpoints.every((checkpoint) => checkpoint.position.y === 0.2 && checkpoint.lookAt.y === 0));
+    assert.ok(checkpoints.every((checkpoint) => checkpoint.duration === 2));
+});
+
+test('generateFlyoverCheckpoints follows terrain from heightAt and rejects bad input', () => {
+    const { checkpoints } = generateFlyoverCheckpoints([TEE, LANDING, PIN], {
+        altitude: 0.1,
+        heightAt: (x, z) => (z < -0.5 ? 0.3 : null)
+    });
+    assert.equal(checkpoints[0].position.y, 0.1);
+    assert.ok(Math.abs(checkpoints[checkpoints.length - 1].position.y - 0.4) < 1e-12);
+    assert.equal(checkpoints[checkpoints.length - 1].lookAt.y, 0.3);
+    assert.throws(() => generateFlyoverCheckpoints([TEE]), /at least two/);
+    assert.throws(() => generateFlyoverCheckpoints([TEE, { ...TEE, y: 1 }]), /at least two/);
+    assert.throws(() => generateFlyoverCheckpoints([TEE, PIN], { speed: 0 }), /speed/);
+    assert.throws(() => generateFlyoverCheckpoints([TEE, PIN], { altitude: -1 }), /altitude/);
+});
+
+test('generated flyovers keep even spacing, steady speed and a forward gaze', () => {
+    const rng = makeRng(17);
+    for (let round = 0; round < 100; round++) {
+        const points = Array.from({ length: 2 + Math.floor(rng() * 4) }, (_, index) => ({
+            x: rng() * 0.6 - 0.3,
+            y: rng() * 0.05,
+            z: -index * (0.3 + rng())
+        }));
+        const options = { altitude: 0.05 + rng() * 0.3, lookAhead: 0.1 + rng(), speed: 0.05 + rng() * 0.3, spacing: 0.05 + rng() * 0.4 };
+        const { checkpoints, length, travel, seconds } = generateFlyoverCheckpoints(points, options);
+        const track = buildGroundTrack(points);
+        assert.ok(Math.abs(track.length - length) < 1e-12, `round ${round}`);
+        assert.ok(travel > 0 && travel < length, `round ${round}`);
+        const total = checkpoints.slice(0, -1).reduce((sum, checkpoint) => sum + checkpoint.duration, 0);
+        assert.ok(Math.abs(total - seconds) < 1e-9, `round ${round}`);
+        assert.ok(Math.abs(seconds * options.speed - travel) < 1e-9 || checkpoints[0].duration === 0.1, `round ${round}`);
+        checkpoints.forEach((checkpoint, index) => {
+            if (index) {
+                const previous = checkpoints[index - 1].position;
+                const step = Math.hypot(checkpoint.position.x - previous.x, checkpoint.position.z - previous.z);
+                assert.ok(step <= options.spacing + 1e-9, `round ${round} checkpoint ${index}`);
+            }
+            const gaze = Math.hypot(checkpoint.lookAt.x - checkpoint.position.x, checkpoint.lookAt.z - checkpoint.position.z);
+            assert.ok(gaze <= options.lookAhead + 1e-9 && gaze > 0, `round ${round} checkpoint ${index}`);
+        });
+        assert.deepEqual(checkpoints[checkpoints.length - 1].lookAt, track.points[track.points.length - 1]);
+    }
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGeoreference, formatBearing, formatLatLng } from '../georeference.mjs';
+
+const ORIGIN = { lat: 37.1533, lng: -113.363 };
+
+test('origin + bearing maps +Z to the bearing and keeps the scene right-handed', () => {
+    const georeference = createGeoreference({ origin: ORIGIN, bearing: 0, metersPerUnit: 100 });
+    assert.equal(georeference.northAngle, 0);
+    assert.equal(georeference.metersPerUnit, 100);
+    const north = georeference.worldToLatLng({ x: 0, y: 0, z: 1 });
+    assert.ok(north.lat > ORIGIN.lat);
+    assert.ok(Math.abs(north.lng - ORIGIN.lng) < 1e-12);
+    assert.ok(Math.abs((north.lat - ORIGIN.lat) * 110986 - 100) < 1);
+    assert.equal(georeference.getBearing({ x: 0, z: 1 }), 0);
+    assert.equal(georeference.getBearing({ x: -1, z: 0 }), 90);
+    assert.equal(georeference.getBearing({ x: 1, z: 0 }), 270);
+});
+
+test('bearing rotates north away from +Z and originPosition shifts the origin', () => {
+    const georeference = createGeoreference({
+        origin: ORIGIN,
+        originPosition: { x: 2, y: 5, z: -1 },
+        bearing: 90,
+        metersPerUnit: 50
+    });
+    assert.ok(Math.abs(georeference.northAngle - 90) < 1e-9);
+    const origin = georeference.worldToLatLng({ x: 2, y: 0, z: -1 });
+    assert.ok(Math.abs(origin.lat - ORIGIN.lat) < 1e-12 && Math.abs(origin.lng - ORIGIN.lng) < 1e-12);
+    assert.ok(Math.abs(georeference.getBearing({ x: 0, z: 1 }) - 90) < 1e-9);
+    const back = georeference.latLngToWorld(origin, 3);
+    assert.ok(Math.abs(back.x - 2) < 1e-9 && Math.abs(back.z + 1) < 1e-9);
+    assert.equal(back.y, 3);
+});
+
+test('control points recover the transform they were taken from', () => {
+    const truth = createGeoreference({ origin: ORIGIN, originPosition: { x: 0.3, z: -0.2 }, bearing: 212, metersPerUnit: 180 });
+    const positions = [{ x: 0, y: 0, z: 0 }, { x: 1.2, y: 0.1, z: 0.4 }, { x: -0.7, y: -0.2, z: 0.9 }];
+    const fitted = createGeoreference({
+        controlPoints: positions.map((position) => ({ position, ...truth.worldToLatLng(position) }))
+    });
+    // The fit uses its own tangent point, so it agrees with the source to within the flat-earth approximation.
+    assert.ok(Math.abs(fitted.northAngle - 212) < 1e-3);
+    assert.ok(Math.abs(fitted.metersPerUnit - 180) < 0.01);
+    assert.ok(fitted.residualMeters < 0.01);
+    const probe = { x: 0.5, y: 0, z: -0.5 };
+    const expected = truth.worldToLatLng(probe);
+    const actual = fitted.worldToLatLng(probe);
+    assert.ok(Math.abs(expected.lat - actual.lat) < 1e-7 && Math.abs(expected.lng - actual.lng) < 1e-7);
+});
+
+test('two control points are enough and noisy ones report their residual', () => {
+    const truth = createGeoreference({ origin: ORIGIN, bearing: 10, metersPerUnit: 120 });
+    const a = { x: -1, y: 0, z: 0 };
+    const b = { x: 1, y: 0, z: 1 };
+    const twoPoint = createGeoreference({ controlPoints: [a, b].map((position) => ({ position, ...truth.worldToLatLng(position) })) });
+    assert.ok(Math.abs(twoPoint.northAngle - 10) < 1e-3);
+    const c = { x: 0, y: 0, z: -1 };
+    const shifted = { ...truth.worldToLatLng(c) };
+    shifted.lat += 5 / 111000;
+    const noisy = createGeoreference({
+        controlPoints: [
+            { position: a, ...truth.worldToLatLng(a) },
+            { position: b, ...truth.worldToLatLng(b) },
+            { position: c, ...shifted }
+        ]
+    });
+    assert.ok(noisy.residualMeters > 1 && noisy.residualMeters < 5);
+});
+
+test('createGeoreference rejects incomplete configs', () => {
+    assert.throws(() => createGeoreference({ controlPoints: [{ position: { x: 0, z: 0 }, ...ORIGIN }] }), /at least two/);
+    assert.throws(() => createGeoreference({
+        controlPoints: [{ position: { x: 0, z: 0 }, ...ORIGIN }, { position: { x: 0, z: 0 }, lat: 37.2, lng: -113.3 }]
+    }), /different world positions/);
+    assert.throws(() => createGeoreference({ origin: ORIGIN, bearing: 0, metersPerUnit: 0 }), /metersPerUnit/);
+    assert.throws(() => createGeoreference({ origin: { lat: 120, lng: 0 }, bearing: 0, metersPerUnit: 1 }), /origin/);
+});
+
+test('world and WGS84 round-trip far from the equator and the prime meridian', () => {
+    [
+        { origin: { lat: -68.5, lng: 171.2 }, originPosition: { x: 4, z: -3 }, bearing: -300, metersPerUnit: 0.5 },
+        { origin: { lat: 64.1, lng: -179.9 }, originPosition: { x: -2, z: 1 }, bearing: 45, metersPerUnit: 480 }
+    ].forEach((config) => {
+        const georeference = createGeoreference(config);
+        const position = { x: 3.7, y: 0.4, z: -2.9 };
+        const back = georeference.latLngToWorld(georeference.worldToLatLng(position), position.y);
+        assert.ok(Math.abs(back.x - position.x) < 1e-6 && Math.abs(back.z - position.z) < 1e-6, `lat ${config.origin.lat}`);
+    });
+});
+
+test('formatBearing and formatLatLng', () => {
+    assert.equal(formatBearing(359.6), '000° N');
+    assert.equal(formatBearing(-45), '315° NW');
+    assert.equal(formatBearing(NaN), '—');
+    assert.equal(formatLatLng({ lat: 37.1533, lng: -113.363 }, 4), '37.1533° N, 113.3630° W');
+});
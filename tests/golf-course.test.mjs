@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTeeYardages, getTeeRoute, projectOntoCenterline } from '../golf-course.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+// A dogleg left: straight down -Z for one unit, then across to -X.
+const CENTERLINE = [{ x: 0, y: 0, z: 0 }, { x: 0, y: 0.02, z: -1 }, { x: -1, y: 0, z: -1 }];
+const PIN = { x: -1.2, y: 0, z: -1 };
+
+test('projectOntoCenterline finds the closest point in plan view and interpolates its height', () => {
+    const projection = projectOntoCenterline({ x: 0.3, y: 5, z: -0.5 }, CENTERLINE);
+    assert.equal(projection.segmentIndex, 0);
+    assert.deepEqual(projection.position, { x: 0, y: 0.01, z: -0.5 });
+    assert.deepEqual(projectOntoCenterline({ x: 0.5, y: 0, z: 0.5 }, CENTERLINE).position, { x: 0, y: 0, z: 0 });
+    assert.equal(projectOntoCenterline({ x: -0.5, y: 0, z: -1.2 }, CENTERLINE).segmentIndex, 1);
+    assert.equal(projectOntoCenterline({ x: 0, y: 0, z: 0 }, []), null);
+});
+
+test('getTeeRoute joins the centerline where it passes the tee and ends at the pin', () => {
+    assert.deepEqual(getTeeRoute({ x: 0, y: 0, z: 0.2 }, CENTERLINE, PIN), [
+        { x: 0, y: 0, z: 0.2 },
+        { x: 0, y: 0, z: 0 },
+        { x: 0, y: 0.02, z: -1 },
+        { x: -1, y: 0, z: -1 },
+        PIN
+    ]);
+    // A forward tee already on the fairway skips the part of the centerline behind it.
+    const forward = getTeeRoute({ x: 0, y: 0.01, z: -0.5 }, CENTERLINE, PIN);
+    assert.equal(forward.length, 4);
+    assert.deepEqual(forward[1], { x: 0, y: 0.02, z: -1 });
+    assert.deepEqual(getTeeRoute({ x: 0, y: 0, z: 0 }, [], PIN), [{ x: 0, y: 0, z: 0 }, PIN]);
+});
+
+test('computeTeeYardages measures each tee along the centerline in metres when the scale is known', () => {
+    const course = {
+        tees: [
+            { color: 'black', position: { x: 0, y: 0, z: 0.5 } },
+            { color: 'red', label: 'Forward', position: { x: 0, y: 0, z: -0.4 } }
+        ],
+        centerline: CENTERLINE,
+        pin: PIN
+    };
+    const yardages = computeTeeYardages(course, { metersPerUnit: 100 });
+    assert.deepEqual(yardages.map((entry) => [entry.color, entry.label, entry.units]), [['black', null, 'meters'], ['red', 'Forward', 'meters']]);
+    assert.ok(Math.abs(yardages[0].distance - 270) < 1e-9);
+    assert.ok(Math.abs(yardages[1].distance - 180) < 1e-9);
+    assert.equal(computeTeeYardages(course)[0].units, 'units');
+    assert.deepEqual(computeTeeYardages(null), []);
+    assert.deepEqual(computeTeeYardages({ par: 3 }), []);
+});
+
+test('a tee route is never shorter than the straight line and never longer than tee plus full centerline', () => {
+    const rng = makeRng(16);
+    for (let round = 0; round < 200; round++) {
+        const centerline = Array.from({ length: 2 + Math.floor(rng() * 5) }, (_, index) => ({
+            x: rng() * 0.4 - 0.2 + index * 0.1,
+            y: rng() * 0.05,
+            z: -index * 0.5 + rng() * 0.1
+        }));
+        const pin = { x: rng() - 0.5, y: 0, z: -3 };
+        const tee = { x: rng() - 0.5, y: 0, z: rng() };
+        const route = getTeeRoute(tee, centerline, pin);
+        const length = computeTeeYardages({ tees: [{ color: 'white', position: tee }], centerline, pin })[0].distance;
+        const straight = Math.hypot(pin.x - tee.x, pin.z - tee.z);
+        const full = [tee, ...centerline, pin].reduce((sum, point, index, all) => (
+            index ? sum + Math.hypot(point.x - all[index - 1].x, point.z - all[index - 1].z) : 0
+        ), 0);
+        assert.deepEqual(route[0], tee, `round ${round}`);
+        assert.deepEqual(route[route.length - 1], pin, `round ${round}`);
+        assert.ok(length >= straight - 1e-9, `round ${round}`);
+        assert.ok(length <= full + 1e-9, `round ${round}`);
+    }
+});
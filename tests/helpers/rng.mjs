@@ -0,0 +1,8 @@
+// Seeded LCG so randomized tests replay the same cases on every run.
+export function makeRng(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value * 1664525 + 1013904223) >>> 0;
+        return value / 0x100000000;
+    };
+}
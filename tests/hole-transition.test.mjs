@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { HOLE_TRANSITION_DEFAULTS, createHoleFader, interpolateOrbitPose } from '../hole-transition.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('the fader cross-fades holes and retargets mid-fade without jumping', () => {
+    const fader = createHoleFader(3, { fadeSeconds: 1 });
+    assert.deepEqual([0, 1, 2].map(fader.getLevel), [1, 0, 0]);
+    assert.equal(fader.isSettled(), true);
+
+    fader.setActive(1);
+    assert.equal(fader.update(0.25), true);
+    assert.deepEqual([0, 1, 2].map(fader.getLevel), [0.75, 0.25, 0]);
+    assert.ok(fader.getOpacity(1) < 0.25, 'opacity eases in');
+
+    // Pressing next again while 1 is only a quarter shown: 1 fades back out from where it was.
+    fader.setActive(2);
+    fader.update(0.2);
+    assert.ok(close(fader.getLevel(0), 0.55) && close(fader.getLevel(1), 0.05) && close(fader.getLevel(2), 0.2));
+    fader.update(0.1);
+    assert.equal(fader.getLevel(1), 0);
+    assert.equal(fader.update(10), false);
+    assert.deepEqual([0, 1, 2].map(fader.getLevel), [0, 0, 1]);
+
+    fader.setActive(0, { immediate: true });
+    assert.deepEqual([0, 1, 2].map(fader.getOpacity), [1, 0, 0]);
+    assert.equal(fader.getActiveIndex(), 0);
+    const instant = createHoleFader(2, { initialIndex: 1, fadeSeconds: 0 });
+    instant.setActive(0);
+    assert.equal(instant.update(0), false);
+    assert.equal(createHoleFader(1).getLevel(5), 0);
+    assert.throws(() => createHoleFader(0), /at least one hole/);
+    assert.throws(() => fader.setActive(3), /out of range/);
+    assert.ok(HOLE_TRANSITION_DEFAULTS.fadeSeconds > 0);
+});
+
+test('orbit poses swing the short way round and keep their distance from the target', () => {
+    const from = { position: { x: 0, y: 1, z: 2 }, target: { x: 0, y: 0, z: 0 } };
+    const to = { position: { x: -2, y: 1, z: 1 }, target: { x: 1, y: 0, z: 1 } };
+    assert.deepEqual(interpolateOrbitPose(from, to, 0).target, from.target);
+    const start = interpolateOrbitPose(from, to, 0).position;
+    const end = interpolateOrbitPose(from, to, 1).position;
+    assert.ok(close(start.x, 0) && close(start.y, 1) && close(start.z, 2));
+    assert.ok(close(end.x, -2) && close(end.y, 1) && close(end.z, 1));
+
+    // Azimuths of +170 and -170 degrees are 20 degrees apart; halfway sits behind the target, not in front of it.
+    const angle = (degrees) => degrees * Math.PI / 180;
+    const behind = interpolateOrbitPose(
+        { position: { x: Math.sin(angle(170)), y: 0, z: Math.cos(angle(170)) }, target: { x: 0, y: 0, z: 0 } },
+        { position: { x: Math.sin(angle(-170)), y: 0, z: Math.cos(angle(-170)) }, target: { x: 0, y: 0, z: 0 } },
+        0.5
+    );
+    assert.ok(close(behind.position.z, -1) && close(behind.position.x, 0));
+
+    const degenerate = interpolateOrbitPose({ position: { x: 0, y: 0, z: 0 }, target: { x: 0, y: 0, z: 0 } }, to, 0.5);
+    assert.deepEqual(degenerate.position, { x: -1, y: 0.5, z: 0.5 });
+
+    const rng = makeRng(24);
+    const randomPose = () => ({
+        position: { x: rng() * 8 - 4, y: 0.2 + rng() * 3, z: rng() * 8 - 4 },
+        target: { x: rng() - 0.5, y: rng() * 0.2 - 0.1, z: rng() - 0.5 }
+    });
+    for (let round = 0; round < 200; round++) {
+        const a = randomPose();
+        const b = randomPose();
+        const t = rng();
+        const pose = interpolateOrbitPose(a, b, t);
+        const distance = (p) => Math.hypot(p.position.x - p.target.x, p.position.y - p.target.y, p.position.z - p.target.z);
+        const expected = distance(a) + (distance(b) - distance(a)) * t;
+        assert.ok(Math.abs(distance(pose) - expected) < 1e-9, `round ${round}`);
+        // Both ends look down on their target, so no pose in between dips below it.
+        assert.ok(pose.position.y > pose.target.y, `round ${round}`);
+    }
+});
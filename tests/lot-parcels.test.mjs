@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import {
+    buildLotStatusIndex,
+    formatLotPrice,
+    getLotListing,
+    isPointInPolygon,
+    loadLotStatus,
+    resolveParcelPolygon,
+    triangulatePolygon,
+    validateLotStatus
+} from '../lot-parcels.mjs';
+import { measureLotPolygon } from '../lot-topology.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+const repoRoot = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const siteJson = JSON.parse(readFileSync(path.join(repoRoot, 'site.json'), 'utf8'));
+const lotStatusJson = JSON.parse(readFileSync(path.join(repoRoot, 'lot-status.json'), 'utf8'));
+
+function triangleArea(polygon, indices) {
+    let total = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+        total += measureLotPolygon([polygon[indices[i]], polygon[indices[i + 1]], polygon[indices[i + 2]]]).area;
+    }
+    return total;
+}
+
+test('bundled lot-status.json is valid and covers every declared parcel', () => {
+    assert.deepEqual(validateLotStatus(lotStatusJson).errors, []);
+    const index = buildLotStatusIndex(lotStatusJson);
+    siteJson.holes.forEach((hole) => {
+        (hole.lot?.parcels || []).forEach((parcel) => {
+            assert.ok(index.has(parcel.id), `${parcel.id} has no status entry`);
+            assert.ok(resolveParcelPolygon(parcel, hole.lot.vertices), `${parcel.id} ring does not resolve`);
+        });
+    });
+});
+
+test('validateLotStatus reports bad statuses, prices and links by lot id', () => {
+    const result = validateLotStatus({
+        version: 1,
+        lots: {
+            a: { status: 'pending' },
+            b: { status: 'sold', price: -5 },
+            c: { status: 'reserved', price: 250000, listingUrl: '' },
+            d: { status: 'available', listingUrl: 'javascript:alert(document.cookie)' },
+            e: { status: 'available', listingUrl: '/lots/e' }
+        }
+    });
+    assert.deepEqual(result.errors, [
+        'lots["a"].status must be one of available, reserved, sold',
+        'lots["b"].price must be a non-negative number or null',
+        'lots["c"].listingUrl must be a non-empty string or null',
+        'lots["d"].listingUrl must be a relative, http(s), mailto or tel link'
+    ]);
+    assert.deepEqual(validateLotStatus({ version: 2, lots: [] }).errors, [
+        'version 2 is not supported (expected 1)',
+        'lots must be an object keyed by lot id'
+    ]);
+});
+
+test('getLotListing falls back to an unlisted entry and copies known ones', () => {
+    const index = buildLotStatusIndex({ version: 1, lots: { a: { status: 'sold', price: 1000, listingUrl: ' https://example.com/a ' } } });
+    const listing = getLotListing(index, 'a');
+    assert.deepEqual(listing, { status: 'sold', price: 1000, listingUrl: 'https://example.com/a' });
+    listing.status = 'available';
+    assert.equal(index.get('a').status, 'sold');
+    assert.deepEqual(getLotListing(index, 'missing'), { status: null, price: null, listingUrl: null });
+    const unsafe = buildLotStatusIndex({ version: 1, lots: { b: { status: 'available', listingUrl: ' JavaScript:alert(1)' } } });
+    assert.equal(getLotListing(unsafe, 'b').listingUrl, null);
+});
+
+test('loadLotStatus rejects invalid files with the collected errors', async () => {
+    const fetchImpl = async () => ({ ok: true, status: 200, json: async () => ({ version: 1, lots: { a: { status: 'gone' } } }) });
+    await assert.rejects(loadLotStatus('lot-status.json', { fetchImpl }), (error) => {
+        assert.deepEqual(error.errors, ['lots["a"].status must be one of available, reserved, sold']);
+        return true;
+    });
+    await assert.rejects(loadLotStatus('missing.json', { fetchImpl: async () => ({ ok: false, status: 404 }) }), /404/);
+    const ok = async () => ({ ok: true, status: 200, json: async () => lotStatusJson });
+    assert.equal((await loadLotStatus('lot-status.json', { fetchImpl: ok })).size, Object.keys(lotStatusJson.lots).length);
+});
+
+test('resolveParcelPolygon returns null when a ring vertex is missing', () => {
+    const vertices = [
+        { name: 'A', position: { x: 0, y: 0, z: 0 } },
+        { name: 'B', position: { x: 1, y: 0, z: 0 } },
+        { name: 'C', position: { x: 1, y: 0, z: 1 } }
+    ];
+    assert.deepEqual(resolveParcelPolygon({ ring: ['A', 'B', 'C'] }, vertices).map((point) => point.x), [0, 1, 1]);
+    assert.equal(resolveParcelPolygon({ ring: ['A', 'B', 'Z'] }, vertices), null);
+    assert.equal(resolveParcelPolygon({ ring: ['A', 'B'] }, vertices), null);
+});
+
+test('triangulatePolygon covers a concave ring in either winding', () => {
+    const lShape = [
+        { x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, { x: 2, y: 0, z: 1 },
+        { x: 1, y: 0, z: 1 }, { x: 1, y: 0, z: 2 }, { x: 0, y: 0, z: 2 }
+    ];
+    [lShape, [...lShape].reverse()].forEach((polygon) => {
+        const indices = triangulatePolygon(polygon);
+        assert.equal(indices.length, (polygon.length - 2) * 3);
+        assert.ok(Math.abs(triangleArea(polygon, indices) - 3) < 1e-9);
+    });
+    assert.equal(isPointInPolygon({ x: 0.5, z: 1.5 }, lShape), true);
+    assert.equal(isPointInPolygon({ x: 1.5, z: 1.5 }, lShape), false);
+});
+
+test('triangulatePolygon matches the ring area on random star-shaped lots', () => {
+    const rng = makeRng(11);
+    for (let round = 0; round < 200; round++) {
+        const count = 3 + Math.floor(rng() * 14);
+        const polygon = Array.from({ length: count }, (_, index) => {
+            const angle = (index / count) * Math.PI * 2;
+            const radius = 0.2 + rng();
+            return { x: Math.cos(angle) * radius, y: 0, z: Math.sin(angle) * radius };
+        });
+        const indices = triangulatePolygon(polygon);
+        assert.equal(indices.length, (count - 2) * 3, `round ${round}`);
+        assert.ok(Math.abs(triangleArea(polygon, indices) - measureLotPolygon(polygon).area) < 1e-9, `round ${round}`);
+    }
+});
+
+test('formatLotPrice rounds to whole dollars and handles missing prices', () => {
+    assert.equal(formatLotPrice(249999.6), '$250,000');
+    assert.equal(formatLotPrice(null), 'Price on request');
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { buildLotTopology, formatLotArea, formatLotLength, getLotKey } from '../lot-topology.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+const repoRoot = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const siteJson = JSON.parse(readFileSync(path.join(repoRoot, 'site.json'), 'utf8'));
+
+function vertex(name, x, z, y = 0) {
+    return { name, position: { x, y, z } };
+}
+
+function connect(...names) {
+    return names.slice(1).map((name, index) => ({ start: names[index], end: name }));
+}
+
+test('two lots sharing an edge are found with their areas and perimeters', () => {
+    const topology = buildLotTopology({
+        vertices: [vertex('A', 0, 0), vertex('B', 1, 0), vertex('C', 1, 1), vertex('D', 0, 1), vertex('E', 3, 0), vertex('F', 3, 1)],
+        connections: [...connect('A', 'B', 'C', 'D', 'A'), ...connect('B', 'E', 'F', 'C')]
+    });
+    assert.equal(topology.lots.length, 2);
+    assert.deepEqual(topology.lots.map((lot) => lot.area), [2, 1]);
+    assert.deepEqual(topology.lots.map((lot) => lot.perimeter), [6, 4]);
+    assert.deepEqual(topology.lots[0].centroid, { x: 2, y: 0, z: 0.5 });
+    assert.equal(topology.lots[1].key, getLotKey(['D', 'C', 'B', 'A']));
+    assert.deepEqual(topology.danglingEdges, []);
+    assert.equal(topology.units, 'scene');
+});
+
+test('dangling chains, crossings and unknown vertices are reported', () => {
+    const topology = buildLotTopology({
+        vertices: [vertex('A', 0, 0), vertex('B', 1, 0), vertex('C', 1, 1), vertex('D', 0, 1), vertex('E', 2, 2), vertex('F', 3, 2)],
+        connections: [
+            ...connect('A', 'B', 'C', 'D', 'A'),
+            ...connect('C', 'E', 'F'),
+            { start: 'A', end: 'C' },
+            { start: 'B', end: 'D' },
+            { start: 'A', end: 'Z' }
+        ]
+    });
+    assert.deepEqual(topology.danglingEdges, [{ start: 'F', end: 'E' }, { start: 'E', end: 'C' }]);
+    assert.equal(topology.intersections.length, 1);
+    assert.deepEqual(topology.intersections[0].point, { x: 0.5, z: 0.5 });
+    assert.deepEqual(topology.invalidEdges, [{ start: 'A', end: 'Z' }]);
+});
+
+test('hole 15 in site.json splits into closed lots without dangling edges', () => {
+    const hole = siteJson.holes.find((entry) => entry.id === 'hole-15');
+    const topology = buildLotTopology({ vertices: hole.lot.vertices, connections: hole.lot.connections });
+    assert.equal(topology.lots.length, 3);
+    assert.deepEqual(topology.danglingEdges, []);
+    assert.deepEqual(topology.intersections, []);
+    const shared = topology.lots.filter((lot) => lot.vertices.includes('Lot_V15'));
+    assert.ok(shared.length >= 2, 'Lot_V15 sits on an edge shared by neighbouring lots');
+});
+
+test('metersPerUnit converts to real-world units and formatting picks readable units', () => {
+    const topology = buildLotTopology({
+        vertices: [vertex('A', 0, 0), vertex('B', 1, 0), vertex('C', 1, 1), vertex('D', 0, 1)],
+        connections: connect('A', 'B', 'C', 'D', 'A'),
+        metersPerUnit: 100
+    });
+    assert.equal(topology.units, 'meters');
+    assert.equal(topology.lots[0].area, 10000);
+    assert.equal(topology.lots[0].perimeter, 400);
+    assert.equal(formatLotArea(10000, 'meters'), '2.47 ac');
+    assert.equal(formatLotArea(100, 'meters'), '1,076 sq ft');
+    assert.equal(formatLotLength(400, 'meters'), '1,312 ft');
+    assert.equal(formatLotArea(1.23456, 'scene'), '1.2346 u²');
+    assert.equal(formatLotLength(Number.NaN, 'meters'), '—');
+});
+
+test('pressure test: jittered parcel grids tile their boundary exactly', () => {
+    const rng = makeRng(1618);
+    for (let round = 0; round < 60; round++) {
+        const columns = 1 + Math.floor(rng() * 6);
+        const rows = 1 + Math.floor(rng() * 6);
+        const name = (i, j) => `V${i}_${j}`;
+        const vertices = [];
+        const connections = [];
+        for (let i = 0; i <= columns; i++) {
+            for (let j = 0; j <= rows; j++) {
+                const interior = i > 0 && i < columns && j > 0 && j < rows;
+                const jitterX = interior ? (rng() - 0.5) * 0.4 : 0;
+                const jitterZ = interior ? (rng() - 0.5) * 0.4 : 0;
+                vertices.push(vertex(name(i, j), i + jitterX, j + jitterZ, rng()));
+                if (i < columns) connections.push({ start: name(i, j), end: name(i + 1, j) });
+                if (j < rows) connections.push({ start: name(i, j + 1), end: name(i, j) });
+            }
+        }
+        const topology = buildLotTopology({ vertices, connections });
+        assert.equal(topology.lots.length, columns * rows, `round ${round}`);
+        const totalArea = topology.lots.reduce((sum, lot) => sum + lot.area, 0);
+        assert.ok(Math.abs(totalArea - columns * rows) < 1e-9, `round ${round} area ${totalArea}`);
+        assert.deepEqual(topology.danglingEdges, []);
+        assert.deepEqual(topology.intersections, []);
+        topology.lots.forEach((lot) => assert.equal(lot.vertices.length >= 4, true));
+    }
+});
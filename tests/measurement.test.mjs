@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGeoreference } from '../georeference.mjs';
+import {
+    buildMeasurementExport,
+    formatMeasureDistance,
+    formatMeasureRise,
+    formatSegmentLabel,
+    getSceneBearing,
+    measurePolyline
+} from '../measurement.mjs';
+
+const TEE = { x: 0, y: 0, z: 0 };
+const LAYUP = { x: 0, y: 0.02, z: -1 };
+const GREEN = { x: -1, y: -0.01, z: -1 };
+
+test('getSceneBearing treats true north as the side opposite northDirection', () => {
+    // northDirection 180 means the compass parks the camera at -Z, so north is +Z and east is -X.
+    assert.equal(getSceneBearing(TEE, { x: 0, y: 0, z: 1 }, 180), 0);
+    assert.equal(getSceneBearing(TEE, { x: -1, y: 0, z: 0 }, 180), 90);
+    assert.equal(getSceneBearing(TEE, { x: 0, y: 0, z: -1 }, 0), 0);
+    assert.equal(getSceneBearing(TEE, { x: 0, y: 5, z: 0 }, 0), null);
+});
+
+test('getSceneBearing agrees with a georeference whose north drives the compass', () => {
+    [[0, { x: 0, y: 0, z: 1 }], [37, { x: 0.6, y: 0, z: -0.3 }], [212, { x: -0.4, y: 0, z: -0.9 }]].forEach(([bearing, to]) => {
+        const georeference = createGeoreference({ origin: { lat: 37, lng: -113 }, bearing, metersPerUnit: 100 });
+        const northDirection = (georeference.northAngle + 180) % 360;
+        const expected = georeference.getBearing(to);
+        const actual = getSceneBearing(TEE, to, northDirection);
+        const difference = Math.abs(((actual - expected + 540) % 360) - 180);
+        assert.ok(difference < 1e-6, `bearing ${bearing}`);
+    });
+});
+
+test('measurePolyline sums horizontal distance, slope distance and elevation per segment', () => {
+    const measurement = measurePolyline([TEE, LAYUP, GREEN], { metersPerUnit: 100, northDirection: 180 });
+    assert.equal(measurement.units, 'meters');
+    assert.equal(measurement.segments.length, 2);
+    assert.ok(Math.abs(measurement.segments[0].distance - 100) < 1e-9);
+    assert.ok(Math.abs(measurement.segments[0].rise - 2) < 1e-9);
+    assert.ok(Math.abs(measurement.segments[0].slopeDistance - Math.hypot(100, 2)) < 1e-9);
+    assert.equal(measurement.segments[0].bearing, 180);
+    assert.equal(measurement.segments[1].bearing, 90);
+    assert.ok(Math.abs(measurement.distance - 200) < 1e-9);
+    assert.ok(Math.abs(measurement.rise + 1) < 1e-9);
+    assert.ok(Math.abs(measurement.climb - 2) < 1e-9 && Math.abs(measurement.descent - 3) < 1e-9);
+    assert.equal(measurePolyline([TEE, LAYUP]).units, 'units');
+    assert.equal(measurePolyline([TEE]).segments.length, 0);
+});
+
+test('distance and elevation formatting follows the unit system', () => {
+    assert.equal(formatMeasureDistance(137.16), '150 yd');
+    assert.equal(formatMeasureDistance(137.16, { system: 'meters' }), '137 m');
+    assert.equal(formatMeasureDistance(0.8432, { units: 'units' }), '0.84 units');
+    assert.equal(formatMeasureRise(3.048), '+10 ft');
+    assert.equal(formatMeasureRise(-1.25, { system: 'meters' }), '−1.3 m');
+    assert.equal(formatMeasureRise(0.01), '±0 ft');
+    const segment = measurePolyline([TEE, LAYUP], { metersPerUnit: 100, northDirection: 180 }).segments[0];
+    assert.equal(formatSegmentLabel(segment), '109 yd · +7 ft · 180° S');
+});
+
+test('buildMeasurementExport rounds values and adds coordinates when georeferenced', () => {
+    const georeference = createGeoreference({ origin: { lat: 37, lng: -113 }, bearing: 0, metersPerUnit: 100 });
+    const exported = buildMeasurementExport({
+        holeId: 'hole-15',
+        points: [TEE, LAYUP, GREEN],
+        metersPerUnit: 100,
+        northDirection: 180,
+        worldToLatLng: georeference.worldToLatLng
+    });
+    assert.equal(exported.hole, 'hole-15');
+    assert.equal(exported.points.length, 3);
+    assert.deepEqual(exported.points[0], { x: 0, y: 0, z: 0, lat: 37, lng: -113 });
+    assert.deepEqual(exported.segments[1], { from: 1, to: 2, distance: 100, slopeDistance: 100.045, rise: -3, bearing: 90 });
+    assert.deepEqual(exported.total, { distance: 200, slopeDistance: 200.065, rise: -1, climb: 2, descent: 3 });
+});
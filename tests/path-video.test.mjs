@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildCaptionTrack,
+    getCaptionAt,
+    parseRenderResolution,
+    pickRecorderMimeType,
+    planPathRender
+} from '../path-video.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+test('render resolutions accept presets and even WIDTHxHEIGHT sizes', () => {
+    assert.deepEqual(parseRenderResolution('1080p'), { width: 1920, height: 1080 });
+    assert.deepEqual(parseRenderResolution(' Vertical '), { width: 1080, height: 1920 });
+    assert.deepEqual(parseRenderResolution('1001x501'), { width: 1000, height: 500 });
+    assert.throws(() => parseRenderResolution('8k'), /Unknown/);
+    assert.throws(() => parseRenderResolution('10x10'), /between/);
+    assert.throws(() => parseRenderResolution('9000x1000'), /between/);
+});
+
+test('planPathRender covers the path at a fixed frame rate and honours the length cap', () => {
+    assert.deepEqual(planPathRender({ total: 10, fps: 30 }), { fps: 30, frameCount: 301, videoSeconds: 10, pathSeconds: 10 });
+    assert.deepEqual(planPathRender({ total: 10, speed: 2, fps: 24 }), { fps: 24, frameCount: 121, videoSeconds: 5, pathSeconds: 10 });
+    const capped = planPathRender({ total: 60, speed: 1.5, fps: 10, maxSeconds: 2 });
+    assert.equal(capped.frameCount, 21);
+    assert.equal(capped.pathSeconds, 3);
+    assert.equal(planPathRender({ total: 1.01, fps: 10 }).frameCount, 12);
+    assert.throws(() => planPathRender({ total: 0 }), /2\+ checkpoints/);
+    assert.throws(() => planPathRender({ total: 5, fps: 0 }), /Frame rate/);
+    assert.throws(() => planPathRender({ total: 5, speed: -1 }), /speed/);
+});
+
+test('captions follow the nearest captioned tap dot the camera passes', () => {
+    const samples = Array.from({ length: 11 }, (_, index) => ({ time: index, x: index, z: 0 }));
+    const dots = [
+        { caption: 'Clubhouse', position: { x: 2, y: 0, z: 0.1 } },
+        { caption: 'Pond', position: { x: 7, y: 0, z: -0.2 } },
+        { caption: '', position: { x: 5, y: 0, z: 0 } },
+        { caption: 'Far away', position: { x: 5, y: 0, z: 9 } }
+    ];
+    const track = buildCaptionTrack(samples, dots, { radius: 1.2, minSeconds: 0.5 });
+    assert.deepEqual(track, [
+        { caption: 'Clubhouse', start: 1, end: 4 },
+        { caption: 'Pond', start: 6, end: 9 }
+    ]);
+    assert.equal(getCaptionAt(track, 0.5), null);
+    assert.equal(getCaptionAt(track, 1), 'Clubhouse');
+    assert.equal(getCaptionAt(track, 4), null);
+    assert.equal(getCaptionAt(track, 8.9), 'Pond');
+    // A glimpse is held for minSeconds, but never over the next caption.
+    const brief = buildCaptionTrack([{ time: 0, x: 2, z: 0 }, { time: 0.1, x: 50, z: 0 }, { time: 0.2, x: 7, z: 0 }, { time: 0.3, x: 50, z: 0 }], dots, { radius: 1, minSeconds: 2 });
+    assert.deepEqual(brief.map(({ caption, start, end }) => [caption, start, end]), [['Clubhouse', 0, 0.2], ['Pond', 0.2, 2.2]]);
+    assert.deepEqual(buildCaptionTrack(samples, []), []);
+});
+
+test('caption cues never overlap and each covers only samples near its dot', () => {
+    const rng = makeRng(2020);
+    for (let round = 0; round < 100; round++) {
+        const dots = Array.from({ length: 1 + Math.floor(rng() * 5) }, (_, index) => ({
+            caption: `Dot ${index}`,
+            position: { x: rng() * 10, y: 0, z: rng() * 2 - 1 }
+        }));
+        const samples = Array.from({ length: 50 }, (_, index) => ({ time: index * 0.2, x: index * 0.2 + rng() * 0.1, z: rng() - 0.5 }));
+        const radius = 0.3 + rng();
+        const track = buildCaptionTrack(samples, dots, { radius, minSeconds: rng() * 3 });
+        track.forEach((cue, index) => {
+            assert.ok(cue.end >= cue.start, `round ${round}`);
+            if (index) assert.ok(track[index - 1].end <= cue.start + 1e-12, `round ${round}`);
+            const startSample = samples.find((sample) => sample.time === cue.start);
+            const dot = dots.find((candidate) => candidate.caption === cue.caption);
+            assert.ok(Math.hypot(dot.position.x - startSample.x, dot.position.z - startSample.z) <= radius, `round ${round}`);
+        });
+    }
+});
+
+test('the recorder falls back through WebM mime types', () => {
+    assert.equal(pickRecorderMimeType((type) => type !== 'video/webm;codecs=vp9'), 'video/webm;codecs=vp8');
+    assert.equal(pickRecorderMimeType(() => false), null);
+});
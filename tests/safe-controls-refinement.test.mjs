@@ -7,9 +7,11 @@ import {
     computeTiltAngleFromDrag,
     computeZoomedCameraDistance,
     installSafeControlsRefinement,
+    normalizePointerBindings,
     resolveLeftMouseAction,
     shouldTranslateCameraForTargetDelta
 } from '../safe-controls-refinement.mjs';
+import { makeRng } from './helpers/rng.mjs';
 
 class FakeVector3 {
     constructor(x = 0, y = 0, z = 0) {
@@ -101,7 +103,7 @@ function makePointerEvent(overrides = {}) {
     };
 }
 
-function createHarness() {
+function createHarness({ bindings } = {}) {
     const windowTarget = new FakeEventTarget();
     const domElement = new FakeEventTarget();
     const lotEditState = { active: false };
@@ -133,6 +135,7 @@ function createHarness() {
         lotEditState,
         MOUSE,
         Vector3: FakeVector3,
+        bindings,
         onUserNavigate() {
             navigateCalls += 1;
         }
@@ -149,14 +152,6 @@ function createHarness() {
     };
 }
 
-function makeRng(seed) {
-    let value = seed >>> 0;
-    return () => {
-        value = (value * 1664525 + 1013904223) >>> 0;
-        return value / 0x100000000;
-    };
-}
-
 function randInRange(rng, min, max) {
     return min + (max - min) * rng();
 }
@@ -271,6 +266,48 @@ test('installSafeControlsRefinement: alt-left drag maps to orbit and resets to p
     assert.equal(installResult.getInteractionMode(), INTERACTION_MODE.NONE);
 });
 
+test('normalizePointerBindings merges per-mode overrides and rejects unknown modes', () => {
+    const bindings = normalizePointerBindings({ orbit: { button: 0, modifier: 'Ctrl' } });
+    assert.deepEqual(bindings.orbit, [{ button: 0, modifier: 'ctrl' }]);
+    assert.deepEqual(bindings.pan, [{ button: 0 }]);
+    assert.throws(() => normalizePointerBindings({ spin: [{ button: 0 }] }), /Unknown pointer binding mode/);
+    assert.throws(() => normalizePointerBindings({ pan: [{ button: 0, modifier: 'hyper' }] }), /Unknown pointer binding modifier/);
+    assert.throws(() => normalizePointerBindings({ pan: [{}] }), /needs a button index/);
+});
+
+test('classifyPointerInteraction honours remapped bindings', () => {
+    const bindings = normalizePointerBindings({
+        pan: [{ button: 2 }],
+        orbit: [{ button: 0 }],
+        tilt: [{ button: 0, modifier: 'ctrl' }],
+        dolly: []
+    });
+    assert.equal(classifyPointerInteraction({ button: 0, bindings }), INTERACTION_MODE.ORBIT);
+    assert.equal(classifyPointerInteraction({ button: 0, ctrlKey: true, bindings }), INTERACTION_MODE.TILT);
+    assert.equal(classifyPointerInteraction({ button: 0, shiftKey: true, bindings }), INTERACTION_MODE.ORBIT);
+    assert.equal(classifyPointerInteraction({ button: 2, bindings }), INTERACTION_MODE.PAN);
+    assert.equal(classifyPointerInteraction({ button: 1, bindings }), INTERACTION_MODE.OTHER);
+});
+
+test('installSafeControlsRefinement: remapped bindings drive OrbitControls mouse buttons', () => {
+    const { domElement, windowTarget, controls, MOUSE, installResult } = createHarness({
+        bindings: { pan: [{ button: 2 }], orbit: [{ button: 0 }] }
+    });
+    assert.equal(controls.mouseButtons.LEFT, MOUSE.ROTATE);
+    assert.equal(controls.mouseButtons.MIDDLE, MOUSE.DOLLY);
+    assert.equal(controls.mouseButtons.RIGHT, MOUSE.PAN);
+
+    domElement.dispatch('pointerdown', makePointerEvent({ pointerId: 5, button: 0, altKey: true }));
+    assert.equal(installResult.getInteractionMode(), INTERACTION_MODE.ORBIT);
+    assert.equal(controls.mouseButtons.LEFT, MOUSE.ROTATE);
+    windowTarget.dispatch('pointerup', makePointerEvent({ pointerId: 5, button: 0 }));
+
+    domElement.dispatch('pointerdown', makePointerEvent({ pointerId: 6, button: 2 }));
+    assert.equal(installResult.getInteractionMode(), INTERACTION_MODE.PAN);
+    windowTarget.dispatch('pointerup', makePointerEvent({ pointerId: 6, button: 2 }));
+    assert.equal(installResult.getInteractionMode(), INTERACTION_MODE.NONE);
+});
+
 test('installSafeControlsRefinement: regular left pan does not call preventDefault', () => {
     const { domElement, controls } = createHarness();
     const panDownEvent = makePointerEvent({
@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { buildViewerConfigFromManifest } from '../site-manifest.mjs';
+import { buildLotStatusIndex } from '../lot-parcels.mjs';
+import {
+    buildDirectoryHighlight,
+    buildSiteDirectory,
+    filterSiteDirectory,
+    getLotEdgeKey,
+    isDirectoryFilterActive,
+    listDirectoryTags,
+    parseDirectoryQuery
+} from '../site-directory.mjs';
+
+const repoRoot = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const siteJson = JSON.parse(readFileSync(path.join(repoRoot, 'site.json'), 'utf8'));
+const lotStatusJson = JSON.parse(readFileSync(path.join(repoRoot, 'lot-status.json'), 'utf8'));
+
+function vertex(name, x, z) {
+    return { name, position: { x, y: 0, z } };
+}
+
+function makeDirectory() {
+    return buildSiteDirectory({
+        holes: [
+            { id: 'hole-1', label: 'Hole 1', lotMetersPerUnit: 100 },
+            { id: 'hole-2', label: 'Hole 2', lotMetersPerUnit: null }
+        ],
+        tapDotsByHole: [
+            [
+                { position: { x: 0, y: 0, z: 0 }, caption: 'Clubhouse', tags: { view: 'lake' } },
+                { position: { x: 1, y: 0, z: 0 }, caption: '' }
+            ],
+            [{ position: { x: 2, y: 0, z: 2 }, caption: 'Pro Shop', tags: { view: 'Mountain' } }]
+        ],
+        parcelsByHole: [
+            [
+                { id: 'a', label: 'Lot A', ring: ['A', 'B', 'C', 'D'], tags: { view: 'lake' } },
+                { id: 'b', label: 'Lot B', ring: ['B', 'E', 'F', 'C'] }
+            ],
+            [{ id: 'c', ring: ['A', 'B', 'Z'] }]
+        ],
+        verticesByHole: [
+            [vertex('A', 0, 0), vertex('B', 1, 0), vertex('C', 1, 1), vertex('D', 0, 1), vertex('E', 2, 0), vertex('F', 2, 1)],
+            [vertex('A', 0, 0), vertex('B', 1, 0)]
+        ],
+        statusIndex: buildLotStatusIndex({
+            version: 1,
+            lots: { a: { status: 'available', price: 350000 }, b: { status: 'sold', price: 420000 } }
+        })
+    });
+}
+
+test('buildSiteDirectory indexes captioned tap dots and resolvable lots with derived tags', () => {
+    const entries = makeDirectory();
+    assert.deepEqual(entries.map((entry) => entry.id), ['lot:a', 'lot:b', 'poi:hole-1:0', 'poi:hole-2:0']);
+    const lotA = entries[0];
+    assert.deepEqual(lotA.tags, { view: 'lake', status: 'available', price: 350000, acreage: 2.47 });
+    assert.deepEqual(lotA.position, { x: 0.5, y: 0, z: 0.5 });
+    assert.equal(entries[2].tapDotIndex, 0);
+    assert.equal(entries[3].holeLabel, 'Hole 2');
+});
+
+test('parseDirectoryQuery separates free text from attribute filters', () => {
+    assert.deepEqual(parseDirectoryQuery('  Lake status:Available price<400000 acreage>=1.5 view=lake '), {
+        terms: ['lake'],
+        filters: [
+            { key: 'status', op: ':', value: 'Available' },
+            { key: 'price', op: '<', value: '400000' },
+            { key: 'acreage', op: '>=', value: '1.5' },
+            { key: 'view', op: ':', value: 'lake' }
+        ]
+    });
+});
+
+test('filterSiteDirectory combines text, hole, tag and numeric filters', () => {
+    const entries = makeDirectory();
+    const ids = (options) => filterSiteDirectory(entries, options).map((entry) => entry.id);
+    assert.deepEqual(ids({ query: 'lake' }), ['lot:a', 'poi:hole-1:0']);
+    assert.deepEqual(ids({ query: 'shop hole' }), ['poi:hole-2:0']);
+    assert.deepEqual(ids({ query: 'price<400000' }), ['lot:a']);
+    assert.deepEqual(ids({ query: 'price>=350000 STATUS:sold' }), ['lot:b']);
+    assert.deepEqual(ids({ query: 'price:420000' }), ['lot:b']);
+    assert.deepEqual(ids({ tag: { key: 'view', value: 'mountain' } }), ['poi:hole-2:0']);
+    assert.deepEqual(ids({ holeId: 'hole-1', tag: { key: 'view', value: 'lake' } }), ['lot:a', 'poi:hole-1:0']);
+    assert.deepEqual(ids({ query: 'view<3' }), []);
+    assert.equal(ids({}).length, entries.length);
+    assert.equal(isDirectoryFilterActive({ query: '   ' }), false);
+    assert.equal(isDirectoryFilterActive({ holeId: 'hole-1' }), true);
+});
+
+test('listDirectoryTags offers text tags with counts and leaves numbers to queries', () => {
+    assert.deepEqual(listDirectoryTags(makeDirectory()), [
+        { key: 'status', value: 'available', count: 1 },
+        { key: 'status', value: 'sold', count: 1 },
+        { key: 'view', value: 'lake', count: 2 },
+        { key: 'view', value: 'Mountain', count: 1 }
+    ]);
+});
+
+test('buildDirectoryHighlight collects matching lot rings and tap dots for one hole', () => {
+    const entries = makeDirectory();
+    const highlight = buildDirectoryHighlight(filterSiteDirectory(entries, { query: 'lake' }), {
+        holeIndex: 0,
+        parcels: [
+            { id: 'a', ring: ['A', 'B', 'C', 'D'] },
+            { id: 'b', ring: ['B', 'E', 'F', 'C'] }
+        ]
+    });
+    assert.deepEqual([...highlight.lotIds], ['a']);
+    assert.deepEqual([...highlight.tapDotIndices], [0]);
+    assert.deepEqual([...highlight.vertexNames], ['A', 'B', 'C', 'D']);
+    assert.ok(highlight.edgeKeys.has(getLotEdgeKey('D', 'A')));
+    assert.ok(!highlight.edgeKeys.has(getLotEdgeKey('B', 'E')));
+    assert.equal(buildDirectoryHighlight(entries, { holeIndex: 1 }).tapDotIndices.size, 1);
+});
+
+test('bundled site lists its lots and captioned points of interest', () => {
+    const config = buildViewerConfigFromManifest(siteJson);
+    const entries = buildSiteDirectory({
+        holes: config.holeConfigurations,
+        tapDotsByHole: config.tapDotConfigurationsByHole,
+        parcelsByHole: config.lotParcelsByHole,
+        verticesByHole: config.borderDotPositionsByHole,
+        statusIndex: buildLotStatusIndex(lotStatusJson)
+    });
+    const parcelCount = config.lotParcelsByHole.reduce((sum, parcels) => sum + parcels.length, 0);
+    assert.equal(entries.filter((entry) => entry.kind === 'lot').length, parcelCount);
+    assert.ok(filterSiteDirectory(entries, { query: 'clubhouse' }).length >= 1);
+    assert.equal(new Set(entries.map((entry) => entry.id)).size, entries.length);
+});
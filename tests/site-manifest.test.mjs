@@ -0,0 +1,372 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import {
+    SITE_MANIFEST_VERSION,
+    applyParameterOverrides,
+    buildViewerConfigFromManifest,
+    loadSiteManifest,
+    resolveSiteManifestUrl,
+    validateSiteManifest,
+    validateTapDots
+} from '../site-manifest.mjs';
+
+const repoRoot = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const siteJson = JSON.parse(readFileSync(path.join(repoRoot, 'site.json'), 'utf8'));
+
+function makeManifest(holeOverrides = {}) {
+    return {
+        version: SITE_MANIFEST_VERSION,
+        site: { id: 'test-site', title: 'Test Site' },
+        holes: [
+            {
+                id: 'hole-1',
+                label: 'Hole 1',
+                source: 'https://example.com/splat',
+                splat: { position: { x: 0, y: 0.2, z: 0 }, rotation: { x: 0, y: 4, z: 0 }, scale: 1 },
+                view: { startPosition: { x: 0, y: 0.5, z: 2 }, target: { x: 0, y: -0.06, z: 0 } },
+                tapDots: [
+                    { position: { x: 0.1, y: 0, z: 0.2 }, scale: 0.2, icon: 'info', caption: 'Tee' }
+                ],
+                lot: {
+                    vertices: [
+                        { name: 'Lot_V1', position: { x: 0, y: 0, z: 0 } },
+                        { name: 'Lot_V2', position: { x: 1, y: 0, z: 0 } }
+                    ],
+                    connections: [{ start: 'Lot_V1', end: 'Lot_V2' }]
+                },
+                ...holeOverrides
+            }
+        ]
+    };
+}
+
+test('bundled site.json is a valid manifest', () => {
+    const result = validateSiteManifest(siteJson);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.valid, true);
+});
+
+test('buildViewerConfigFromManifest splits holes into per-hole viewer arrays', () => {
+    const config = buildViewerConfigFromManifest(makeManifest());
+    assert.equal(config.holeConfigurations.length, 1);
+    assert.equal(config.holeConfigurations[0].id, 'hole-1');
+    assert.equal(config.holeConfigurations[0].path, null);
+    assert.equal(config.tapDotConfigurationsByHole[0][0].caption, 'Tee');
+    assert.deepEqual(config.borderDotPositionsByHole[0].map((vertex) => vertex.name), ['Lot_V1', 'Lot_V2']);
+    assert.deepEqual(config.borderLineConnectionsByHole[0], [{ start: 'Lot_V1', end: 'Lot_V2' }]);
+    assert.equal(config.holeConfigurations[0].lotMetersPerUnit, null);
+});
+
+test('validateSiteManifest reports bad vectors with their field path', () => {
+    const result = validateSiteManifest(makeManifest({
+        splat: { position: { x: 0, y: 'high', z: 0 } },
+        view: { target: { x: 0, z: 0 } }
+    }));
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.includes('holes[0].splat.position.y must be a finite number'));
+    assert.ok(result.errors.includes('holes[0].view.target.y is required'));
+});
+
+test('validateSiteManifest checks camera path curves, holds and easing', () => {
+    const pose = { position: { x: 0, y: 1, z: 2 }, lookAt: { x: 0, y: 0, z: 0 } };
+    const manifest = makeManifest({
+        path: {
+            curve: 'bezier',
+            timing: 'fixed',
+            checkpoints: [
+                { ...pose, duration: 4, hold: -1, easing: 'bounce' },
+                { ...pose, duration: 4, hold: 2, easing: 'ease-in-out' }
+            ]
+        }
+    });
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].path.curve must be one of centripetal, uniform',
+        'holes[0].path.timing must be one of even, per-checkpoint',
+        'holes[0].path.checkpoints[0].hold must not be negative',
+        'holes[0].path.checkpoints[0].easing must be one of linear, ease-in, ease-out, ease-in-out'
+    ]);
+    manifest.holes[0].path.curve = 'uniform';
+    manifest.holes[0].path.timing = 'per-checkpoint';
+    manifest.holes[0].path.checkpoints[0] = { ...pose, hold: 0, easing: 'linear' };
+    assert.equal(validateSiteManifest(manifest).valid, true);
+});
+
+test('validateSiteManifest rejects unknown icons and honours knownIcons', () => {
+    const manifest = makeManifest({
+        tapDots: [{ position: { x: 0, y: 0, z: 0 }, icon: 'globe' }]
+    });
+    const result = validateSiteManifest(manifest);
+    assert.deepEqual(result.errors, ['holes[0].tapDots[0].icon "globe" is not a known icon (info, camera, video, panorama, card)']);
+    assert.equal(validateSiteManifest(manifest, { knownIcons: ['info', 'globe'] }).valid, true);
+});
+
+test('validateSiteManifest checks video, panorama and card tap dot content', () => {
+    const at = { x: 0, y: 0, z: 0 };
+    const manifest = makeManifest({
+        tapDots: [
+            { position: at, icon: 'video', video: { src: 'clips/tee.mp4', poster: 'clips/tee.jpg', loop: 'yes' } },
+            { position: at, icon: 'panorama' },
+            { position: at, icon: 'card', card: { links: [{ label: 'Map', url: 'javascript:alert(1)' }], cta: 'Book' } }
+        ]
+    });
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].tapDots[0].video.loop must be true or false',
+        'holes[0].tapDots[1].panorama is required for panorama tap dots',
+        'holes[0].tapDots[2].card needs a title or body',
+        'holes[0].tapDots[2].card.links[0].url must be a relative, http(s), mailto or tel link',
+        'holes[0].tapDots[2].card.cta must be an object with a label and url'
+    ]);
+    manifest.holes[0].tapDots = [
+        { position: at, icon: 'video', video: { src: 'clips/tee.mp4', loop: true } },
+        { position: at, icon: 'panorama', panorama: { src: 'pano/green.jpg', yaw: -40, fov: 80 } },
+        { position: at, icon: 'card', card: { title: 'Clubhouse', body: 'Open **daily**', cta: { label: 'Book', url: 'https://example.com' } } }
+    ];
+    assert.equal(validateSiteManifest(manifest).valid, true);
+
+    // The lot editor checks its exported tap dots with the same rules.
+    assert.deepEqual(validateTapDots([{ position: at, icon: 'video' }], { path: 'tapDotPositions' }).errors, [
+        'tapDotPositions[0].video is required for video tap dots'
+    ]);
+    assert.equal(validateTapDots(manifest.holes[0].tapDots).valid, true);
+});
+
+test('validateSiteManifest reports dangling and self-referencing lot connections', () => {
+    const result = validateSiteManifest(makeManifest({
+        lot: {
+            vertices: [{ name: 'Lot_V1', position: { x: 0, y: 0, z: 0 } }],
+            connections: [
+                { start: 'Lot_V1', end: 'Lot_V9' },
+                { start: 'Lot_V1', end: 'Lot_V1' }
+            ]
+        }
+    }));
+    assert.deepEqual(result.errors, [
+        'holes[0].lot.connections[0].end "Lot_V9" does not match any vertex in holes[0].lot.vertices',
+        'holes[0].lot.connections[1] connects "Lot_V1" to itself'
+    ]);
+});
+
+test('validateSiteManifest checks the lot scale and passes it to the viewer', () => {
+    const manifest = makeManifest();
+    manifest.holes[0].lot.metersPerUnit = 0;
+    assert.deepEqual(validateSiteManifest(manifest).errors, ['holes[0].lot.metersPerUnit must be greater than 0']);
+    manifest.holes[0].lot.metersPerUnit = 120.5;
+    assert.equal(validateSiteManifest(manifest).valid, true);
+    assert.equal(buildViewerConfigFromManifest(manifest).holeConfigurations[0].lotMetersPerUnit, 120.5);
+});
+
+test('validateSiteManifest checks lot parcel rings and ids across holes', () => {
+    const manifest = makeManifest();
+    manifest.holes[0].lot.parcels = [
+        { id: 'lot-a', label: 'Lot A', ring: ['Lot_V1', 'Lot_V2', 'Lot_V7'] },
+        { id: 'lot-b', ring: ['Lot_V1', 'Lot_V2'] }
+    ];
+    manifest.holes.push({
+        id: 'hole-2',
+        label: 'Hole 2',
+        source: 'https://example.com/splat-2',
+        lot: {
+            vertices: manifest.holes[0].lot.vertices.concat([{ name: 'Lot_V3', position: { x: 0, y: 0, z: 1 } }]),
+            parcels: [{ id: 'lot-a', ring: ['Lot_V1', 'Lot_V2', 'Lot_V3'] }]
+        }
+    });
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].lot.parcels[0].ring[2] "Lot_V7" does not match any lot vertex',
+        'holes[0].lot.parcels[1].ring must list at least 3 vertex names',
+        'holes[1].lot.parcels[0].id "lot-a" is used by more than one lot'
+    ]);
+    manifest.holes[0].lot.parcels = [];
+    manifest.holes[1].lot.parcels[0].id = 'lot-c';
+    const config = buildViewerConfigFromManifest(manifest);
+    assert.equal(validateSiteManifest(manifest).valid, true);
+    assert.deepEqual(config.lotParcelsByHole, [[], [{ id: 'lot-c', ring: ['Lot_V1', 'Lot_V2', 'Lot_V3'] }]]);
+});
+
+test('validateSiteManifest checks directory tags on tap dots and lots', () => {
+    const manifest = makeManifest({
+        tapDots: [{ position: { x: 0, y: 0, z: 0 }, icon: 'info', caption: 'Tee', tags: { view: 'lake', par: 4, dogLeg: null } }]
+    });
+    manifest.holes[0].lot.vertices.push({ name: 'Lot_V3', position: { x: 0, y: 0, z: 1 } });
+    manifest.holes[0].lot.parcels = [{ id: 'lot-a', ring: ['Lot_V1', 'Lot_V2', 'Lot_V3'], tags: ['corner'] }];
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].tapDots[0].tags.dogLeg must be a string, number or boolean',
+        'holes[0].lot.parcels[0].tags must be an object of attribute values'
+    ]);
+});
+
+test('validateSiteManifest checks georeferences and derives the lot scale from them', () => {
+    const manifest = makeManifest({
+        georeference: { controlPoints: [{ position: { x: 0, y: 0, z: 0 }, lat: 37.15, lng: -113.36 }] }
+    });
+    assert.deepEqual(validateSiteManifest(manifest).errors, ['holes[0].georeference.controlPoints must list at least 2 points']);
+    manifest.holes[0].georeference = { origin: { lat: 95, lng: -113.36 }, bearing: 'north' };
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].georeference.origin.lat must be between -90 and 90',
+        'holes[0].georeference.bearing must be a finite number',
+        'holes[0].georeference.metersPerUnit is required'
+    ]);
+    manifest.holes[0].georeference = {
+        controlPoints: [
+            { position: { x: 0, y: 0, z: 0 }, lat: 37.15, lng: -113.36 },
+            { position: { x: 0, y: 1, z: 0 }, lat: 37.16, lng: -113.36 }
+        ]
+    };
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].georeference: Georeference control points must be at different world positions'
+    ]);
+    manifest.holes[0].georeference = { origin: { lat: 37.15, lng: -113.36 }, bearing: 12, metersPerUnit: 150 };
+    assert.equal(validateSiteManifest(manifest).valid, true);
+    const holeConfig = buildViewerConfigFromManifest(manifest).holeConfigurations[0];
+    assert.equal(holeConfig.lotMetersPerUnit, 150);
+    assert.equal(holeConfig.georeference.bearing, 12);
+    manifest.holes[0].lot.metersPerUnit = 149;
+    assert.equal(buildViewerConfigFromManifest(manifest).holeConfigurations[0].lotMetersPerUnit, 149);
+});
+
+test('validateSiteManifest checks course map placements and passes them to the viewer', () => {
+    const manifest = makeManifest({ placement: { x: 'east', rotation: 90, scale: 0 } });
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].placement.x must be a finite number',
+        'holes[0].placement.z is required',
+        'holes[0].placement.scale must be greater than 0'
+    ]);
+    manifest.holes[0].placement = { x: 12, z: -4, rotation: 90 };
+    assert.equal(validateSiteManifest(manifest).valid, true);
+    assert.deepEqual(buildViewerConfigFromManifest(manifest).holeConfigurations[0].placement, { x: 12, z: -4, rotation: 90 });
+    delete manifest.holes[0].placement;
+    assert.equal(buildViewerConfigFromManifest(manifest).holeConfigurations[0].placement, null);
+});
+
+test('validateSiteManifest checks the course block and passes it to the viewer', () => {
+    const manifest = makeManifest({
+        course: {
+            par: 7,
+            handicap: 4,
+            tees: [
+                { color: 'blue', position: { x: 0, y: 0, z: 0 } },
+                { color: 'blue', position: { x: 0.1, y: 0, z: 0 } },
+                { color: 'red' }
+            ],
+            centerline: [{ x: 0, y: 0, z: 0 }],
+            green: [{ x: 0, y: 0, z: -1 }, { x: 0.1, y: 0, z: -1 }, { x: 0.1, y: 'low', z: -1.1 }],
+            hazards: [{ type: 'lava', outline: [] }, { type: 'bunker' }]
+        }
+    });
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'holes[0].course.par must be a whole number from 3 to 6',
+        'holes[0].course.tees[1].color "blue" is used by more than one tee',
+        'holes[0].course.tees[2].position is required',
+        'holes[0].course.centerline must be an array of at least 2 points',
+        'holes[0].course.green[2].y must be a finite number',
+        'holes[0].course.hazards[0].type must be one of: bunker, water, waste, trees, out-of-bounds',
+        'holes[0].course.hazards[0].outline must be an array of at least 3 points',
+        'holes[0].course.hazards[1].outline is required'
+    ]);
+    const outline = [{ x: 0, y: 0, z: -1 }, { x: 0.1, y: 0, z: -1 }, { x: 0.1, y: 0, z: -1.1 }];
+    manifest.holes[0].course = {
+        par: 4,
+        handicap: 4,
+        tees: [{ color: 'blue', position: { x: 0, y: 0, z: 0 } }],
+        centerline: [{ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -1 }],
+        green: outline,
+        pin: { x: 0.05, y: 0, z: -1.05 },
+        hazards: [{ type: 'water', label: 'Pond', outline }]
+    };
+    assert.equal(validateSiteManifest(manifest).valid, true);
+    assert.equal(buildViewerConfigFromManifest(manifest).holeConfigurations[0].course.hazards[0].label, 'Pond');
+    assert.equal(buildViewerConfigFromManifest(makeManifest()).holeConfigurations[0].course, null);
+});
+
+test('validateSiteManifest checks tour stops against holes and their tap dots', () => {
+    const pose = { position: { x: 0, y: 0.5, z: 2 }, target: { x: 0, y: 0, z: 0 } };
+    const manifest = makeManifest();
+    manifest.tours = [
+        { id: 'sales', stops: [{ hole: 'hole-1', ...pose, tapDot: 'Tee', narration: 'Start here', dwell: 4 }, { hole: 'hole-1', ...pose, tapDot: 0 }] },
+        { id: 'sales', stops: [] },
+        {
+            id: 'broken',
+            stops: [
+                { hole: 'hole-9', ...pose },
+                { hole: 'hole-1', position: pose.position, tapDot: 'Clubhouse', dwell: -1 },
+                { hole: 'hole-1', ...pose, tapDot: 1.5, audio: 3 }
+            ]
+        }
+    ];
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'tours[1].id "sales" is used by more than one tour',
+        'tours[1].stops must be a non-empty array',
+        'tours[2].stops[0].hole "hole-9" does not match any hole',
+        'tours[2].stops[1].target is required',
+        'tours[2].stops[1].tapDot "Clubhouse" does not match any tap dot on "hole-1"',
+        'tours[2].stops[1].dwell must not be negative',
+        'tours[2].stops[2].tapDot must be a tap dot caption or index',
+        'tours[2].stops[2].audio must be a non-empty string'
+    ]);
+    manifest.tours = manifest.tours.slice(0, 1);
+    assert.equal(validateSiteManifest(manifest).valid, true);
+    assert.equal(buildViewerConfigFromManifest(manifest).tours[0].stops[0].narration, 'Start here');
+    assert.deepEqual(buildViewerConfigFromManifest(makeManifest()).tours, []);
+});
+
+test('validateSiteManifest checks pointer bindings with the controls\' own rules', () => {
+    const manifest = makeManifest();
+    manifest.parameters = { pointerBindings: { orbit: [{ button: 0, modifier: 'hyper' }] } };
+    assert.deepEqual(validateSiteManifest(manifest).errors, [
+        'parameters.pointerBindings: Unknown pointer binding modifier "hyper" for "orbit".'
+    ]);
+    manifest.parameters.pointerBindings = { spin: { button: 1 } };
+    assert.deepEqual(validateSiteManifest(manifest).errors, ['parameters.pointerBindings: Unknown pointer binding mode "spin".']);
+    manifest.parameters.pointerBindings = { orbit: [{ button: 0, modifier: 'alt' }], pan: { button: 0 } };
+    assert.equal(validateSiteManifest(manifest).valid, true);
+});
+
+test('validateSiteManifest rejects unsupported versions and empty hole lists', () => {
+    const result = validateSiteManifest({ version: 99, holes: [] });
+    assert.deepEqual(result.errors, [
+        `version 99 is not supported (expected ${SITE_MANIFEST_VERSION})`,
+        'holes must be a non-empty array'
+    ]);
+});
+
+test('applyParameterOverrides deep merges objects and replaces arrays', () => {
+    const parameters = {
+        compass: { northDirection: 0, northButtonMode: 'north' },
+        animation: { path: { checkpoints: [1, 2] } }
+    };
+    applyParameterOverrides(parameters, {
+        compass: { northDirection: 90 },
+        animation: { path: { checkpoints: [3] } }
+    });
+    assert.deepEqual(parameters, {
+        compass: { northDirection: 90, northButtonMode: 'north' },
+        animation: { path: { checkpoints: [3] } }
+    });
+});
+
+test('loadSiteManifest throws with the collected field errors', async () => {
+    const fetchImpl = async () => ({
+        ok: true,
+        status: 200,
+        json: async () => makeManifest({ tapDots: [{ position: { x: 0, y: 0, z: 0 }, icon: 'globe' }] })
+    });
+    await assert.rejects(loadSiteManifest('site.json', { fetchImpl }), (error) => {
+        assert.deepEqual(error.errors, ['holes[0].tapDots[0].icon "globe" is not a known icon (info, camera, video, panorama, card)']);
+        return true;
+    });
+    const missing = async () => ({ ok: false, status: 404 });
+    await assert.rejects(loadSiteManifest('missing.json', { fetchImpl: missing }), /404/);
+});
+
+test('resolveSiteManifestUrl keeps ?site= on the viewer origin', () => {
+    const page = 'https://tours.example.com/viewer/index.html?site=x';
+    assert.equal(resolveSiteManifestUrl(null, page), 'https://tours.example.com/viewer/site.json');
+    assert.equal(resolveSiteManifestUrl('sites/copper-rock.json', page), 'https://tours.example.com/viewer/sites/copper-rock.json');
+    assert.equal(resolveSiteManifestUrl('/other/site.json', page), 'https://tours.example.com/other/site.json');
+    assert.throws(() => resolveSiteManifestUrl('https://evil.example.net/site.json', page), /another origin/);
+    assert.throws(() => resolveSiteManifestUrl('//evil.example.net/site.json', page), /another origin/);
+    assert.throws(() => resolveSiteManifestUrl('http://tours.example.com/viewer/site.json', page), /another origin/);
+    assert.throws(() => resolveSiteManifestUrl('data:application/json,{}', page), /another origin/);
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSplatLifecycleManager, getSplatLoadProgress } from '../splat-lifecycle.mjs';
+
+function createHarness({ slotCount = 4, maxResident = 2 } = {}) {
+    const created = [];
+    const disposed = [];
+    const manager = createSplatLifecycleManager({
+        slotCount,
+        maxResident,
+        createSplat: (index) => {
+            const splat = { index, generation: created.filter((entry) => entry.index === index).length };
+            created.push(splat);
+            return splat;
+        },
+        disposeSplat: (splat, index) => disposed.push({ splat, index })
+    });
+    return { manager, created, disposed };
+}
+
+test('acquire creates splats lazily and reuses resident ones', () => {
+    const { manager, created } = createHarness();
+    const first = manager.acquire(0);
+    assert.equal(manager.acquire(0), first);
+    assert.equal(created.length, 1);
+    assert.equal(manager.get(1), null);
+    assert.deepEqual(manager.getResidentIndices(), [0]);
+});
+
+test('cycling through holes evicts the least recently used splat beyond the budget', () => {
+    const { manager, disposed } = createHarness({ maxResident: 2 });
+    manager.acquire(0);
+    manager.acquire(1);
+    manager.acquire(2);
+    assert.deepEqual(disposed.map((entry) => entry.index), [0]);
+    manager.acquire(1);
+    manager.acquire(3);
+    assert.deepEqual(disposed.map((entry) => entry.index), [0, 2]);
+    assert.deepEqual(manager.getResidentIndices(), [3, 1]);
+    assert.equal(manager.get(0), null);
+});
+
+test('preload keeps the active splat and is skipped when only one splat fits', () => {
+    const { manager, disposed } = createHarness({ maxResident: 2 });
+    manager.acquire(0);
+    manager.acquire(1);
+    manager.preload(2);
+    assert.deepEqual(disposed.map((entry) => entry.index), [0]);
+    assert.deepEqual(manager.getResidentIndices(), [1, 2]);
+    assert.equal(manager.getActiveIndex(), 1);
+
+    const single = createHarness({ maxResident: 1 });
+    single.manager.acquire(0);
+    assert.equal(single.manager.preload(1), null);
+    assert.deepEqual(single.manager.getResidentIndices(), [0]);
+    assert.equal(single.disposed.length, 0);
+});
+
+test('re-acquiring an evicted slot recreates it and loaded state resets', () => {
+    const { manager, created } = createHarness({ maxResident: 1 });
+    manager.acquire(0);
+    manager.markLoaded(0);
+    assert.equal(manager.isLoaded(0), true);
+    manager.acquire(1);
+    const recreated = manager.acquire(0);
+    assert.equal(recreated.generation, 1);
+    assert.equal(created.length, 3);
+    assert.equal(manager.isLoaded(0), false);
+});
+
+test('setBudget shrinks residency immediately and validates slot indices', () => {
+    const { manager, disposed } = createHarness({ maxResident: 3 });
+    manager.acquire(0);
+    manager.acquire(1);
+    manager.acquire(2);
+    assert.deepEqual(manager.setBudget(1), [0, 1]);
+    assert.equal(disposed.length, 2);
+    assert.throws(() => manager.acquire(4), /out of range/);
+    assert.throws(() => createSplatLifecycleManager({ slotCount: 2 }), /createSplat/);
+});
+
+test('getSplatLoadProgress reports streamed fraction and null while unknown', () => {
+    assert.equal(getSplatLoadProgress(null), null);
+    assert.equal(getSplatLoadProgress({ cpuPtsCount: 10 }), null);
+    assert.equal(getSplatLoadProgress({ cpuPtsCount: 250, numSplats: 1000 }), 0.25);
+    assert.equal(getSplatLoadProgress({ cpuPtsCount: 1200, numSplats: 1000 }), 1);
+});
@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLotStatusIndex } from '../lot-parcels.mjs';
+import {
+    buildSurveyFeatureCollection,
+    buildSurveyLotGeometry,
+    fitSurveyTransform,
+    isSurveyText,
+    listSurveyPositions,
+    parseSurveyText
+} from '../survey-geometry.mjs';
+
+// Two parcels sharing the edge (10, 0)-(10, 10) in survey feet.
+const PARCELS_GEOJSON = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: { name: 'Parcel 101', apn: '101' },
+            geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { name: 'Parcel 102' },
+            geometry: { type: 'Polygon', coordinates: [[[10, 0], [20, 0], [20, 10], [10, 10], [10, 0]]] }
+        },
+        {
+            type: 'Feature',
+            properties: { name: 'Easement' },
+            geometry: { type: 'LineString', coordinates: [[20, 10], [25, 15]] }
+        },
+        { type: 'Feature', properties: { name: 'Monument' }, geometry: { type: 'Point', coordinates: [0, 0] } }
+    ]
+};
+
+const PARCEL_KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark>
+    <name>Lot 7 &amp; 8</name>
+    <ExtendedData><Data name="apn"><value>207-33</value></Data></ExtendedData>
+    <Polygon><outerBoundaryIs><LinearRing><coordinates>
+      -113.3630,37.1533,0 -113.3620,37.1533,0 -113.3620,37.1540,0 -113.3630,37.1533,0
+    </coordinates></LinearRing></outerBoundaryIs></Polygon>
+  </Placemark>
+  <Placemark><name>Cart path</name><LineString><coordinates>-113.3630,37.1533 -113.3600,37.1550</coordinates></LineString></Placemark>
+</Document></kml>`;
+
+// Survey feet to scene units: scale down, flip y into -z and shift.
+const surveyToScene = ([x, y]) => ({ x: 0.01 * x - 0.5, z: -0.01 * y + 0.25 });
+
+test('parseSurveyText reads GeoJSON polygons, lines and points with their properties', () => {
+    const parsed = parseSurveyText(JSON.stringify(PARCELS_GEOJSON));
+    assert.equal(parsed.format, 'geojson');
+    assert.deepEqual(parsed.features.map((feature) => feature.kind), ['polygon', 'polygon', 'line', 'point']);
+    assert.deepEqual(parsed.features[0].coordinates, [[0, 0], [10, 0], [10, 10], [0, 10]]);
+    assert.deepEqual(parsed.features[0].properties, { name: 'Parcel 101', apn: '101' });
+    assert.equal(listSurveyPositions(parsed.features).length, 7);
+    assert.equal(isSurveyText(JSON.stringify(PARCELS_GEOJSON)), true);
+    assert.equal(isSurveyText('{"borderDotPositions": []}'), false);
+    assert.throws(() => parseSurveyText('{"type": "Topology"}'), /Expected a GeoJSON/);
+});
+
+test('parseSurveyText reads KML placemarks, names and extended data', () => {
+    const parsed = parseSurveyText(PARCEL_KML);
+    assert.equal(parsed.format, 'kml');
+    assert.equal(isSurveyText(PARCEL_KML), true);
+    assert.deepEqual(parsed.features.map((feature) => [feature.kind, feature.name]), [['polygon', 'Lot 7 & 8'], ['line', 'Cart path']]);
+    assert.equal(parsed.features[0].properties.apn, '207-33');
+    assert.deepEqual(parsed.features[0].coordinates[1], [-113.362, 37.1533, 0]);
+    assert.equal(parsed.features[0].coordinates.length, 3);
+    assert.throws(() => parseSurveyText('<svg></svg>'), /KML/);
+});
+
+test('fitSurveyTransform recovers an affine map and inverts it', () => {
+    const tiePoints = [[0, 0], [20, 0], [20, 10], [0, 10]].map((survey) => ({ survey, world: surveyToScene(survey) }));
+    const transform = fitSurveyTransform(tiePoints);
+    assert.ok(transform.residual < 1e-9);
+    const world = transform.toWorld([7, 3]);
+    assert.ok(Math.abs(world.x + 0.43) < 1e-9 && Math.abs(world.z - 0.22) < 1e-9);
+    const back = transform.toSurvey(world);
+    assert.ok(Math.abs(back[0] - 7) < 1e-9 && Math.abs(back[1] - 3) < 1e-9);
+    assert.throws(() => fitSurveyTransform(tiePoints.slice(0, 2)), /at least three/);
+    assert.throws(() => fitSurveyTransform([[0, 0], [1, 1], [2, 2]].map((survey) => ({ survey, world: surveyToScene(survey) }))), /one line/);
+});
+
+test('fitSurveyTransform handles projected coordinates and reports noisy tie points', () => {
+    // UTM-sized eastings and northings, a few hundred metres apart.
+    const angle = 2.1;
+    const scale = 0.004;
+    const offset = { x: 427310, y: 3906480 };
+    const toScene = ([x, y]) => ({
+        x: scale * (Math.cos(angle) * (x - offset.x) - Math.sin(angle) * (y - offset.y)),
+        z: -scale * (Math.sin(angle) * (x - offset.x) + Math.cos(angle) * (y - offset.y))
+    });
+    const tiePoints = [[12, 40], [480, 65], [455, 470], [30, 390]].map(([x, y]) => {
+        const survey = [offset.x + x, offset.y + y];
+        return { survey, world: toScene(survey) };
+    });
+    const transform = fitSurveyTransform(tiePoints);
+    const probe = [offset.x + 250, offset.y + 125];
+    const expected = toScene(probe);
+    const actual = transform.toWorld(probe);
+    assert.ok(Math.hypot(actual.x - expected.x, actual.z - expected.z) < 1e-6);
+    const noisy = [[0, 0], [10, 0], [10, 10], [0, 10]].map((survey) => ({ survey, world: surveyToScene(survey) }));
+    noisy[2].world = { x: noisy[2].world.x + 0.02, z: noisy[2].world.z };
+    assert.ok(fitSurveyTransform(noisy).residual > 0.001);
+});
+
+test('buildSurveyLotGeometry shares corners between neighbouring parcels', () => {
+    const parsed = parseSurveyText(JSON.stringify(PARCELS_GEOJSON));
+    const geometry = buildSurveyLotGeometry(parsed.features, { toWorld: surveyToScene });
+    assert.deepEqual(geometry.vertices.map((vertex) => vertex.name), ['Lot_V1', 'Lot_V2', 'Lot_V3', 'Lot_V4', 'Lot_V5', 'Lot_V6', 'Lot_V7']);
+    assert.equal(geometry.connections.length, 8);
+    assert.deepEqual(geometry.vertices[0].position, { x: -0.5, y: 0, z: 0.25 });
+    assert.deepEqual(geometry.warnings, ['1 point feature skipped; only lines and polygons become lot lines.']);
+    assert.throws(() => buildSurveyLotGeometry(parsed.features), /toWorld/);
+});
+
+test('buildSurveyLotGeometry keeps polygons as parcels with their ids, labels and tags', () => {
+    const parsed = parseSurveyText(JSON.stringify(PARCELS_GEOJSON));
+    const geometry = buildSurveyLotGeometry(parsed.features, { toWorld: surveyToScene, reservedParcelIds: ['parcel-102'] });
+    assert.deepEqual(geometry.parcels, [
+        { id: 'parcel-101', label: 'Parcel 101', ring: ['Lot_V1', 'Lot_V2', 'Lot_V3', 'Lot_V4'], tags: { apn: '101' } },
+        { id: 'parcel-102-2', label: 'Parcel 102', ring: ['Lot_V2', 'Lot_V5', 'Lot_V6', 'Lot_V3'], tags: {} }
+    ]);
+    assert.ok(geometry.warnings.includes('Parcel 102 was given parcel id "parcel-102-2"; "parcel-102" is already used.'));
+
+    const listed = parseSurveyText(JSON.stringify({
+        type: 'Feature',
+        properties: { id: 'a', label: 'Lot A', status: 'sold', view: 'lake', survey: { nested: true } },
+        geometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]] }
+    }));
+    const single = buildSurveyLotGeometry(listed.features, { toWorld: surveyToScene });
+    assert.deepEqual(single.parcels, [{ id: 'a', label: 'Lot A', ring: ['Lot_V1', 'Lot_V2', 'Lot_V3'], tags: { view: 'lake' } }]);
+    assert.deepEqual(single.warnings, ['Lot A has status; listing details belong in lot-status.json and were not imported.']);
+
+    const sliver = buildSurveyLotGeometry(listed.features, { toWorld: ([x]) => ({ x: x / 1000, z: 0 }), mergeDistance: 0.05 });
+    assert.deepEqual(sliver.parcels, []);
+    assert.match(sliver.warnings[0], /not kept as a parcel/);
+});
+
+test('GeoJSON export round-trips vertex names, parcel tags and listing status', () => {
+    const vertices = [
+        { name: 'Lot_V1', position: { x: 0, y: -0.1, z: 0 } },
+        { name: 'Lot_V2', position: { x: 1, y: -0.1, z: 0 } },
+        { name: 'Lot_V3', position: { x: 1, y: -0.1, z: 1 } },
+        { name: 'Corner', position: { x: 0, y: -0.1, z: 1 } }
+    ];
+    const connections = [
+        { start: 'Lot_V1', end: 'Lot_V2' },
+        { start: 'Lot_V2', end: 'Lot_V3' },
+        { start: 'Lot_V3', end: 'Corner' },
+        { start: 'Corner', end: 'Lot_V1' }
+    ];
+    const toSurvey = ({ x, z }) => [100 * x, -100 * z];
+    const collection = buildSurveyFeatureCollection({
+        holeId: 'hole-1',
+        vertices,
+        connections,
+        parcels: [{ id: 'a', label: 'Lot A', ring: ['Lot_V1', 'Lot_V2', 'Lot_V3', 'Corner'], tags: { view: 'lake' } }],
+        tapDots: [{ position: { x: 0.5, y: 0, z: 0.5 }, caption: 'Clubhouse', tags: { floor: 2 } }, { position: null }],
+        statusIndex: buildLotStatusIndex({ version: 1, lots: { a: { status: 'sold', price: 1000 } } }),
+        toSurvey
+    });
+    assert.equal(collection.hole, 'hole-1');
+    assert.deepEqual(collection.features.map((feature) => feature.properties.kind), ['lot', 'lot-line', 'lot-line', 'lot-line', 'lot-line', 'tap-dot']);
+    const lot = collection.features[0];
+    assert.deepEqual(lot.properties, { view: 'lake', kind: 'lot', id: 'a', label: 'Lot A', ring: ['Corner', 'Lot_V3', 'Lot_V2', 'Lot_V1'], status: 'sold', price: 1000 });
+    assert.deepEqual(lot.geometry.coordinates[0], [[0, -100], [100, -100], [100, 0], [0, 0], [0, -100]]);
+    assert.deepEqual(collection.features[5].properties, { floor: 2, kind: 'tap-dot', index: 0, caption: 'Clubhouse' });
+
+    const parsed = parseSurveyText(JSON.stringify(collection));
+    const geometry = buildSurveyLotGeometry(parsed.features, { toWorld: ([x, y]) => ({ x: x / 100, z: 0 - y / 100 }) });
+    const imported = Object.fromEntries(geometry.vertices.map((vertex) => [vertex.name, [vertex.position.x, vertex.position.z]]));
+    assert.deepEqual(imported, { Lot_V1: [0, 0], Lot_V2: [1, 0], Lot_V3: [1, 1], Corner: [0, 1] });
+    assert.equal(geometry.connections.length, 4);
+    assert.deepEqual(geometry.parcels, [{ id: 'a', label: 'Lot A', ring: ['Corner', 'Lot_V3', 'Lot_V2', 'Lot_V1'], tags: { view: 'lake' } }]);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PANORAMA_VIEW_LIMITS,
+    clampPanoramaView,
+    dragPanoramaView,
+    getPanoramaLookDirection,
+    getSafeLinkUrl,
+    getTapDotContentType,
+    renderCardMarkdown,
+    serializeTapDotContent,
+    updateTapDotConfig,
+    zoomPanoramaView
+} from '../tap-dot-content.mjs';
+
+test('content types follow the icon and serialization keeps the fields that type uses', () => {
+    assert.equal(getTapDotContentType({ icon: 'info' }), 'label');
+    assert.equal(getTapDotContentType({}), 'label');
+    assert.equal(getTapDotContentType({ icon: 'camera' }), 'photos');
+    assert.equal(getTapDotContentType({ icon: 'globe' }), 'photos');
+    assert.equal(getTapDotContentType({ icon: 'panorama' }), 'panorama');
+
+    assert.deepEqual(serializeTapDotContent({ icon: 'camera', photos: ['a.jpg', 'b.jpg'], photo: 'c.jpg' }), { photos: ['a.jpg', 'b.jpg'] });
+    assert.deepEqual(serializeTapDotContent({ icon: 'camera', photos: [], photo: 'c.jpg' }), { photo: 'c.jpg' });
+    assert.deepEqual(serializeTapDotContent({ icon: 'info', photo: 'c.jpg' }), { photo: 'c.jpg' });
+    assert.deepEqual(serializeTapDotContent({ icon: 'card', photo: 'c.jpg' }), {});
+    assert.deepEqual(
+        serializeTapDotContent({ icon: 'video', photo: 'c.jpg', video: { src: 'tee.mp4', poster: '', loop: false, extra: 1 } }),
+        { video: { src: 'tee.mp4', loop: false } }
+    );
+    assert.deepEqual(serializeTapDotContent({ icon: 'panorama', panorama: { yaw: 10 } }), {});
+    assert.deepEqual(serializeTapDotContent({
+        icon: 'card',
+        card: { title: 'Clubhouse', links: [{ url: 'menu.pdf' }, { label: 'Empty' }], cta: { label: 'Book', url: 'https://example.com' } }
+    }), {
+        card: { title: 'Clubhouse', links: [{ label: 'menu.pdf', url: 'menu.pdf' }], cta: { label: 'Book', url: 'https://example.com' } }
+    });
+});
+
+test('updateTapDotConfig applies editor changes to a copy and drops blanks', () => {
+    const original = { position: { x: 1, y: 0, z: 2 }, icon: 'camera', caption: 'Tee', priority: 'high', photo: 'a.jpg', tags: { view: 'lake' } };
+    const edited = updateTapDotConfig(original, { caption: '  Back tee ', priority: '', photos: [' b.jpg', '', 'a.jpg'] });
+    assert.deepEqual(edited, { position: { x: 1, y: 0, z: 2 }, icon: 'camera', caption: 'Back tee', photos: ['b.jpg', 'a.jpg'], tags: { view: 'lake' } });
+    assert.equal(original.photo, 'a.jpg');
+    assert.notEqual(edited.position, original.position);
+    assert.deepEqual(updateTapDotConfig(edited, { photos: [] }), { position: { x: 1, y: 0, z: 2 }, icon: 'camera', caption: 'Back tee', tags: { view: 'lake' } });
+    assert.deepEqual(updateTapDotConfig(original, { icon: 'info' }).photo, 'a.jpg');
+    assert.equal('caption' in updateTapDotConfig(original, { caption: '   ' }), false);
+});
+
+test('card markdown renders a safe subset and escapes everything else', () => {
+    assert.equal(
+        renderCardMarkdown('# Hours\n\nOpen **daily**, *weather* permitting\nCall `555-0100`\n\n- Pro shop\n- Grill\n\n1. Check in\n2. Tee off'),
+        '<h3>Hours</h3><p>Open <strong>daily</strong>, <em>weather</em> permitting<br>Call <code>555-0100</code></p>'
+            + '<ul><li>Pro shop</li><li>Grill</li></ul><ol><li>Check in</li><li>Tee off</li></ol>'
+    );
+    assert.equal(renderCardMarkdown('<img src=x onerror="alert(1)">'), '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+    assert.equal(
+        renderCardMarkdown('[Menu](menu.pdf?a=1&b=2) [Site](https://example.com) [Bad](javascript:alert(1))'),
+        '<p><a href="menu.pdf?a=1&amp;b=2">Menu</a> <a href="https://example.com" target="_blank" rel="noopener noreferrer">Site</a> Bad</p>'
+    );
+    assert.equal(
+        renderCardMarkdown('See [Wiki](https://en.wikipedia.org/wiki/Foo_(bar)) (or [map](map.png)).'),
+        '<p>See <a href="https://en.wikipedia.org/wiki/Foo_(bar)" target="_blank" rel="noopener noreferrer">Wiki</a> (or <a href="map.png">map</a>).</p>'
+    );
+    assert.equal(renderCardMarkdown('snake_case_name and `**not bold**`'), '<p>snake_case_name and <code>**not bold**</code></p>');
+    assert.equal(renderCardMarkdown(undefined), '');
+
+    assert.equal(getSafeLinkUrl('mailto:pro@example.com'), 'mailto:pro@example.com');
+    assert.equal(getSafeLinkUrl('/lots/12'), '/lots/12');
+    assert.equal(getSafeLinkUrl(' JavaScript:alert(1)'), null);
+    assert.equal(getSafeLinkUrl('data:text/html,hi'), null);
+    assert.equal(getSafeLinkUrl('https://example.com/"onmouseover'), null);
+});
+
+test('panorama views wrap yaw, clamp pitch and zoom, and drag back to where they started', () => {
+    assert.deepEqual(clampPanoramaView(), { yaw: 0, pitch: 0, fov: 75 });
+    assert.deepEqual(clampPanoramaView({ yaw: 540, pitch: -120, fov: 500 }), { yaw: -180, pitch: -PANORAMA_VIEW_LIMITS.maxPitch, fov: PANORAMA_VIEW_LIMITS.maxFov });
+    assert.equal(zoomPanoramaView({ yaw: 0, pitch: 0, fov: 60 }, -100000).fov, PANORAMA_VIEW_LIMITS.minFov);
+    assert.ok(zoomPanoramaView({ yaw: 0, pitch: 0, fov: 60 }, 100).fov > 60);
+
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    const ahead = getPanoramaLookDirection({ yaw: 0, pitch: 0 });
+    const right = getPanoramaLookDirection({ yaw: 90, pitch: 0 });
+    assert.ok(close(ahead.x, -1) && close(ahead.z, 0));
+    assert.ok(close(right.x, 0) && close(right.z, -1));
+    assert.ok(close(getPanoramaLookDirection({ yaw: 30, pitch: 90 }).y, 1));
+
+    // Dragging right turns left, dragging down looks up.
+    const dragged = dragPanoramaView({ yaw: 0, pitch: 0, fov: 60 }, 100, 50, 600);
+    assert.ok(close(dragged.yaw, -10) && close(dragged.pitch, 5));
+    const back = dragPanoramaView(dragged, -100, -50, 600);
+    assert.ok(close(back.yaw, 0) && close(back.pitch, 0));
+    // Across the seam the yaw wraps instead of growing.
+    assert.ok(close(dragPanoramaView({ yaw: 175, pitch: 0, fov: 60 }, -100, 0, 600).yaw, -175));
+});
@@ -0,0 +1,227 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildSamplePointIndex,
+    buildTapFocusIndexFromCpuPoints,
+    collectSamplesInCone,
+    estimateSurfaceNormal,
+    findClosestSampleInIndex,
+    findClosestSampleToRay,
+    getTapFocusIndexTransferables,
+    pickSurfaceAlongRay
+} from '../tap-focus-refinement.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+function randInRange(rng, min, max) {
+    return min + (max - min) * rng();
+}
+
+function makeTerrainSamples(rng, pointCount) {
+    const samples = new Float32Array(pointCount * 3);
+    for (let offset = 0; offset < samples.length; offset += 3) {
+        const x = randInRange(rng, -2, 2);
+        const z = randInRange(rng, -2, 2);
+        samples[offset] = x;
+        samples[offset + 1] = 0.15 * Math.sin(x * 3) * Math.cos(z * 2) + randInRange(rng, -0.01, 0.01);
+        samples[offset + 2] = z;
+    }
+    return samples;
+}
+
+function makeGroundWithTrunk(rng) {
+    const points = [];
+    for (let i = 0; i < 20000; i++) {
+        points.push(randInRange(rng, -2, 2), randInRange(rng, -0.002, 0.002), randInRange(rng, -2, 2));
+    }
+    // A vertical trunk of radius 0.05 standing at x = 0.5, z = 0.
+    for (let i = 0; i < 1500; i++) {
+        const angle = randInRange(rng, 0, Math.PI * 2);
+        points.push(0.5 + Math.cos(angle) * 0.05, randInRange(rng, 0, 1), Math.sin(angle) * 0.05);
+    }
+    return new Float32Array(points);
+}
+
+function makeRay(rng) {
+    const rayOrigin = { x: randInRange(rng, -3, 3), y: randInRange(rng, 0.5, 3), z: randInRange(rng, -3, 3) };
+    const target = { x: randInRange(rng, -2, 2), y: randInRange(rng, -0.2, 0.2), z: randInRange(rng, -2, 2) };
+    return {
+        rayOrigin,
+        rayDirection: { x: target.x - rayOrigin.x, y: target.y - rayOrigin.y, z: target.z - rayOrigin.z }
+    };
+}
+
+test('buildSamplePointIndex covers every sample exactly once', () => {
+    const samples = makeTerrainSamples(makeRng(41), 5000);
+    const index = buildSamplePointIndex({ samples, leafSize: 16 });
+    assert.equal(index.pointCount, 5000);
+    assert.ok(index.nodeCount > 1);
+
+    const seen = new Uint8Array(index.pointCount);
+    for (let node = 0; node < index.nodeCount; node++) {
+        if (index.nodeLeft[node] >= 0) continue;
+        assert.ok(index.nodeEnd[node] - index.nodeStart[node] <= 16);
+        for (let i = index.nodeStart[node]; i < index.nodeEnd[node]; i++) {
+            seen[index.order[i]] += 1;
+        }
+    }
+    assert.ok(seen.every((count) => count === 1));
+});
+
+test('buildSamplePointIndex handles empty input and coincident points', () => {
+    assert.equal(buildSamplePointIndex({ samples: new Float32Array(0) }), null);
+    const samples = new Float32Array(300).fill(0.5);
+    const index = buildSamplePointIndex({ samples, leafSize: 8 });
+    assert.equal(index.nodeCount, 1);
+    const pick = findClosestSampleInIndex({
+        index,
+        rayOrigin: { x: 0.5, y: 2, z: 0.5 },
+        rayDirection: { x: 0, y: -1, z: 0 }
+    });
+    assert.equal(pick.sampleOffset, 0);
+    assert.equal(pick.distanceSq, 0);
+});
+
+test('findClosestSampleInIndex respects maxDistanceSq and ignores points behind the ray', () => {
+    const samples = new Float32Array([0, 0, -1, 0.2, 0, 1]);
+    const index = buildSamplePointIndex({ samples });
+    const rayOrigin = { x: 0, y: 0, z: 0 };
+    const rayDirection = { x: 0, y: 0, z: 1 };
+    const pick = findClosestSampleInIndex({ index, rayOrigin, rayDirection });
+    assert.equal(pick.sampleOffset, 3);
+    assert.equal(findClosestSampleInIndex({ index, rayOrigin, rayDirection, maxDistanceSq: 0.01 }), null);
+    assert.equal(findClosestSampleInIndex({ index, rayOrigin, rayDirection: { x: 0, y: 0, z: 0 } }), null);
+});
+
+test('pressure test: indexed picks match the brute-force scan across 2k random rays', () => {
+    const rng = makeRng(9051733);
+    const samples = makeTerrainSamples(rng, 40000);
+    const index = buildSamplePointIndex({ samples });
+
+    for (let i = 0; i < 2000; i++) {
+        const { rayOrigin, rayDirection } = makeRay(rng);
+        const maxDistanceSq = i % 3 === 0 ? Number.POSITIVE_INFINITY : randInRange(rng, 0.0001, 0.01);
+        const expected = findClosestSampleToRay({ samples, rayOrigin, rayDirection, maxDistanceSq });
+        const actual = findClosestSampleInIndex({ index, rayOrigin, rayDirection, maxDistanceSq });
+        assert.deepEqual(actual, expected, `ray ${i} diverged from brute force`);
+    }
+});
+
+test('buildTapFocusIndexFromCpuPoints decodes half-float points into an indexed cache entry', () => {
+    const cpuPoints = new Uint16Array([
+        0x3c00, 0x0000, 0x3c00,
+        0xbc00, 0x3c00, 0x0000,
+        0x0000, 0x0000, 0x0000
+    ]);
+    const entry = buildTapFocusIndexFromCpuPoints({ cpuPoints, pointCount: 2 });
+    assert.equal(entry.sourcePointCount, 2);
+    assert.equal(entry.sampledPointCount, 2);
+    assert.deepEqual([...entry.samples], [-1, -0, 1, 1, -1, 0]);
+    assert.equal(entry.index.samples, entry.samples);
+    assert.equal(buildTapFocusIndexFromCpuPoints({ cpuPoints: new Uint16Array(0) }), null);
+});
+
+test('getTapFocusIndexTransferables lists each buffer once and survives a structured clone', () => {
+    const entry = buildTapFocusIndexFromCpuPoints({
+        cpuPoints: new Uint16Array(3000).map((_, i) => 0x3c00 + (i % 97))
+    });
+    const transferables = getTapFocusIndexTransferables(entry);
+    assert.equal(new Set(transferables).size, transferables.length);
+    assert.equal(transferables.length, 7);
+
+    const cloned = structuredClone(entry, { transfer: transferables });
+    assert.equal(entry.samples.byteLength, 0);
+    assert.equal(cloned.index.samples, cloned.samples);
+    const pick = findClosestSampleInIndex({
+        index: cloned.index,
+        rayOrigin: { x: -1, y: -1, z: 5 },
+        rayDirection: { x: 0, y: 0, z: -1 }
+    });
+    assert.ok(pick);
+    assert.deepEqual(getTapFocusIndexTransferables(null), []);
+});
+
+test('pickSurfaceAlongRay settles on the first dense cluster instead of the ray-nearest far point', () => {
+    const samples = makeGroundWithTrunk(makeRng(5150));
+    const index = buildSamplePointIndex({ samples });
+    // Grazes the trunk's edge on the way down to the ground behind it.
+    const rayOrigin = { x: 2, y: 1, z: 0.04 };
+    const rayDirection = { x: -0.5 - 1.5 * 0.3, y: -0.3, z: -0.04 * 0.3 };
+
+    const nearest = findClosestSampleInIndex({ index, rayOrigin, rayDirection });
+    const surface = pickSurfaceAlongRay({ index, rayOrigin, rayDirection, coneSlope: 0.03 });
+    assert.ok(surface.rayDistance < nearest.rayDistance, 'surface pick should stop at the trunk');
+    assert.ok(Math.abs(surface.x - 0.5) < 0.08, `expected a trunk hit, got x=${surface.x}`);
+    assert.ok(Math.abs(surface.normal.y) < 0.3, 'trunk normal should be roughly horizontal');
+    assert.ok(surface.normal.x > 0, 'normal should face the camera');
+});
+
+test('pickSurfaceAlongRay ignores a lone floater and returns an upward ground normal', () => {
+    const rng = makeRng(77);
+    const ground = makeGroundWithTrunk(rng);
+    const samples = new Float32Array(ground.length + 3);
+    samples.set(ground);
+    samples.set([-1, 0.5, -1], ground.length);
+    const index = buildSamplePointIndex({ samples });
+    const rayOrigin = { x: -1, y: 1.5, z: -1.5 };
+    const rayDirection = { x: 0, y: -1, z: 0.5 };
+
+    const pick = pickSurfaceAlongRay({ index, rayOrigin, rayDirection, coneSlope: 0.05 });
+    assert.ok(Math.abs(pick.y) < 0.02, `expected ground hit, got y=${pick.y}`);
+    assert.ok(pick.normal.y > 0.95);
+    assert.ok(pick.confidence > 0.9);
+    assert.ok(pick.clusterSize >= 6);
+});
+
+test('pickSurfaceAlongRay reports low confidence for sparse hits and null for empty cones', () => {
+    const samples = new Float32Array([0, 0, 0, 0.001, 0, 0.3]);
+    const index = buildSamplePointIndex({ samples });
+    const rayOrigin = { x: 0, y: 1, z: 0 };
+    const pick = pickSurfaceAlongRay({ index, rayOrigin, rayDirection: { x: 0, y: -1, z: 0 }, coneSlope: 0.01 });
+    assert.equal(pick.clusterSize, 1);
+    assert.ok(pick.confidence < 0.2);
+    assert.equal(pickSurfaceAlongRay({ index, rayOrigin, rayDirection: { x: 0, y: 1, z: 0 }, coneSlope: 0.01 }), null);
+});
+
+test('collectSamplesInCone matches a brute-force cone filter sorted by depth', () => {
+    const rng = makeRng(3131);
+    const samples = makeTerrainSamples(rng, 20000);
+    const index = buildSamplePointIndex({ samples });
+    for (let i = 0; i < 200; i++) {
+        const { rayOrigin, rayDirection } = makeRay(rng);
+        const coneSlope = randInRange(rng, 0.001, 0.05);
+        const length = Math.hypot(rayDirection.x, rayDirection.y, rayDirection.z);
+        const expected = [];
+        for (let offset = 0; offset < samples.length; offset += 3) {
+            const toX = samples[offset] - rayOrigin.x;
+            const toY = samples[offset + 1] - rayOrigin.y;
+            const toZ = samples[offset + 2] - rayOrigin.z;
+            const t = (toX * rayDirection.x + toY * rayDirection.y + toZ * rayDirection.z) / length;
+            if (t <= 0) continue;
+            const perpendicularSq = toX * toX + toY * toY + toZ * toZ - t * t;
+            if (perpendicularSq <= (coneSlope * t) ** 2 * (1 - 1e-9)) expected.push(offset);
+        }
+        const actual = collectSamplesInCone({ index, rayOrigin, rayDirection, coneSlope }).map((hit) => hit.sampleOffset);
+        expected.forEach((offset) => assert.ok(actual.includes(offset), `ray ${i} missed sample ${offset}`));
+    }
+});
+
+test('estimateSurfaceNormal recovers a tilted plane normal facing the viewer', () => {
+    const rng = makeRng(404);
+    const points = [];
+    const offsets = [];
+    for (let i = 0; i < 200; i++) {
+        const u = randInRange(rng, -1, 1);
+        const v = randInRange(rng, -1, 1);
+        offsets.push(points.length);
+        points.push(u, u, v);
+    }
+    const result = estimateSurfaceNormal({
+        samples: new Float32Array(points),
+        offsets,
+        viewDirection: { x: 1, y: -1, z: 0 }
+    });
+    assert.ok(Math.abs(result.normal.x + Math.SQRT1_2) < 1e-4);
+    assert.ok(Math.abs(result.normal.y - Math.SQRT1_2) < 1e-4);
+    assert.ok(result.planarity > 0.999);
+    assert.equal(estimateSurfaceNormal({ samples: new Float32Array(3), offsets: [0] }), null);
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TOUR_DEFAULTS,
+    createTourPlayer,
+    getTourStopTiming,
+    getTourTapDotReference
+} from '../tour.mjs';
+
+function makeStops(count, timing = { move: 1, dwell: 2 }) {
+    return Array.from({ length: count }, (_, index) => ({ hole: `hole-${index}`, ...timing }));
+}
+
+function recordPlayer(stops) {
+    const events = [];
+    const player = createTourPlayer(stops, {
+        onStop: (stop, index) => events.push(`stop ${index}`),
+        onArrive: (stop, index) => events.push(`arrive ${index}`),
+        onEnd: () => events.push('end')
+    });
+    return { player, events };
+}
+
+test('stop timing and tap dot references fall back to the defaults', () => {
+    assert.deepEqual(getTourStopTiming({}), { move: TOUR_DEFAULTS.move, dwell: TOUR_DEFAULTS.dwell });
+    assert.deepEqual(getTourStopTiming({ move: 0, dwell: 3 }, { audioSeconds: 20 }), { move: 0, dwell: 3 });
+    assert.equal(getTourStopTiming({ audio: 'a.mp3' }, { audioSeconds: 20 }).dwell, 20);
+    assert.equal(getTourStopTiming({ audio: 'a.mp3' }, { audioSeconds: 1 }).dwell, TOUR_DEFAULTS.dwell);
+    assert.equal(getTourStopTiming({ move: -1 }).move, 0);
+
+    assert.deepEqual(getTourTapDotReference({ tapDot: 2 }), { index: 2 });
+    assert.deepEqual(getTourTapDotReference({ tapDot: ' Clubhouse ' }), { caption: 'Clubhouse' });
+    assert.equal(getTourTapDotReference({ tapDot: -1 }), null);
+    assert.equal(getTourTapDotReference({ tapDot: '' }), null);
+    assert.equal(getTourTapDotReference({}), null);
+    assert.throws(() => createTourPlayer([]), /at least one stop/);
+});
+
+test('the player glides, dwells and moves on through every stop', () => {
+    const { player, events } = recordPlayer(makeStops(2));
+    assert.equal(player.getState().phase, 'idle');
+    player.update(5);
+    assert.deepEqual(events, []);
+
+    player.start();
+    player.update(0.5);
+    assert.deepEqual(player.getState(), { index: 0, stopCount: 2, phase: 'moving', paused: false, interrupted: false, elapsed: 0.5, progress: 0.5 / 6 });
+    player.update(1);
+    assert.equal(player.getState().phase, 'dwelling');
+    player.update(2);
+    assert.equal(player.getState().index, 1);
+    assert.ok(Math.abs(player.getState().elapsed - 0.5) < 1e-9, 'leftover time carries into the next stop');
+    player.update(10);
+    assert.deepEqual(events, ['stop 0', 'arrive 0', 'stop 1', 'arrive 1', 'end']);
+    assert.equal(player.getState().progress, 1);
+    player.next();
+    assert.equal(player.getState().phase, 'ended');
+
+    const zero = recordPlayer(makeStops(3, { move: 0, dwell: 0 }));
+    zero.player.start();
+    zero.player.update(0.01);
+    assert.deepEqual(zero.events, ['stop 0', 'arrive 0', 'stop 1', 'arrive 1', 'stop 2', 'arrive 2', 'end']);
+});
+
+test('pause holds time, and an interrupted stop replays on resume', () => {
+    const { player, events } = recordPlayer(makeStops(3));
+    assert.equal(player.pause(), false);
+    player.start(1);
+    player.update(1.5);
+    assert.equal(player.pause(), true);
+    player.update(10);
+    assert.equal(player.getState().elapsed, 0.5);
+    player.resume();
+    player.update(0.5);
+    assert.equal(player.getState().elapsed, 1);
+    assert.deepEqual(events, ['stop 1', 'arrive 1']);
+
+    player.pause({ interrupted: true });
+    player.pause();
+    assert.equal(player.getState().interrupted, true);
+    player.resume();
+    assert.equal(player.getState().phase, 'moving');
+    assert.equal(player.getState().elapsed, 0);
+    assert.deepEqual(events, ['stop 1', 'arrive 1', 'stop 1']);
+
+    player.previous();
+    player.previous();
+    assert.equal(player.getState().index, 0);
+    player.goTo(99);
+    assert.equal(player.getState().index, 2);
+    player.next();
+    assert.deepEqual(events.slice(-1), ['end']);
+    assert.equal(player.resume(), false);
+});
+
+test('progress only grows while playing and audio can lengthen a dwell', () => {
+    const stops = [{ move: 1 }, { move: 1, dwell: 1 }, { move: 2, audio: 'intro.mp3' }];
+    const { player } = recordPlayer(stops);
+    player.start();
+    player.setAudioDuration(2, 30);
+    player.setAudioDuration(7, 30);
+    const total = (1 + TOUR_DEFAULTS.dwell) + 2 + (2 + 30);
+    player.update(1 + TOUR_DEFAULTS.dwell);
+    assert.ok(Math.abs(player.getState().progress - (1 + TOUR_DEFAULTS.dwell) / total) < 1e-9);
+
+    let last = player.getState().progress;
+    while (player.getState().phase !== 'ended') {
+        player.update(0.3);
+        const { progress } = player.getState();
+        assert.ok(progress >= last && progress <= 1);
+        last = progress;
+    }
+    assert.equal(last, 1);
+});
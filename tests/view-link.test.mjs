@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    formatViewHash,
+    getTapDotLinkReference,
+    parseViewHash,
+    resolveTapDotLinkReference
+} from '../view-link.mjs';
+
+const tapDotConfigs = [
+    { caption: 'Hole 18', icon: 'info' },
+    { caption: 'Driving Range', icon: 'camera' },
+    { caption: 'Bunker', icon: 'camera' },
+    { caption: 'bunker', icon: 'camera' },
+    { icon: 'camera' }
+];
+
+test('formatViewHash and parseViewHash round-trip hole, pose and tap dot', () => {
+    const hash = formatViewHash({
+        holeId: 'hole-18',
+        position: { x: 1.234567, y: -0.00001, z: 3 },
+        target: { x: 0, y: -0.06, z: 0.5 },
+        tapDot: { caption: 'Driving Range' }
+    });
+    assert.equal(hash, '#hole=hole-18&pos=1.2346%2C0%2C3&target=0%2C-0.06%2C0.5&dot=Driving+Range');
+    assert.deepEqual(parseViewHash(hash), {
+        holeId: 'hole-18',
+        position: { x: 1.2346, y: 0, z: 3 },
+        target: { x: 0, y: -0.06, z: 0.5 },
+        tapDot: { caption: 'Driving Range' }
+    });
+});
+
+test('parseViewHash drops incomplete poses and reads numeric dots as indices', () => {
+    assert.deepEqual(parseViewHash('#hole=clubhouse&pos=1,2,3&dot=2'), {
+        holeId: 'clubhouse',
+        position: null,
+        target: null,
+        tapDot: { index: 2 }
+    });
+    assert.deepEqual(parseViewHash('#pos=1,2&target=a,b,c'), {
+        holeId: null,
+        position: null,
+        target: null,
+        tapDot: null
+    });
+    assert.equal(formatViewHash({}), '');
+});
+
+test('getTapDotLinkReference prefers unique captions and falls back to the index', () => {
+    assert.deepEqual(getTapDotLinkReference(tapDotConfigs, 1), { caption: 'Driving Range' });
+    assert.deepEqual(getTapDotLinkReference(tapDotConfigs, 2), { index: 2 });
+    assert.deepEqual(getTapDotLinkReference(tapDotConfigs, 4), { index: 4 });
+    assert.equal(getTapDotLinkReference(tapDotConfigs, 9), null);
+});
+
+test('resolveTapDotLinkReference matches captions case-insensitively and bounds indices', () => {
+    assert.equal(resolveTapDotLinkReference(tapDotConfigs, { caption: 'driving range' }), 1);
+    assert.equal(resolveTapDotLinkReference(tapDotConfigs, { caption: 'Pond' }), -1);
+    assert.equal(resolveTapDotLinkReference(tapDotConfigs, { index: 4 }), 4);
+    assert.equal(resolveTapDotLinkReference(tapDotConfigs, { index: 5 }), -1);
+    assert.equal(resolveTapDotLinkReference(null, { index: 0 }), -1);
+});
@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebmMuxer, getWebmCodecId } from '../webm-muxer.mjs';
+import { makeRng } from './helpers/rng.mjs';
+
+const MASTER_IDS = new Set([0x1a45dfa3, 0x18538067, 0x114d9b74, 0x4dbb, 0x1549a966, 0x1654ae6b, 0xae, 0xe0, 0x1f43b675, 0x1c53bb6b, 0xbb, 0xb7]);
+
+function readVint(bytes, offset, keepMarker) {
+    const first = bytes[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    let value = keepMarker ? first : first & ((0x80 >> (length - 1)) - 1);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+    return { value, length };
+}
+
+// Parses EBML into { id, offset, data, children } trees, descending into master elements.
+function parseEbml(bytes, start = 0, end = bytes.length) {
+    const elements = [];
+    let offset = start;
+    while (offset < end) {
+        const id = readVint(bytes, offset, true);
+        const size = readVint(bytes, offset + id.length, false);
+        const dataStart = offset + id.length + size.length;
+        const data = bytes.subarray(dataStart, dataStart + size.value);
+        elements.push({
+            id: id.value,
+            offset,
+            dataStart,
+            data,
+            children: MASTER_IDS.has(id.value) ? parseEbml(bytes, dataStart, dataStart + size.value) : []
+        });
+        offset = dataStart + size.value;
+    }
+    assert.equal(offset, end);
+    return elements;
+}
+
+const find = (elements, id) => elements.filter((element) => element.id === id);
+const uint = (element) => element.data.reduce((value, byte) => value * 256 + byte, 0);
+const text = (element) => String.fromCharCode(...element.data);
+
+function frameBytes(rng, size) {
+    return Uint8Array.from({ length: size }, () => Math.floor(rng() * 256));
+}
+
+test('the header, info and track describe a VP9 WebM of the given size', () => {
+    const muxer = createWebmMuxer({ width: 640, height: 360, frameRate: 25 });
+    muxer.addFrame(Uint8Array.of(1, 2, 3), 0, true);
+    muxer.addFrame(Uint8Array.of(4, 5), 40, false);
+    const [header, segment] = parseEbml(muxer.finalize());
+    assert.equal(text(find(header.children, 0x4282)[0]), 'webm');
+    const [info] = find(segment.children, 0x1549a966);
+    assert.equal(uint(find(info.children, 0x2ad7b1)[0]), 1000000);
+    assert.equal(new DataView(find(info.children, 0x4489)[0].data.slice().buffer).getFloat64(0), 80);
+    const [track] = find(find(segment.children, 0x1654ae6b)[0].children, 0xae);
+    assert.equal(text(find(track.children, 0x86)[0]), 'V_VP9');
+    assert.equal(uint(find(track.children, 0x23e383)[0]), 40000000);
+    const [video] = find(track.children, 0xe0);
+    assert.equal(uint(find(video.children, 0xb0)[0]), 640);
+    assert.equal(uint(find(video.children, 0xba)[0]), 360);
+    assert.equal(muxer.getFrameCount(), 2);
+});
+
+test('frames come back in order with their timestamps and keyframe flags, and the index points at them', () => {
+    const rng = makeRng(20);
+    for (let round = 0; round < 20; round++) {
+        const muxer = createWebmMuxer({ width: 320, height: 240, codecId: 'V_VP8', frameRate: 30 });
+        const expected = [];
+        let time = 0;
+        const count = 1 + Math.floor(rng() * 60);
+        for (let i = 0; i < count; i++) {
+            const keyframe = i === 0 || rng() < 0.1;
+            // Some frames are large enough to need multi-byte sizes; some gaps force a new cluster.
+            const data = frameBytes(rng, 1 + Math.floor(rng() < 0.1 ? rng() * 20000 : rng() * 100));
+            expected.push({ time, keyframe, data });
+            muxer.addFrame(data, time, keyframe);
+            time += rng() < 0.05 ? 31000 : 33;
+        }
+        const bytes = muxer.finalize();
+        const [, segment] = parseEbml(bytes);
+        const clusters = find(segment.children, 0x1f43b675);
+        const frames = clusters.flatMap((cluster) => {
+            const clusterTime = uint(find(cluster.children, 0xe7)[0]);
+            return find(cluster.children, 0xa3).map((block) => {
+                const view = new DataView(block.data.buffer, block.data.byteOffset, block.data.byteLength);
+                assert.equal(block.data[0], 0x81);
+                return { time: clusterTime + view.getInt16(1), keyframe: !!(block.data[3] & 0x80), data: block.data.subarray(4) };
+            });
+        });
+        assert.deepEqual(frames.map(({ time: t, keyframe }) => [t, keyframe]), expected.map(({ time: t, keyframe }) => [t, keyframe]), `round ${round}`);
+        frames.forEach((frame, index) => assert.deepEqual(frame.data, expected[index].data));
+        clusters.forEach((cluster) => assert.ok(find(cluster.children, 0xa3).length, `round ${round}`));
+
+        const cuePoints = find(find(segment.children, 0x1c53bb6b)[0].children, 0xbb);
+        assert.equal(cuePoints.length, clusters.length);
+        cuePoints.forEach((cuePoint, index) => {
+            const [positions] = find(cuePoint.children, 0xb7);
+            const position = uint(find(positions.children, 0xf1)[0]);
+            assert.equal(segment.dataStart + position, clusters[index].offset, `round ${round} cue ${index}`);
+        });
+        const seeks = find(find(segment.children, 0x114d9b74)[0].children, 0x4dbb);
+        seeks.forEach((seek) => {
+            const id = uint(find(seek.children, 0x53ab)[0]);
+            const position = uint(find(seek.children, 0x53ac)[0]);
+            assert.equal(find(segment.children, id)[0].offset, segment.dataStart + position, `round ${round}`);
+        });
+    }
+});
+
+test('the muxer rejects bad input', () => {
+    assert.throws(() => createWebmMuxer({ width: 0, height: 10 }), /width/);
+    assert.throws(() => createWebmMuxer({ width: 10, height: 10, codecId: 'V_AV1' }), /Unsupported/);
+    const muxer = createWebmMuxer({ width: 10, height: 10 });
+    assert.throws(() => muxer.finalize(), /No frames/);
+    assert.throws(() => muxer.addFrame(Uint8Array.of(1), 0, false), /keyframe/);
+    muxer.addFrame(Uint8Array.of(1), 50, true);
+    assert.throws(() => muxer.addFrame(Uint8Array.of(1), 10, false), /order/);
+    assert.throws(() => muxer.addFrame(new Uint8Array(0), 60, false), /bytes/);
+    assert.equal(getWebmCodecId('vp09.00.10.08'), 'V_VP9');
+    assert.equal(getWebmCodecId('vp8'), 'V_VP8');
+    assert.equal(getWebmCodecId('avc1.42001f'), null);
+});
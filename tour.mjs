@@ -0,0 +1,143 @@
+// Guided tours: ordered stops that each glide the camera to a pose (switching hole if needed), may open a tap dot
+// on arrival and show narration for a dwell time. The player only keeps time; the viewer performs each stop.
+export const TOUR_DEFAULTS = Object.freeze({ move: 2.5, dwell: 6 });
+
+// A stop's tapDot is a caption or a 0-based index into its hole's tap dots, like the dot= deep link parameter.
+export function getTourTapDotReference(stop) {
+    const tapDot = stop ? stop.tapDot : undefined;
+    if (Number.isInteger(tapDot) && tapDot >= 0) return { index: tapDot };
+    if (typeof tapDot === 'string' && tapDot.trim()) return { caption: tapDot.trim() };
+    return null;
+}
+
+// Seconds spent gliding to a stop and then dwelling there. Without an explicit dwell, narrated stops wait for
+// their audio to finish.
+export function getTourStopTiming(stop, { audioSeconds = null } = {}) {
+    const move = Number.isFinite(stop?.move) ? Math.max(stop.move, 0) : TOUR_DEFAULTS.move;
+    if (Number.isFinite(stop?.dwell)) return { move, dwell: Math.max(stop.dwell, 0) };
+    const dwell = Number.isFinite(audioSeconds) ? Math.max(TOUR_DEFAULTS.dwell, audioSeconds) : TOUR_DEFAULTS.dwell;
+    return { move, dwell };
+}
+
+// Phases run idle -> moving -> dwelling -> (next stop's) moving ... -> ended. onStop fires when a stop starts (and
+// again when an interrupted stop is resumed), onArrive when the glide is done and onEnd after the last dwell.
+export function createTourPlayer(stops, {
+    onStop = () => {},
+    onArrive = () => {},
+    onEnd = () => {}
+} = {}) {
+    if (!Array.isArray(stops) || !stops.length) {
+        throw new Error('createTourPlayer requires at least one stop');
+    }
+    const audioSeconds = stops.map(() => null);
+    let index = -1;
+    let phase = 'idle';
+    let elapsed = 0;
+    let paused = false;
+    let interrupted = false;
+
+    function getTiming(stopIndex) {
+        return getTourStopTiming(stops[stopIndex], { audioSeconds: audioSeconds[stopIndex] });
+    }
+
+    function goTo(stopIndex) {
+        index = Math.max(0, Math.min(stopIndex, stops.length - 1));
+        phase = 'moving';
+        elapsed = 0;
+        paused = false;
+        interrupted = false;
+        onStop(stops[index], index);
+    }
+
+    function end() {
+        if (phase === 'idle' || phase === 'ended') return;
+        phase = 'ended';
+        elapsed = 0;
+        paused = false;
+        interrupted = false;
+        onEnd();
+    }
+
+    function next() {
+        if (phase === 'idle' || phase === 'ended') return;
+        if (index >= stops.length - 1) end();
+        else goTo(index + 1);
+    }
+
+    function getProgress() {
+        if (phase === 'idle') return 0;
+        if (phase === 'ended') return 1;
+        let total = 0;
+        let done = 0;
+        stops.forEach((stop, stopIndex) => {
+            const { move, dwell } = getTiming(stopIndex);
+            total += move + dwell;
+            if (stopIndex < index) done += move + dwell;
+            else if (stopIndex === index) done += (phase === 'dwelling' ? move : 0) + elapsed;
+        });
+        return total > 0 ? Math.min(done / total, 1) : 0;
+    }
+
+    return {
+        start(stopIndex = 0) {
+            goTo(stopIndex);
+        },
+        next,
+        previous() {
+            if (phase === 'idle' || phase === 'ended') return;
+            goTo(index - 1);
+        },
+        goTo,
+        end,
+        // An interrupted pause (the user took the camera) replays the stop on resume instead of carrying on.
+        pause({ interrupted: byUser = false } = {}) {
+            if (phase !== 'moving' && phase !== 'dwelling') return false;
+            paused = true;
+            interrupted = interrupted || !!byUser;
+            return true;
+        },
+        resume() {
+            if (!paused) return false;
+            if (interrupted) {
+                goTo(index);
+                return true;
+            }
+            paused = false;
+            return true;
+        },
+        setAudioDuration(stopIndex, seconds) {
+            if (stopIndex >= 0 && stopIndex < stops.length && Number.isFinite(seconds)) audioSeconds[stopIndex] = seconds;
+        },
+        update(deltaSeconds) {
+            if (paused || (phase !== 'moving' && phase !== 'dwelling')) return;
+            elapsed += Math.max(deltaSeconds, 0);
+            // Zero-length phases can chain, so keep stepping until the current phase has time left.
+            for (let steps = 0; steps <= stops.length * 2; steps++) {
+                const { move, dwell } = getTiming(index);
+                if (phase === 'moving' && elapsed >= move) {
+                    elapsed -= move;
+                    phase = 'dwelling';
+                    onArrive(stops[index], index);
+                } else if (phase === 'dwelling' && elapsed >= dwell) {
+                    const leftover = elapsed - dwell;
+                    next();
+                    if (phase !== 'moving') return;
+                    elapsed = leftover;
+                } else {
+                    return;
+                }
+            }
+        },
+        getState() {
+            return {
+                index,
+                stopCount: stops.length,
+                phase,
+                paused,
+                interrupted,
+                elapsed,
+                progress: getProgress()
+            };
+        }
+    };
+}
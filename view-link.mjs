@@ -0,0 +1,80 @@
+const VECTOR_PRECISION = 4;
+
+function formatNumber(value) {
+    const rounded = Number(value.toFixed(VECTOR_PRECISION));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+function formatVector(vector) {
+    if (!vector || ![vector.x, vector.y, vector.z].every(Number.isFinite)) return null;
+    return [vector.x, vector.y, vector.z].map(formatNumber).join(',');
+}
+
+function parseVector(value) {
+    if (typeof value !== 'string') return null;
+    const parts = value.split(',');
+    if (parts.length !== 3) return null;
+    const [x, y, z] = parts.map((part) => (part.trim() === '' ? NaN : Number(part)));
+    if (![x, y, z].every(Number.isFinite)) return null;
+    return { x, y, z };
+}
+
+// tapDot is { index } or { caption }; captions are preferred in links because they survive reordering.
+export function formatViewHash({ holeId, position, target, tapDot } = {}) {
+    const params = new URLSearchParams();
+    if (holeId) params.set('hole', holeId);
+    const formattedPosition = formatVector(position);
+    const formattedTarget = formatVector(target);
+    if (formattedPosition && formattedTarget) {
+        params.set('pos', formattedPosition);
+        params.set('target', formattedTarget);
+    }
+    if (tapDot && typeof tapDot.caption === 'string' && tapDot.caption) {
+        params.set('dot', tapDot.caption);
+    } else if (tapDot && Number.isInteger(tapDot.index) && tapDot.index >= 0) {
+        params.set('dot', String(tapDot.index));
+    }
+    const encoded = params.toString();
+    return encoded ? `#${encoded}` : '';
+}
+
+export function parseViewHash(hash) {
+    const raw = typeof hash === 'string' ? hash.replace(/^#/, '') : '';
+    const params = new URLSearchParams(raw);
+    const holeId = params.get('hole') || null;
+    const position = parseVector(params.get('pos'));
+    const target = parseVector(params.get('target'));
+    const dot = params.get('dot');
+    let tapDot = null;
+    if (dot !== null && dot !== '') {
+        tapDot = /^\d+$/.test(dot) ? { index: Number(dot) } : { caption: dot };
+    }
+    return {
+        holeId,
+        position: position && target ? position : null,
+        target: position && target ? target : null,
+        tapDot
+    };
+}
+
+export function getTapDotLinkReference(tapDotConfigs, index) {
+    const config = Array.isArray(tapDotConfigs) ? tapDotConfigs[index] : null;
+    if (!config) return null;
+    const caption = typeof config.caption === 'string' ? config.caption.trim() : '';
+    const captionIsUnique = caption && tapDotConfigs.filter((other) => (
+        other && typeof other.caption === 'string' && other.caption.trim().toLowerCase() === caption.toLowerCase()
+    )).length === 1;
+    return captionIsUnique && !/^\d+$/.test(caption) ? { caption } : { index };
+}
+
+export function resolveTapDotLinkReference(tapDotConfigs, reference) {
+    if (!Array.isArray(tapDotConfigs) || !reference) return -1;
+    if (Number.isInteger(reference.index)) {
+        return reference.index >= 0 && reference.index < tapDotConfigs.length ? reference.index : -1;
+    }
+    if (typeof reference.caption !== 'string') return -1;
+    const caption = reference.caption.trim().toLowerCase();
+    return tapDotConfigs.findIndex((config) => (
+        config && typeof config.caption === 'string' && config.caption.trim().toLowerCase() === caption
+    ));
+}
@@ -0,0 +1,211 @@
+// Minimal WebM (Matroska) writer for one video track of already-encoded VP8/VP9 frames, such as the chunks a
+// WebCodecs VideoEncoder emits. Frames are buffered and laid out on finalize(), so element sizes, Cues and the
+// SeekHead are all known and the file is seekable.
+
+const ID = {
+    EBML: 0x1a45dfa3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42f7,
+    EBMLMaxIDLength: 0x42f2,
+    EBMLMaxSizeLength: 0x42f3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114d9b74,
+    Seek: 0x4dbb,
+    SeekID: 0x53ab,
+    SeekPosition: 0x53ac,
+    Info: 0x1549a966,
+    TimecodeScale: 0x2ad7b1,
+    Duration: 0x4489,
+    MuxingApp: 0x4d80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654ae6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackUID: 0x73c5,
+    TrackType: 0x83,
+    FlagLacing: 0x9c,
+    CodecID: 0x86,
+    DefaultDuration: 0x23e383,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    Cluster: 0x1f43b675,
+    Timecode: 0xe7,
+    SimpleBlock: 0xa3,
+    Cues: 0x1c53bb6b,
+    CuePoint: 0xbb,
+    CueTime: 0xb3,
+    CueTrackPositions: 0xb7,
+    CueTrack: 0xf7,
+    CueClusterPosition: 0xf1
+};
+
+// SimpleBlock timecodes are signed 16-bit offsets from their cluster's timecode (milliseconds here).
+const MAX_CLUSTER_SPAN_MS = 30000;
+const WEBM_CODEC_IDS = Object.freeze(['V_VP8', 'V_VP9']);
+
+function concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach((part) => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+}
+
+function uintBytes(value, width = 0) {
+    const bytes = [];
+    let remaining = value;
+    do {
+        bytes.unshift(remaining % 256);
+        remaining = Math.floor(remaining / 256);
+    } while (remaining > 0);
+    while (bytes.length < width) bytes.unshift(0);
+    return Uint8Array.from(bytes);
+}
+
+function idBytes(id) {
+    return uintBytes(id);
+}
+
+// EBML variable-length size: the count of leading zero bits in the first byte gives the length.
+function sizeBytes(size) {
+    let length = 1;
+    while (length < 8 && size > 2 ** (7 * length) - 2) length++;
+    const bytes = uintBytes(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function element(id, payload) {
+    const data = Array.isArray(payload) ? concat(payload) : payload;
+    return concat([idBytes(id), sizeBytes(data.length), data]);
+}
+
+function uintElement(id, value, width = 0) {
+    return element(id, uintBytes(value, width));
+}
+
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+}
+
+function stringElement(id, value) {
+    return element(id, Uint8Array.from(String(value), (char) => char.charCodeAt(0) & 0x7f));
+}
+
+function checkDimension(value, name) {
+    if (!Number.isInteger(value) || value <= 0) throw new Error(`WebM ${name} must be a positive integer`);
+}
+
+export function getWebmCodecId(codec) {
+    const name = String(codec || '').toLowerCase();
+    if (name === 'vp8') return 'V_VP8';
+    if (name.startsWith('vp09') || name === 'vp9') return 'V_VP9';
+    return null;
+}
+
+export function createWebmMuxer({ width, height, codecId = 'V_VP9', frameRate = 30, writingApp = 'Copper Rock' } = {}) {
+    checkDimension(width, 'width');
+    checkDimension(height, 'height');
+    if (!WEBM_CODEC_IDS.includes(codecId)) throw new Error(`Unsupported WebM codec: ${codecId}`);
+    if (!Number.isFinite(frameRate) || frameRate <= 0) throw new Error('WebM frame rate must be greater than 0');
+    const frames = [];
+
+    function addFrame(data, timestampMs, keyframe) {
+        if (!(data instanceof Uint8Array) || !data.length) throw new Error('WebM frames need encoded bytes');
+        const timestamp = Math.round(timestampMs);
+        if (!Number.isFinite(timestamp) || timestamp < 0) throw new Error('WebM frame timestamps must be 0 or more');
+        const previous = frames[frames.length - 1];
+        if (!previous && !keyframe) throw new Error('The first WebM frame must be a keyframe');
+        if (previous && timestamp < previous.timestamp) throw new Error('WebM frames must be added in timestamp order');
+        frames.push({ data, timestamp, keyframe: !!keyframe });
+    }
+
+    function buildClusters() {
+        const clusters = [];
+        frames.forEach((frame) => {
+            const current = clusters[clusters.length - 1];
+            const startNew = !current
+                || (frame.keyframe && current.frames.length)
+                || frame.timestamp - current.timestamp > MAX_CLUSTER_SPAN_MS;
+            if (startNew) clusters.push({ timestamp: frame.timestamp, frames: [frame] });
+            else current.frames.push(frame);
+        });
+        return clusters.map((cluster) => ({
+            timestamp: cluster.timestamp,
+            bytes: element(ID.Cluster, [
+                uintElement(ID.Timecode, cluster.timestamp),
+                ...cluster.frames.map((frame) => {
+                    const header = new Uint8Array(4);
+                    header[0] = 0x81;  // Track number 1 as a one-byte vint
+                    new DataView(header.buffer).setInt16(1, frame.timestamp - cluster.timestamp);
+                    header[3] = frame.keyframe ? 0x80 : 0;
+                    return element(ID.SimpleBlock, [header, frame.data]);
+                })
+            ])
+        }));
+    }
+
+    function finalize() {
+        if (!frames.length) throw new Error('No frames to write');
+        const frameMs = 1000 / frameRate;
+        const header = element(ID.EBML, [
+            uintElement(ID.EBMLVersion, 1),
+            uintElement(ID.EBMLReadVersion, 1),
+            uintElement(ID.EBMLMaxIDLength, 4),
+            uintElement(ID.EBMLMaxSizeLength, 8),
+            stringElement(ID.DocType, 'webm'),
+            uintElement(ID.DocTypeVersion, 2),
+            uintElement(ID.DocTypeReadVersion, 2)
+        ]);
+        const info = element(ID.Info, [
+            uintElement(ID.TimecodeScale, 1000000),
+            floatElement(ID.Duration, frames[frames.length - 1].timestamp + frameMs),
+            stringElement(ID.MuxingApp, writingApp),
+            stringElement(ID.WritingApp, writingApp)
+        ]);
+        const tracks = element(ID.Tracks, element(ID.TrackEntry, [
+            uintElement(ID.TrackNumber, 1),
+            uintElement(ID.TrackUID, 1),
+            uintElement(ID.TrackType, 1),
+            uintElement(ID.FlagLacing, 0),
+            stringElement(ID.CodecID, codecId),
+            uintElement(ID.DefaultDuration, Math.round(frameMs * 1000000)),
+            element(ID.Video, [uintElement(ID.PixelWidth, width), uintElement(ID.PixelHeight, height)])
+        ]));
+        // Seek positions are fixed-width so the SeekHead's size, and with it every offset after it, is known up front.
+        const seekHeadFor = (positions) => element(ID.SeekHead, positions.map(([id, position]) => element(ID.Seek, [
+            element(ID.SeekID, idBytes(id)),
+            uintElement(ID.SeekPosition, position, 8)
+        ])));
+        const seekHeadSize = seekHeadFor([[ID.Info, 0], [ID.Tracks, 0], [ID.Cues, 0]]).length;
+        const clusters = buildClusters();
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + info.length;
+        let clusterPosition = tracksPosition + tracks.length;
+        const cues = element(ID.Cues, clusters.map((cluster) => {
+            const cuePoint = element(ID.CuePoint, [
+                uintElement(ID.CueTime, cluster.timestamp),
+                element(ID.CueTrackPositions, [uintElement(ID.CueTrack, 1), uintElement(ID.CueClusterPosition, clusterPosition)])
+            ]);
+            clusterPosition += cluster.bytes.length;
+            return cuePoint;
+        }));
+        const seekHead = seekHeadFor([[ID.Info, infoPosition], [ID.Tracks, tracksPosition], [ID.Cues, clusterPosition]]);
+        return concat([header, element(ID.Segment, [seekHead, info, tracks, ...clusters.map((cluster) => cluster.bytes), cues])]);
+    }
+
+    return {
+        addFrame,
+        finalize,
+        getFrameCount: () => frames.length
+    };
+}